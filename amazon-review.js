@@ -10,6 +10,9 @@ const chalk = require('chalk');
 const figlet = require('figlet');
 const { Session } = require('./src/session-class');
 const { listSessions, createNewSession, loadExistingSession } = require('./src/cli');
+const { ClaudeAPI } = require('./src/claude-api');
+const { createResearchStrategy, getResearchStrategyNames } = require('./src/research-strategies');
+const { INTAKE_MODES } = require('./src/intake-form');
 const { version } = require('./package.json');
 const path = require('path');
 const SESSION_DIR = path.resolve(process.cwd(), '.sessions');
@@ -23,14 +26,17 @@ console.log(
 );
 console.log(chalk.cyan('Framework CLI Tool\n'));
 
-// Verify API key
-if (!process.env.ANTHROPIC_API_KEY) {
+// Verify API key (offline replay/mock transports don't need one)
+if (ClaudeAPI.transportRequiresApiKey() && !process.env.ANTHROPIC_API_KEY) {
   console.error(chalk.red('Error: ANTHROPIC_API_KEY not found in environment variables.'));
   console.log(chalk.yellow('Please create a .env file with your Anthropic API key.'));
   console.log(chalk.yellow('Example: ANTHROPIC_API_KEY=sk-ant-api03-...'));
   process.exit(1);
 }
 
+if (process.env.CLAUDE_TRANSPORT && process.env.CLAUDE_TRANSPORT !== 'live') {
+  console.log(chalk.yellow(`Claude transport: ${process.env.CLAUDE_TRANSPORT}\n`));
+}
 
 // Set up command-line options
 program
@@ -41,10 +47,33 @@ program
   .option('-l, --list', 'List all saved review sessions')
   .option('-d, --directory <path>', 'Set custom directory for images', './images')
   .option('-v, --verbose', 'Enable verbose output for debugging')
+  .option('--research-strategy <name>', `Research strategy to use (${getResearchStrategyNames().join(', ')})`)
+  .option('--intake-mode <mode>', `How to answer intake questions (${INTAKE_MODES.join(', ')})`)
+  .option('--research-dry-run <product>', 'Print the research plan and estimated cost for a product, then exit')
   .parse(process.argv);
 
 const options = program.opts();
 
+// Research strategy from the command line overrides RESEARCH_STRATEGY in .env
+if (options.researchStrategy) {
+  if (!getResearchStrategyNames().includes(options.researchStrategy)) {
+    console.error(chalk.red(`Error: Unknown research strategy "${options.researchStrategy}".`));
+    console.log(chalk.yellow(`Available strategies: ${getResearchStrategyNames().join(', ')}`));
+    process.exit(1);
+  }
+  process.env.RESEARCH_STRATEGY = options.researchStrategy;
+}
+
+// Intake mode from the command line overrides INTAKE_MODE in .env
+if (options.intakeMode) {
+  if (!INTAKE_MODES.includes(options.intakeMode)) {
+    console.error(chalk.red(`Error: Unknown intake mode "${options.intakeMode}".`));
+    console.log(chalk.yellow(`Available modes: ${INTAKE_MODES.join(', ')}`));
+    process.exit(1);
+  }
+  process.env.INTAKE_MODE = options.intakeMode;
+}
+
 // Set verbose mode globally
 if (options.verbose) {
   global.VERBOSE_MODE = true;
@@ -55,7 +84,19 @@ if (options.verbose) {
 async function main() {
   await verifySessionSystem();
   try {
-    if (options.list) {
+    if (options.researchDryRun) {
+      // Show the research plan without spending tokens
+      const researchStrategy = createResearchStrategy(
+        process.env.RESEARCH_STRATEGY,
+        new ClaudeAPI(),
+        options.researchDryRun,
+        'generic',
+        { importance: process.env.RESEARCH_IMPORTANCE }
+      );
+      researchStrategy.dryRun();
+      process.exit(0);
+    }
+    else if (options.list) {
       // List all saved sessions
       await listSessions();
       process.exit(0);
@@ -6,12 +6,28 @@
 const { Anthropic } = require('@anthropic-ai/sdk');
 const chalk = require('chalk');
 const { TokenBudgetManager } = require('./token-budget-manager');
+const { createTransport } = require('./claude-transports');
+const { StreamDisplay } = require('./stream-display');
+const { createSearchBackend } = require('./search-backends');
+const { SpendLedger } = require('./spend-ledger');
+const { ModelPricing } = require('./model-pricing');
+const { TokenCounter } = require('./token-counter');
+const { ModelRouter } = require('./model-routing');
 
 class ClaudeAPI {
   constructor() {
-    // Initialize Anthropic client with API key from environment
-    this.anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
+    // Transport mode: live API, record fixtures, replay fixtures, or offline mock
+    this.transportMode = process.env.CLAUDE_TRANSPORT || 'live';
+    
+    // Initialize Anthropic client with API key from environment (not needed offline)
+    this.anthropic = this.requiresApiKey()
+      ? new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY, maxRetries: 0 }) // Retries are handled by withRetry
+      : null;
+    
+    this.transport = createTransport(this.transportMode, {
+      anthropic: this.anthropic,
+      fixtureDir: process.env.CLAUDE_FIXTURE_DIR,
+      mockResponsesFile: process.env.CLAUDE_MOCK_RESPONSES
     });
     
     // Default model configuration
@@ -19,16 +35,77 @@ class ClaudeAPI {
     this.maxTokens = parseInt(process.env.MAX_TOKENS) || 4000;
     this.temperature = parseFloat(process.env.TEMPERATURE) || 0.7;
     
+    // Per-phase and per-task overrides of the default model configuration
+    this.modelRouter = new ModelRouter({ overrideFile: process.env.MODEL_ROUTING_FILE });
+    
+    // Mark the system prompt and conversation prefix as cacheable so repeated turns reuse them
+    this.promptCaching = process.env.PROMPT_CACHING !== 'false';
+    
     // Web search configuration
     this.useWebSearch = process.env.ENABLE_WEB_SEARCH === 'true' || false;
     
-    // Initialize token budget manager
+    // Search backend for the web_search tool
+    this.searchBackend = createSearchBackend(process.env.SEARCH_BACKEND || 'fixture', {
+      fixtureFile: process.env.SEARCH_FIXTURE_FILE
+    });
+    this.maxSearchesPerRequest = parseInt(process.env.MAX_SEARCHES_PER_REQUEST) || 5;
+    
+    // Follow-up requests allowed when a response is cut off at max_tokens
+    this.maxContinuations = process.env.CLAUDE_MAX_CONTINUATIONS !== undefined
+      ? parseInt(process.env.CLAUDE_MAX_CONTINUATIONS) || 0
+      : 3;
+    
+    // Per-model prices and image token rules
+    this.pricing = new ModelPricing({ overrideFile: process.env.MODEL_PRICING_FILE });
+    
+    // Initialize token budget manager with the pricing for the configured model
     this.budgetManager = new TokenBudgetManager({
-      budgetUSD: parseFloat(process.env.RESEARCH_BUDGET_USD) || 0.50
+      budgetUSD: parseFloat(process.env.RESEARCH_BUDGET_USD) || 0.50,
+      model: this.model,
+      pricing: this.pricing
+    });
+    
+    // Persistent record of every call's cost, with optional daily/monthly caps
+    this.spendLedger = new SpendLedger({
+      filePath: process.env.SPEND_LEDGER_FILE,
+      dailyCapUSD: parseFloat(process.env.DAILY_SPEND_CAP_USD) || 0,
+      monthlyCapUSD: parseFloat(process.env.MONTHLY_SPEND_CAP_USD) || 0,
+      capMode: process.env.SPEND_CAP_MODE
     });
     
-    // Estimation constants (average tokens per character)
-    this.TOKEN_PER_CHAR_RATIO = 0.25; // Approximation: 4 characters per token
+    // Session and phase that ledger entries are attributed to
+    this.sessionContext = { sessionId: null, phase: null };
+    
+    // Retry policy for rate limits, overloads and dropped connections
+    this.retryPolicy = {
+      maxAttempts: parseInt(process.env.CLAUDE_RETRY_MAX_ATTEMPTS) || 5,
+      maxTotalWaitMs: parseInt(process.env.CLAUDE_RETRY_MAX_WAIT_MS) || 60000,
+      baseDelayMs: 1000,
+      maxDelayMs: 30000
+    };
+    
+    // Input token estimates, calibrated against the usage the API reports
+    this.tokenCounter = new TokenCounter({
+      pricing: this.pricing,
+      calibrationFile: process.env.TOKEN_CALIBRATION_FILE
+    });
+  }
+
+  /**
+   * Check whether the current transport talks to the live API
+   * @returns {boolean} True if an API key is required
+   */
+  requiresApiKey() {
+    return ClaudeAPI.transportRequiresApiKey(this.transportMode);
+  }
+
+  /**
+   * Check whether a transport mode talks to the live API
+   * @param {string} mode - Transport mode
+   * @returns {boolean} True if an API key is required
+   */
+  static transportRequiresApiKey(mode = process.env.CLAUDE_TRANSPORT || 'live') {
+    return mode === 'live' || mode === 'record';
   }
 
   /**
@@ -36,10 +113,17 @@ class ClaudeAPI {
    * @param {Array} messages - Array of message objects
    * @param {string} systemPrompt - System prompt to use
    * @param {boolean} enableSearch - Enable web search for this request
-   * @returns {Object} Claude's response
+   * @param {Object} options - Request options
+   * @param {boolean} options.stream - Stream text to the terminal as it arrives (defaults to true when stdout is a TTY)
+   * @param {Function} options.onText - Custom handler for streamed text deltas
+   * @param {string} options.task - Kind of request, recorded in the spend ledger (default: conversation)
+   * @param {Object} options.settings - Model settings from getRequestSettings (defaults to the task's, or the current phase's)
+   * @returns {Object} Claude's response, including the settings used
    */
-  async processMessages(messages, systemPrompt, enableSearch = this.useWebSearch) {
+  async processMessages(messages, systemPrompt, enableSearch = this.useWebSearch, options = {}) {
     try {
+      const settings = options.settings || this.getRequestSettings(options.task || this.sessionContext.phase);
+      
       // Don't use web search if budget is exhausted
       if (enableSearch && this.budgetManager.budgetExhausted) {
         console.log(chalk.yellow("Warning: Research budget exhausted. Disabling web search."));
@@ -51,6 +135,7 @@ class ClaudeAPI {
         console.log(chalk.gray(`System prompt length: ${systemPrompt.length} characters`));
         console.log(chalk.gray(`Messages: ${messages.length}`));
         console.log(chalk.gray(`Web search enabled: ${enableSearch}`));
+        console.log(chalk.gray(`Settings (${settings.route}): ${settings.model}, temperature ${settings.temperature}, max_tokens ${settings.maxTokens}`));
         
         if (enableSearch) {
           console.log(chalk.gray(`Remaining research budget: $${this.budgetManager.remainingBudget.toFixed(2)}`));
@@ -58,74 +143,175 @@ class ClaudeAPI {
       }
       
       // Estimate token usage
-      const inputEstimate = this.estimateInputTokens(messages, systemPrompt);
+      const inputEstimate = this.estimateInputTokens(messages, systemPrompt, enableSearch ? [WEB_SEARCH_TOOL] : [], settings.model);
       
       // Check if this would exceed budget (for web search only)
-      if (enableSearch && this.budgetManager.wouldExceedBudget(inputEstimate, this.maxTokens)) {
+      if (enableSearch && this.budgetManager.wouldExceedBudget(inputEstimate, settings.maxTokens, settings.model)) {
         console.log(chalk.yellow("Warning: This request would exceed remaining research budget. Disabling web search."));
         enableSearch = false;
       }
       
       // Create API request options
       const requestOptions = {
-        model: this.model,
-        max_tokens: this.maxTokens,
-        system: systemPrompt,
-        messages: this.prepareMessages(messages),
-        temperature: this.temperature
+        model: settings.model,
+        max_tokens: settings.maxTokens,
+        system: this.promptCaching ? buildCachedSystem(systemPrompt) : systemPrompt,
+        messages: this.promptCaching ? markCacheBreakpoint(this.prepareMessages(messages)) : this.prepareMessages(messages),
+        temperature: settings.temperature
       };
       
+      if (settings.stopSequences.length > 0) {
+        requestOptions.stop_sequences = settings.stopSequences;
+      }
+      
       // Add web search tools if enabled
       if (enableSearch) {
-        requestOptions.tools = [
-          {
-            name: "web_search",
-            input_schema: {
-              type: "object",
-              properties: {
-                query: {
-                  type: "string",
-                  description: "Search query"
-                }
-              },
-              required: ["query"]
-            }
-          }
+        requestOptions.tools = [WEB_SEARCH_TOOL];
+      }
+      
+      // Send request through the configured transport, recording the usage of every call
+      const stream = options.stream !== undefined ? options.stream : Boolean(process.stdout.isTTY);
+      const sources = [];
+      const usage = { input_tokens: 0, output_tokens: 0, cache_creation_input_tokens: 0, cache_read_input_tokens: 0 };
+      // What the request is for, so transports can tell requests apart without reading the prompt
+      const context = { task: options.task || null, route: settings.route };
+      const sendRequest = async () => {
+        const tokenAnalysis = this.tokenCounter.analyzeRequest(requestOptions, requestOptions.model);
+        
+        // Check daily/monthly spending caps against a worst-case estimate before every call, so
+        // tool-use turns and continuations can't run past a cap either
+        const capCheck = this.spendLedger.checkCaps(
+          this.budgetManager.calculateCost(tokenAnalysis.total, requestOptions.max_tokens, requestOptions.model)
+        );
+        if (!capCheck.allowed) {
+          const capError = new Error(capCheck.reason);
+          capError.spendCapExceeded = true;
+          throw capError;
+        }
+        
+        const result = stream
+          ? await this.withRetry(() => this.streamResponse(requestOptions, options.onText, context))
+          : { response: await this.withRetry(() => this.transport.createMessage(requestOptions, context)), interrupted: false };
+        
+        if (result.response.usage) {
+          await this.recordResponseUsage(result.response.usage, usage, tokenAnalysis, {
+            search: enableSearch,
+            task: options.task,
+            model: requestOptions.model
+          });
+        }
+        
+        return result;
+      };
+      
+      let searchCount = 0;
+      let response;
+      let interrupted = false;
+      
+      // Tool-use loop: run web_search calls and feed the results back until Claude finishes
+      for (let turn = 0; turn <= this.maxSearchesPerRequest + 1; turn++) {
+        ({ response, interrupted } = await sendRequest());
+        
+        if (interrupted || response.stop_reason !== 'tool_use') {
+          break;
+        }
+        
+        const toolResults = [];
+        for (const block of response.content.filter(c => c.type === 'tool_use')) {
+          searchCount++;
+          toolResults.push(await this.runToolCall(block, sources, searchCount));
+        }
+        
+        requestOptions.messages = [
+          ...requestOptions.messages,
+          { role: 'assistant', content: response.content },
+          { role: 'user', content: toolResults }
         ];
       }
       
-      // Send request to Claude API
-      const response = await this.anthropic.messages.create(requestOptions);
+      // Out of tool-use turns: ask once more with tools switched off so Claude answers with what it found
+      if (!interrupted && response.stop_reason === 'tool_use') {
+        console.log(chalk.yellow('Search limit reached. Asking Claude to answer with the results so far...'));
+        requestOptions.tool_choice = { type: 'none' };
+        ({ response, interrupted } = await sendRequest());
+      }
       
-      // Record token usage for research budget management (only for web search requests)
-      if (enableSearch && response.usage) {
-        this.budgetManager.recordUsage({
-          inputTokens: response.usage.input_tokens,
-          outputTokens: response.usage.output_tokens
-        });
+      // Continue responses cut off at max_tokens by prefilling the text so far as the assistant turn
+      const conversation = requestOptions.messages;
+      let text = joinResponseText(response);
+      let continuations = 0;
+      
+      while (!interrupted && response.stop_reason === 'max_tokens' && continuations < this.maxContinuations) {
+        continuations++;
         
         if (global.VERBOSE_MODE) {
-          const status = this.budgetManager.getStatus();
-          console.log(chalk.gray(`Research budget used: $${status.totalCost.toFixed(2)} / $${status.budgetUSD.toFixed(2)} (${(100 - status.remainingPercentage).toFixed(1)}%)`));
+          console.log(chalk.gray(`\nResponse reached max_tokens (${settings.maxTokens}). Requesting continuation ${continuations} of ${this.maxContinuations}...`));
         }
+        
+        // The API rejects a final assistant turn that ends in whitespace
+        const prefill = text.trimEnd();
+        requestOptions.messages = [...conversation, { role: 'assistant', content: prefill }];
+        ({ response, interrupted } = await sendRequest());
+        text = prefill + joinResponseText(response);
+      }
+      
+      const truncated = !interrupted && ['max_tokens', 'tool_use'].includes(response.stop_reason);
+      if (truncated && response.stop_reason === 'tool_use') {
+        console.log(chalk.yellow('\nWarning: Claude was still searching when the search limit was reached. The response may be incomplete.'));
+      } else if (truncated) {
+        console.log(chalk.yellow(`\nWarning: The response was still cut off at the token limit after ${continuations} continuation(s). The end of it may be missing.`));
       }
       
+      text = text.trim();
+      
       if (global.VERBOSE_MODE) {
         console.log(chalk.gray('Response received from Claude API'));
-        console.log(chalk.gray(`Response length: ${response.content[0].text.length} characters`));
+        console.log(chalk.gray(`Response length: ${text.length} characters`));
+        console.log(chalk.gray(`Input tokens: ${usage.input_tokens}`));
+        console.log(chalk.gray(`Output tokens: ${usage.output_tokens}`));
+        
+        if (this.promptCaching) {
+          const cacheStats = this.budgetManager.getCacheStats();
+          const requestInput = usage.input_tokens + usage.cache_creation_input_tokens + usage.cache_read_input_tokens;
+          const requestHitRate = requestInput > 0 ? (usage.cache_read_input_tokens / requestInput) * 100 : 0;
+          console.log(chalk.gray(`Prompt cache: ${usage.cache_read_input_tokens} read, ${usage.cache_creation_input_tokens} written (hit rate ${requestHitRate.toFixed(1)}%, ${cacheStats.hitRate.toFixed(1)}% this run)`));
+        }
         
-        if (response.usage) {
-          console.log(chalk.gray(`Input tokens: ${response.usage.input_tokens}`));
-          console.log(chalk.gray(`Output tokens: ${response.usage.output_tokens}`));
+        if (searchCount > 0) {
+          console.log(chalk.gray(`Web searches: ${searchCount}, sources: ${sources.length}`));
         }
+        
+        if (continuations > 0) {
+          console.log(chalk.gray(`Continuations: ${continuations}`));
+        }
+      }
+      
+      if (interrupted) {
+        console.log(chalk.yellow('\nResponse interrupted.'));
+        
+        return {
+          content: text,
+          usage,
+          toolUse: searchCount > 0,
+          sources,
+          settings,
+          continuations,
+          truncated: false,
+          streamed: true,
+          interrupted: true
+        };
       }
       
       return {
-        content: response.content && response.content[0] && response.content[0].text 
-                 ? response.content[0].text 
-                 : "No response content received from Claude API",
-        usage: response.usage,
-        toolUse: response.content && response.content.some(c => c.type === 'tool_use')
+        content: text || "No response content received from Claude API",
+        usage,
+        toolUse: searchCount > 0,
+        sources,
+        settings,
+        continuations,
+        truncated,
+        streamed: stream,
+        interrupted: false
       };
     } catch (error) {
       console.error(chalk.red('Error communicating with Claude API:'), error.message);
@@ -135,6 +321,8 @@ class ClaudeAPI {
         throw new Error('Invalid API key. Please check your ANTHROPIC_API_KEY environment variable.');
       } else if (error.status === 429) {
         throw new Error('Rate limit exceeded. Please try again later.');
+      } else if (error.status === 529 || getErrorType(error) === 'overloaded_error') {
+        throw new Error('Claude is currently overloaded. Please try again later.');
       } else if (error.status === 400) {
         throw new Error(`API request error: ${error.message}`);
       }
@@ -143,6 +331,221 @@ class ClaudeAPI {
     }
   }
 
+  /**
+   * Set the session and phase that subsequent calls are attributed to in the spend ledger
+   * @param {string} sessionId - Session ID
+   * @param {string} phase - Current phase
+   */
+  setSessionContext(sessionId, phase) {
+    this.sessionContext = { sessionId, phase };
+  }
+
+  /**
+   * Record a call's token usage and cost in the spend ledger
+   * @param {Object} usage - Usage from the API response
+   * @param {Object} details - Call details
+   * @param {boolean} details.search - Whether web search was enabled
+   * @param {string} details.task - Kind of request
+   * @param {string} details.model - Model used
+   * @returns {Promise<Object>} The ledger entry
+   */
+  async recordSpend(usage, { search = false, task = 'conversation', model = this.model } = {}) {
+    const inputTokens = usage.input_tokens || 0;
+    const outputTokens = usage.output_tokens || 0;
+    const cacheUsage = {
+      cacheWriteTokens: usage.cache_creation_input_tokens || 0,
+      cacheReadTokens: usage.cache_read_input_tokens || 0
+    };
+    
+    return this.spendLedger.record({
+      sessionId: this.sessionContext.sessionId,
+      phase: this.sessionContext.phase,
+      task,
+      model,
+      inputTokens,
+      outputTokens,
+      ...cacheUsage,
+      // Replayed and mocked responses cost nothing
+      cost: this.requiresApiKey() ? this.budgetManager.calculateCost(inputTokens, outputTokens, model, cacheUsage) : 0,
+      search
+    });
+  }
+
+  /**
+   * Record the usage of one API call: running totals, spend ledger, token calibration,
+   * cache statistics and (for web search requests) the research budget
+   * @param {Object} responseUsage - Usage reported for the call
+   * @param {Object} totals - Running usage totals for the request, updated in place
+   * @param {Object} tokenAnalysis - Token counter analysis of what was sent
+   * @param {Object} context - Call details
+   * @param {boolean} context.search - Whether web search was enabled
+   * @param {string} context.task - Kind of request
+   * @param {string} context.model - Model used
+   */
+  async recordResponseUsage(responseUsage, totals, tokenAnalysis, { search, task, model }) {
+    totals.input_tokens += responseUsage.input_tokens || 0;
+    totals.output_tokens += responseUsage.output_tokens || 0;
+    totals.cache_creation_input_tokens += responseUsage.cache_creation_input_tokens || 0;
+    totals.cache_read_input_tokens += responseUsage.cache_read_input_tokens || 0;
+    
+    await this.recordSpend(responseUsage, { search, task, model });
+    this.calibrateTokenCounter(tokenAnalysis, responseUsage, model);
+    this.budgetManager.recordCacheUsage({
+      inputTokens: responseUsage.input_tokens,
+      cacheWriteTokens: responseUsage.cache_creation_input_tokens,
+      cacheReadTokens: responseUsage.cache_read_input_tokens
+    });
+    
+    // Record token usage for research budget management (only for web search requests)
+    if (search) {
+      this.budgetManager.recordUsage({
+        inputTokens: responseUsage.input_tokens,
+        outputTokens: responseUsage.output_tokens,
+        cacheWriteTokens: responseUsage.cache_creation_input_tokens,
+        cacheReadTokens: responseUsage.cache_read_input_tokens,
+        model
+      });
+      
+      if (global.VERBOSE_MODE) {
+        const status = this.budgetManager.getStatus();
+        console.log(chalk.gray(`Research budget used: $${status.totalCost.toFixed(2)} / $${status.budgetUSD.toFixed(2)} (${(100 - status.remainingPercentage).toFixed(1)}%)`));
+      }
+    }
+  }
+
+  /**
+   * Stream a request, printing text deltas until the response completes or Ctrl-C is pressed
+   * @param {Object} requestOptions - Messages API request body
+   * @param {Function} onText - Handler for text deltas (defaults to writing them to stdout without the
+   *   review markup and phase status trailer)
+   * @param {Object} context - Request context ({ task, route }) passed to the transport
+   * @returns {Promise<Object>} The response and whether it was interrupted
+   */
+  async streamResponse(requestOptions, onText = null, context = {}) {
+    const display = onText ? null : new StreamDisplay(text => process.stdout.write(text));
+    const handleText = onText || (text => display.push(text));
+    const controller = new AbortController();
+    const onInterrupt = () => controller.abort();
+    process.once('SIGINT', onInterrupt);
+    let textReceived = false;
+    
+    try {
+      const response = await this.transport.streamMessage(requestOptions, {
+        onText: text => {
+          textReceived = true;
+          handleText(text);
+        },
+        signal: controller.signal
+      }, context);
+      
+      return { response, interrupted: controller.signal.aborted };
+    } catch (error) {
+      // Retrying after text has been printed would repeat it on screen
+      error.streamStarted = textReceived;
+      throw error;
+    } finally {
+      process.removeListener('SIGINT', onInterrupt);
+      if (display) {
+        display.end();
+      }
+      process.stdout.write('\n');
+    }
+  }
+
+  /**
+   * Execute a web_search tool call and build its tool_result block
+   * @param {Object} toolUse - tool_use content block from Claude
+   * @param {Array} sources - Sources collected so far (new results are added, deduplicated by URL)
+   * @param {number} searchCount - Number of this search within the request
+   * @returns {Promise<Object>} tool_result content block
+   */
+  async runToolCall(toolUse, sources, searchCount) {
+    const toolResult = { type: 'tool_result', tool_use_id: toolUse.id };
+    
+    if (toolUse.name !== WEB_SEARCH_TOOL.name) {
+      return { ...toolResult, is_error: true, content: `Unknown tool: ${toolUse.name}` };
+    }
+    
+    // Stop searching once limits are reached; Claude answers with what it has
+    if (searchCount > this.maxSearchesPerRequest) {
+      return { ...toolResult, is_error: true, content: 'Search limit reached for this request. Answer using the results you already have.' };
+    }
+    if (this.budgetManager.budgetExhausted) {
+      return { ...toolResult, is_error: true, content: 'Research budget exhausted. Answer using the results you already have.' };
+    }
+    
+    const query = toolUse.input && toolUse.input.query ? String(toolUse.input.query).trim() : '';
+    if (!query) {
+      return { ...toolResult, is_error: true, content: 'No search query was given. Call web_search with a query.' };
+    }
+    
+    console.log(chalk.gray(`Searching: ${query}`));
+    
+    try {
+      const results = await this.searchBackend.search(query);
+      
+      results.forEach(result => {
+        if (!sources.some(source => source.url === result.url)) {
+          sources.push({ ...result, query });
+        }
+      });
+      
+      return { ...toolResult, content: formatSearchResults(results) };
+    } catch (error) {
+      console.log(chalk.yellow(`Search failed: ${error.message}`));
+      return { ...toolResult, is_error: true, content: `Search failed: ${error.message}` };
+    }
+  }
+
+  /**
+   * Run a request, retrying transient failures with jittered exponential backoff
+   * @param {Function} operation - Async function that sends the request
+   * @returns {Promise<*>} The operation's result
+   */
+  async withRetry(operation) {
+    const { maxAttempts, maxTotalWaitMs } = this.retryPolicy;
+    let totalWaitMs = 0;
+    
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await operation();
+      } catch (error) {
+        if (!isRetryableError(error) || attempt >= maxAttempts) {
+          throw error;
+        }
+        
+        const delayMs = this.getRetryDelay(error, attempt);
+        if (totalWaitMs + delayMs > maxTotalWaitMs) {
+          throw error;
+        }
+        totalWaitMs += delayMs;
+        
+        console.log(chalk.yellow(`${describeRetryableError(error)}. Retrying in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt + 1}/${maxAttempts})...`));
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+
+  /**
+   * Work out how long to wait before the next attempt
+   * @param {Error} error - Error from the failed attempt
+   * @param {number} attempt - Number of the failed attempt (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(error, attempt) {
+    const { baseDelayMs, maxDelayMs } = this.retryPolicy;
+    
+    // Honor the server's requested delay when it sends one
+    const retryAfterMs = getRetryAfterMs(error.headers);
+    if (retryAfterMs !== null) {
+      return Math.min(retryAfterMs, maxDelayMs);
+    }
+    
+    // Exponential backoff with jitter across the upper half of the window
+    const ceiling = Math.min(baseDelayMs * Math.pow(2, attempt - 1), maxDelayMs);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
   /**
    * Process a specialized research task with web search enabled
    * @param {string} query - Research query
@@ -167,6 +570,7 @@ class ClaudeAPI {
 You are a research assistant helping gather information for an Amazon product review of ${productName}.
 Use web search to find helpful, factual information about: ${query}
 Keep your response brief and focused on the most valuable insights. Prioritize factual information that would help in writing a review.
+Cite the URL of the search result behind each finding in square brackets, e.g. [https://example.com/page].
 `;
 
       // Create a single message with the research query
@@ -177,11 +581,11 @@ Keep your response brief and focused on the most valuable insights. Prioritize f
         }
       ];
       
-      // Estimate token usage for budget checking
-      const inputEstimate = this.estimateInputTokens(messages, researchPrompt);
-      const outputEstimate = 2000; // Conservative estimate for output tokens
+      // Estimate token usage for budget checking, priced at the model research is routed to
+      const settings = this.getRequestSettings('research');
+      const inputEstimate = this.estimateInputTokens(messages, researchPrompt, [WEB_SEARCH_TOOL], settings.model);
       
-      if (this.budgetManager.wouldExceedBudget(inputEstimate, outputEstimate)) {
+      if (this.budgetManager.wouldExceedBudget(inputEstimate, settings.maxTokens, settings.model)) {
         console.log(chalk.yellow(`This research would exceed the remaining budget of $${this.budgetManager.remainingBudget.toFixed(2)}. Skipping.`));
         return {
           content: "Research budget would be exceeded. Unable to perform this research.",
@@ -190,7 +594,7 @@ Keep your response brief and focused on the most valuable insights. Prioritize f
       }
       
       // Process with web search enabled
-      return await this.processMessages(messages, researchPrompt, true);
+      return await this.processMessages(messages, researchPrompt, true, { stream: false, task: 'research', settings });
     } catch (error) {
       console.error(chalk.red('Error performing research:'), error.message);
       throw error;
@@ -236,11 +640,11 @@ Be extremely concise - list only the key gaps without extensive explanation.
         }
       ];
       
-      // Estimate token usage for budget checking
-      const inputEstimate = this.estimateInputTokens(messages, gapAnalysisPrompt);
-      const outputEstimate = 1500; // Conservative estimate for output tokens
+      // Estimate token usage for budget checking, priced at the model gap analysis is routed to
+      const settings = this.getRequestSettings('gap_analysis');
+      const inputEstimate = this.estimateInputTokens(messages, gapAnalysisPrompt, [WEB_SEARCH_TOOL], settings.model);
       
-      if (this.budgetManager.wouldExceedBudget(inputEstimate, outputEstimate)) {
+      if (this.budgetManager.wouldExceedBudget(inputEstimate, settings.maxTokens, settings.model)) {
         console.log(chalk.yellow(`Gap analysis would exceed the remaining budget of $${this.budgetManager.remainingBudget.toFixed(2)}. Skipping.`));
         return {
           content: "Research budget would be exceeded. Unable to perform gap analysis.",
@@ -249,7 +653,7 @@ Be extremely concise - list only the key gaps without extensive explanation.
       }
       
       // Process with web search enabled
-      return await this.processMessages(messages, gapAnalysisPrompt, true);
+      return await this.processMessages(messages, gapAnalysisPrompt, true, { stream: false, task: 'gap_analysis', settings });
     } catch (error) {
       console.error(chalk.red('Error analyzing product gaps:'), error.message);
       throw error;
@@ -263,8 +667,8 @@ Be extremely concise - list only the key gaps without extensive explanation.
    * @returns {Object} Research plan
    */
   getResearchPlan(productName, productType) {
-    // Get optimized plan from budget manager
-    const plan = this.budgetManager.getOptimizedResearchPlan();
+    // Get optimized plan from budget manager, priced at the model research is routed to
+    const plan = this.budgetManager.getOptimizedResearchPlan(this.getRequestSettings('research').model);
     
     if (!plan.canResearch) {
       return {
@@ -333,55 +737,63 @@ Be extremely concise - list only the key gaps without extensive explanation.
    * @returns {Array} Formatted messages for Claude API
    */
   prepareMessages(messages) {
-    return messages.map(message => {
-      // Clone the message to avoid modifying the original
-      const formattedMessage = { ...message };
-      
-      // Handle first message with images
-      if (Array.isArray(formattedMessage.content)) {
-        // Message with images (already in correct format)
-        return formattedMessage;
-      } else {
-        // Text-only message
-        return {
-          role: formattedMessage.role,
-          content: formattedMessage.content
-        };
-      }
-    });
+    // Only role and content are sent; session bookkeeping such as recorded settings is dropped
+    return messages.map(message => ({
+      role: message.role,
+      content: message.content
+    }));
   }
 
   /**
    * Estimate input tokens for a request
    * @param {Array} messages - Messages array
    * @param {string} systemPrompt - System prompt
+   * @param {Array} tools - Tool definitions sent with the request
+   * @param {string} model - Model the request will use
    * @returns {number} Estimated input tokens
    */
-  estimateInputTokens(messages, systemPrompt) {
-    // System prompt tokens
-    let totalTokens = Math.ceil(systemPrompt.length * this.TOKEN_PER_CHAR_RATIO);
-    
-    // Message tokens
-    messages.forEach(message => {
-      if (typeof message.content === 'string') {
-        totalTokens += Math.ceil(message.content.length * this.TOKEN_PER_CHAR_RATIO);
-      } else if (Array.isArray(message.content)) {
-        // Handle messages with images
-        message.content.forEach(content => {
-          if (content.type === 'text') {
-            totalTokens += Math.ceil(content.text.length * this.TOKEN_PER_CHAR_RATIO);
-          } else if (content.type === 'image') {
-            // Images add a fixed token cost (approximate)
-            totalTokens += 500;
-          }
-        });
-      }
+  estimateInputTokens(messages, systemPrompt, tools = [], model = this.model) {
+    return this.tokenCounter.countRequestTokens({
+      system: systemPrompt,
+      messages: this.prepareMessages(messages),
+      tools
+    }, model);
+  }
+
+  /**
+   * Get the model settings for a phase or task
+   * @param {string} name - Phase (intake, draft, refine, quality) or task (research, gap_analysis, ...)
+   * @returns {Object} { route, model, temperature, maxTokens, stopSequences }
+   */
+  getRequestSettings(name) {
+    return this.modelRouter.getSettings(name, {
+      model: this.model,
+      temperature: this.temperature,
+      maxTokens: this.maxTokens
     });
+  }
+
+  /**
+   * Feed the input tokens the API reported back into the token counter's calibration
+   * @param {Object} analysis - Token counter analysis of the request that was sent
+   * @param {Object} usage - Usage reported by the API
+   * @param {string} model - Model used
+   */
+  calibrateTokenCounter(analysis, usage, model) {
+    // Mock usage is itself an estimate, so it can't calibrate anything
+    if (this.transportMode === 'mock') {
+      return;
+    }
+    
+    const actualInputTokens = (usage.input_tokens || 0) +
+      (usage.cache_creation_input_tokens || 0) +
+      (usage.cache_read_input_tokens || 0);
     
-    // Add overhead for message formatting
-    totalTokens += messages.length * 20;
+    if (global.VERBOSE_MODE) {
+      console.log(chalk.gray(`Estimated input tokens: ${analysis.total}, actual: ${actualInputTokens}`));
+    }
     
-    return totalTokens;
+    this.tokenCounter.calibrate(analysis, actualInputTokens, model);
   }
 
   /**
@@ -410,6 +822,7 @@ Be extremely concise - list only the key gaps without extensive explanation.
    */
   setModel(model) {
     this.model = model;
+    this.budgetManager.model = model;
   }
 
   /**
@@ -437,5 +850,158 @@ Be extremely concise - list only the key gaps without extensive explanation.
   }
 }
 
+// Web search tool declared to Claude when search is enabled
+const WEB_SEARCH_TOOL = {
+  name: "web_search",
+  description: "Search the web for current product information, specifications and user reviews. Returns a list of results with URL, title and snippet. Cite result URLs when you use them.",
+  input_schema: {
+    type: "object",
+    properties: {
+      query: {
+        type: "string",
+        description: "Search query"
+      }
+    },
+    required: ["query"]
+  }
+};
+
+/**
+ * Join the text blocks of a response (untrimmed, so continued responses can be stitched together)
+ * @param {Object} response - Messages API response
+ * @returns {string} Response text
+ */
+function joinResponseText(response) {
+  return (response.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n\n');
+}
+
+/**
+ * Build a system prompt as a cache-marked text block
+ * @param {string} systemPrompt - System prompt
+ * @returns {Array} System content blocks
+ */
+function buildCachedSystem(systemPrompt) {
+  return [{ type: 'text', text: systemPrompt, cache_control: { type: 'ephemeral' } }];
+}
+
+/**
+ * Mark the end of the conversation as a cache breakpoint, so the next turn can read
+ * everything up to here from the cache
+ * @param {Array} messages - Prepared messages (not modified)
+ * @returns {Array} Messages with the last content block cache-marked
+ */
+function markCacheBreakpoint(messages) {
+  if (messages.length === 0) {
+    return messages;
+  }
+  
+  const last = messages[messages.length - 1];
+  const content = typeof last.content === 'string'
+    ? [{ type: 'text', text: last.content }]
+    : last.content.map(block => ({ ...block }));
+  
+  if (content.length > 0) {
+    content[content.length - 1].cache_control = { type: 'ephemeral' };
+  }
+  
+  return [...messages.slice(0, -1), { ...last, content }];
+}
+
+/**
+ * Format search results as tool_result text
+ * @param {Array} results - Results as { url, title, snippet }
+ * @returns {string} Numbered result list
+ */
+function formatSearchResults(results) {
+  if (results.length === 0) {
+    return 'No results found.';
+  }
+  
+  return results
+    .map((result, index) => `${index + 1}. ${result.title}\nURL: ${result.url}\n${result.snippet}`)
+    .join('\n\n');
+}
+
+// HTTP statuses worth retrying: rate limits, server errors and overloads
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504, 529];
+
+// Socket-level error codes for dropped or refused connections
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET'];
+
+/**
+ * Check whether a failed request is worth retrying
+ * @param {Error} error - Error thrown by the transport
+ * @returns {boolean} True for rate limits, overloads, server errors and network resets
+ */
+function isRetryableError(error) {
+  if (error.streamStarted) {
+    return false;
+  }
+  
+  if (RETRYABLE_STATUSES.includes(error.status) || getErrorType(error) === 'overloaded_error') {
+    return true;
+  }
+  
+  const code = error.code || (error.cause && error.cause.code);
+  return error.name === 'APIConnectionError' ||
+         error.name === 'APIConnectionTimeoutError' ||
+         RETRYABLE_NETWORK_CODES.includes(code);
+}
+
+/**
+ * Get the API error type (e.g. overloaded_error) from an SDK error
+ * @param {Error} error - Error thrown by the transport
+ * @returns {string|null} Error type, if present
+ */
+function getErrorType(error) {
+  const body = error.error;
+  return (body && body.error && body.error.type) || (body && body.type) || null;
+}
+
+/**
+ * Describe a retryable error for the retry notice
+ * @param {Error} error - Error thrown by the transport
+ * @returns {string} Short description
+ */
+function describeRetryableError(error) {
+  if (error.status === 429) return 'Rate limit exceeded';
+  if (error.status === 529 || getErrorType(error) === 'overloaded_error') return 'Claude is overloaded';
+  if (error.status) return `Claude API error (${error.status})`;
+  return 'Connection to Claude API failed';
+}
+
+/**
+ * Read the server's requested retry delay from response headers
+ * @param {Object} headers - Response headers
+ * @returns {number|null} Delay in milliseconds, or null if not provided
+ */
+function getRetryAfterMs(headers) {
+  if (!headers) {
+    return null;
+  }
+  
+  const retryAfterMs = parseFloat(headers['retry-after-ms']);
+  if (!isNaN(retryAfterMs)) {
+    return Math.max(0, retryAfterMs);
+  }
+  
+  const retryAfter = headers['retry-after'];
+  if (!retryAfter) {
+    return null;
+  }
+  
+  // Either a number of seconds or an HTTP date
+  const seconds = parseFloat(retryAfter);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  
+  const date = Date.parse(retryAfter);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
 module.exports = { ClaudeAPI };
 
@@ -0,0 +1,503 @@
+/**
+ * Claude Transports
+ * Pluggable request transports for ClaudeAPI: live API calls, fixture record/replay, and scripted mocks
+ */
+
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const chalk = require('chalk');
+const { getMessageText } = require('./message-utils');
+
+// Supported transport modes
+const TRANSPORT_MODES = ['live', 'record', 'replay', 'mock'];
+
+// Default fixture directory for record/replay
+const FIXTURE_DIR = path.resolve(process.cwd(), '.fixtures');
+
+/**
+ * Sends requests straight to the Anthropic API
+ */
+class LiveTransport {
+  /**
+   * Create a new LiveTransport
+   * @param {Anthropic} anthropic - Anthropic SDK client
+   */
+  constructor(anthropic) {
+    this.anthropic = anthropic;
+    this.mode = 'live';
+  }
+
+  /**
+   * Create a message
+   * @param {Object} requestOptions - Messages API request body
+   * @returns {Promise<Object>} Messages API response
+   */
+  async createMessage(requestOptions) {
+    return this.anthropic.messages.create(requestOptions);
+  }
+
+  /**
+   * Create a message, reporting text deltas as they arrive
+   * @param {Object} requestOptions - Messages API request body
+   * @param {Object} handlers - Stream handlers
+   * @param {Function} handlers.onText - Called with each text delta
+   * @param {AbortSignal} handlers.signal - Aborts the stream when triggered
+   * @returns {Promise<Object>} Final message, or the partial message if aborted
+   */
+  async streamMessage(requestOptions, { onText, signal } = {}) {
+    const stream = this.anthropic.messages.stream(requestOptions);
+    let text = '';
+    // The SDK's message snapshot only accumulates text deltas, so tool inputs are collected here
+    const toolInputs = {};
+    
+    stream.on('text', delta => {
+      text += delta;
+      if (onText) onText(delta);
+    });
+    stream.on('streamEvent', event => {
+      if (event.type === 'content_block_delta' && event.delta.type === 'input_json_delta') {
+        toolInputs[event.index] = (toolInputs[event.index] || '') + event.delta.partial_json;
+      }
+    });
+    
+    const abort = () => stream.abort();
+    if (signal) signal.addEventListener('abort', abort, { once: true });
+    
+    try {
+      return applyToolInputs(await stream.finalMessage(), toolInputs);
+    } catch (error) {
+      if (!stream.aborted) throw error;
+      return buildPartialMessage(requestOptions, text, stream.currentMessage);
+    } finally {
+      if (signal) signal.removeEventListener('abort', abort);
+    }
+  }
+}
+
+/**
+ * Sends requests to the live API and writes each request/response pair to the fixture directory
+ */
+class RecordTransport {
+  /**
+   * Create a new RecordTransport
+   * @param {Object} inner - Transport that performs the real request
+   * @param {string} fixtureDir - Directory to write fixtures to
+   */
+  constructor(inner, fixtureDir = FIXTURE_DIR) {
+    this.inner = inner;
+    this.fixtureDir = fixtureDir;
+    this.mode = 'record';
+  }
+
+  /**
+   * Create a message and record it
+   * @param {Object} requestOptions - Messages API request body
+   * @param {Object} context - Request context ({ task, route })
+   * @returns {Promise<Object>} Messages API response
+   */
+  async createMessage(requestOptions, context = {}) {
+    const response = await this.inner.createMessage(requestOptions, context);
+    await this.writeFixture(requestOptions, response, context);
+    return response;
+  }
+
+  /**
+   * Stream a message and record it once complete
+   * @param {Object} requestOptions - Messages API request body
+   * @param {Object} handlers - Stream handlers (onText, signal)
+   * @param {Object} context - Request context ({ task, route })
+   * @returns {Promise<Object>} Final message, or the partial message if aborted
+   */
+  async streamMessage(requestOptions, handlers = {}, context = {}) {
+    const response = await this.inner.streamMessage(requestOptions, handlers, context);
+    
+    // Interrupted responses are incomplete and not worth replaying
+    if (response.stop_reason) {
+      await this.writeFixture(requestOptions, response, context);
+    }
+    
+    return response;
+  }
+
+  /**
+   * Write a request/response pair to the fixture directory
+   * @param {Object} requestOptions - Messages API request body
+   * @param {Object} response - Messages API response
+   * @param {Object} context - Request context ({ task, route }), kept so fixtures are easy to find
+   */
+  async writeFixture(requestOptions, response, context = {}) {
+    const key = getFixtureKey(requestOptions);
+    
+    await fs.mkdir(this.fixtureDir, { recursive: true });
+    await fs.writeFile(
+      path.join(this.fixtureDir, `${key}.json`),
+      JSON.stringify({ key, recordedAt: new Date().toISOString(), context, request: requestOptions, response }, null, 2)
+    );
+    
+    if (global.VERBOSE_MODE) {
+      console.log(chalk.gray(`Recorded fixture: ${key}`));
+    }
+  }
+}
+
+/**
+ * Serves responses from previously recorded fixtures without touching the network
+ */
+class ReplayTransport {
+  /**
+   * Create a new ReplayTransport
+   * @param {string} fixtureDir - Directory to read fixtures from
+   */
+  constructor(fixtureDir = FIXTURE_DIR) {
+    this.fixtureDir = fixtureDir;
+    this.mode = 'replay';
+  }
+
+  /**
+   * Look up the recorded response for a request
+   * @param {Object} requestOptions - Messages API request body
+   * @returns {Promise<Object>} Recorded Messages API response
+   */
+  async createMessage(requestOptions) {
+    const key = getFixtureKey(requestOptions);
+    const fixturePath = path.join(this.fixtureDir, `${key}.json`);
+    
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`No recorded fixture for this request (${key}) in ${this.fixtureDir}. Record it first with CLAUDE_TRANSPORT=record.`);
+    }
+    
+    if (global.VERBOSE_MODE) {
+      console.log(chalk.gray(`Replaying fixture: ${key}`));
+    }
+    
+    return fixture.response;
+  }
+
+  /**
+   * Replay a recorded response as a simulated stream
+   * @param {Object} requestOptions - Messages API request body
+   * @param {Object} handlers - Stream handlers (onText, signal)
+   * @returns {Promise<Object>} Recorded message, or the partial message if aborted
+   */
+  async streamMessage(requestOptions, handlers = {}) {
+    return simulateStream(requestOptions, await this.createMessage(requestOptions), handlers);
+  }
+}
+
+/**
+ * Returns canned responses per task or phase so the whole flow can be rehearsed offline
+ */
+class MockTransport {
+  /**
+   * Create a new MockTransport
+   * @param {Object} options - Mock options
+   * @param {string} options.responsesFile - Optional JSON file mapping tasks and phases to a response or list of responses
+   */
+  constructor(options = {}) {
+    this.mode = 'mock';
+    this.responses = { ...getDefaultMockResponses() };
+    this.callCounts = {};
+    
+    if (options.responsesFile) {
+      const custom = JSON.parse(fsSync.readFileSync(options.responsesFile, 'utf8'));
+      Object.assign(this.responses, custom);
+    }
+  }
+
+  /**
+   * Return the next canned response for the request's task, or its route (the phase for conversation turns)
+   * @param {Object} requestOptions - Messages API request body
+   * @param {Object} context - Request context ({ task, route })
+   * @returns {Promise<Object>} Messages API shaped response
+   */
+  async createMessage(requestOptions, context = {}) {
+    // Exercise the tool loop: search once before answering when web_search is offered
+    const toolsAllowed = (requestOptions.tool_choice || {}).type !== 'none';
+    const searchTool = toolsAllowed && (requestOptions.tools || []).find(tool => tool.name === 'web_search');
+    const lastMessage = requestOptions.messages[requestOptions.messages.length - 1];
+    const hasToolResults = Array.isArray(lastMessage.content) &&
+      lastMessage.content.some(block => block.type === 'tool_result');
+    
+    if (searchTool && !hasToolResults) {
+      return this.buildMockMessage(requestOptions, [{
+        type: 'tool_use',
+        id: `toolu_mock_${crypto.randomBytes(8).toString('hex')}`,
+        name: 'web_search',
+        input: { query: getMessageText(lastMessage).split('\n')[0].slice(0, 100) }
+      }], 'tool_use');
+    }
+    
+    const name = [context.task, context.route].find(key => key && this.responses[key] !== undefined) || 'default';
+    const scripted = this.responses[name];
+    
+    // Lists of responses are served in order, repeating the last one
+    const count = this.callCounts[name] || 0;
+    this.callCounts[name] = count + 1;
+    const text = Array.isArray(scripted) ? scripted[Math.min(count, scripted.length - 1)] : scripted;
+    
+    return this.buildMockMessage(requestOptions, [{ type: 'text', text }], 'end_turn');
+  }
+
+  /**
+   * Wrap content blocks in a Messages API shaped response
+   * @param {Object} requestOptions - Messages API request body
+   * @param {Array} content - Content blocks
+   * @param {string} stopReason - Stop reason
+   * @returns {Object} Messages API shaped response
+   */
+  buildMockMessage(requestOptions, content, stopReason) {
+    return {
+      id: `mock_${crypto.randomBytes(8).toString('hex')}`,
+      type: 'message',
+      role: 'assistant',
+      model: requestOptions.model,
+      content,
+      stop_reason: stopReason,
+      stop_sequence: null,
+      usage: {
+        input_tokens: Math.ceil(JSON.stringify(requestOptions.messages).length / 4),
+        output_tokens: Math.ceil(JSON.stringify(content).length / 4)
+      }
+    };
+  }
+
+  /**
+   * Return a canned response as a simulated stream
+   * @param {Object} requestOptions - Messages API request body
+   * @param {Object} handlers - Stream handlers (onText, signal)
+   * @param {Object} context - Request context ({ task, route })
+   * @returns {Promise<Object>} Canned message, or the partial message if aborted
+   */
+  async streamMessage(requestOptions, handlers = {}, context = {}) {
+    return simulateStream(requestOptions, await this.createMessage(requestOptions, context), handlers);
+  }
+}
+
+/**
+ * Create a transport for the given mode
+ * @param {string} mode - Transport mode (live, record, replay, mock)
+ * @param {Object} options - Transport options
+ * @param {Anthropic} options.anthropic - Anthropic SDK client (live and record modes)
+ * @param {string} options.fixtureDir - Fixture directory (record and replay modes)
+ * @param {string} options.mockResponsesFile - Canned responses file (mock mode)
+ * @returns {Object} Transport instance
+ */
+function createTransport(mode = 'live', options = {}) {
+  const fixtureDir = options.fixtureDir ? path.resolve(options.fixtureDir) : FIXTURE_DIR;
+  
+  switch (mode) {
+    case 'live':
+      return new LiveTransport(options.anthropic);
+    case 'record':
+      return new RecordTransport(new LiveTransport(options.anthropic), fixtureDir);
+    case 'replay':
+      return new ReplayTransport(fixtureDir);
+    case 'mock':
+      return new MockTransport({ responsesFile: options.mockResponsesFile });
+    default:
+      throw new Error(`Unknown transport mode: ${mode}. Must be one of: ${TRANSPORT_MODES.join(', ')}`);
+  }
+}
+
+/**
+ * Compute the fixture key for a request
+ * @param {Object} requestOptions - Messages API request body
+ * @returns {string} Hash of model, system prompt and messages
+ */
+function getFixtureKey(requestOptions) {
+  const keyData = JSON.stringify({
+    model: requestOptions.model,
+    system: requestOptions.system,
+    messages: requestOptions.messages
+  });
+  return crypto.createHash('sha256').update(keyData).digest('hex').slice(0, 32);
+}
+
+/**
+ * Fill in the input of streamed tool_use blocks from their collected input_json_delta fragments
+ * @param {Object} message - Final message from the stream
+ * @param {Object} toolInputs - Partial JSON keyed by content block index
+ * @returns {Object} The message, with tool inputs parsed where they are complete
+ */
+function applyToolInputs(message, toolInputs) {
+  Object.keys(toolInputs).forEach(index => {
+    const block = message.content[index];
+    if (!block || block.type !== 'tool_use') {
+      return;
+    }
+    
+    try {
+      block.input = JSON.parse(toolInputs[index]);
+    } catch (error) {
+      // Leave the input as the SDK reported it; the tool call is answered with an error
+    }
+  });
+  
+  return message;
+}
+
+/**
+ * Emit a complete message's text word by word, as a live stream would
+ * @param {Object} requestOptions - Messages API request body
+ * @param {Object} message - Complete message
+ * @param {Object} handlers - Stream handlers (onText, signal)
+ * @returns {Promise<Object>} The message, or the partial message if aborted
+ */
+async function simulateStream(requestOptions, message, { onText, signal } = {}) {
+  const fullText = (message.content || [])
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+  const chunks = fullText.match(/\S+\s*|\s+/g) || [];
+  let text = '';
+  
+  for (const chunk of chunks) {
+    // Yield so Ctrl-C can be handled between chunks
+    await new Promise(resolve => setImmediate(resolve));
+    
+    if (signal && signal.aborted) {
+      return buildPartialMessage(requestOptions, text, message);
+    }
+    
+    text += chunk;
+    if (onText) onText(chunk);
+  }
+  
+  return message;
+}
+
+/**
+ * Build a message from the text received before a stream was aborted
+ * @param {Object} requestOptions - Messages API request body
+ * @param {string} text - Text received so far
+ * @param {Object} snapshot - Latest message snapshot, if any
+ * @returns {Object} Messages API shaped response with a null stop_reason
+ */
+function buildPartialMessage(requestOptions, text, snapshot) {
+  return {
+    id: snapshot ? snapshot.id : null,
+    type: 'message',
+    role: 'assistant',
+    model: requestOptions.model,
+    content: [{ type: 'text', text }],
+    stop_reason: null,
+    stop_sequence: null,
+    usage: {
+      input_tokens: snapshot && snapshot.usage ? snapshot.usage.input_tokens : 0,
+      // Output tokens are only reported when the stream finishes, so estimate them
+      output_tokens: Math.ceil(text.length / 4)
+    }
+  };
+}
+
+/**
+ * Build the default canned responses
+ * @returns {Object} Responses keyed by task or phase
+ */
+function getDefaultMockResponses() {
+  const review = `<review>
+<title>Mock Product Review: A Rehearsal Worth Reading</title>
+<rating>4</rating>
+<body>
+I've been using this product daily for three weeks, and it has quietly earned a permanent spot on my counter.
+
+## QUICK TAKE: PROS & CONS
+
+**What's Great:**
+* Sets up in under five minutes
+* Solid build that survived a drop test I did not plan
+
+**What's Not:**
+- Manual is written like a riddle
+- Slightly pricier than alternatives
+
+## THE VERDICT
+
+A dependable choice for anyone who values reliability over bells and whistles.
+</body>
+</review>`;
+  const ready = '<phase_status>{"ready": true, "unmet_requirements": []}</phase_status>';
+  
+  return {
+    intake: [
+      'Thanks for the detailed description! A few questions:\n\n1. How long have you been using the product?\n2. What alternatives have you tried?\n3. What surprised you most?\n\n<phase_status>{"ready": false, "unmet_requirements": ["All critical information gaps have been filled"]}</phase_status>',
+      `Thank you, I have all the information I need to create your review. We can now proceed to the draft phase.\n\n${ready}`
+    ],
+    draft: `Here's the complete review draft:\n\n${review}\n\n${ready}`,
+    refine: `I've applied your feedback. Here's the revised review:\n\n${review}\n\n${ready}`,
+    quality: buildMockQualityAssessment(),
+    research: 'Mock research notes: the product is widely available and commonly compared with two close competitors.',
+    gap_analysis: '1. Long-term durability\n2. Warranty coverage\n3. Compatibility with accessories',
+    context_summary: JSON.stringify({
+      facts: ['Mock product, owned for three weeks'],
+      experiences: ['Uses it daily and finds it reliable'],
+      keywords: ['mock product'],
+      openQuestions: []
+    }),
+    fact_tracking: JSON.stringify({
+      facts: [
+        { category: 'Technical Specifications', element: 'Performance metrics', fact: 'Handles daily use without slowing down' },
+        { category: 'User Experience', element: 'Ease of use observations', fact: 'Sets up in under five minutes' },
+        { category: 'Comparative Insights', element: 'Relative strengths and weaknesses', fact: 'Sturdier than alternatives, but the manual is confusing' },
+        { category: 'Comparative Insights', element: 'Value proposition assessment', fact: 'Slightly pricier than alternatives but worth it' },
+        { category: 'Use Cases', element: 'Primary intended uses', fact: 'Used daily on the kitchen counter' }
+      ]
+    }),
+    product_profile: JSON.stringify({
+      productName: 'Mock Countertop Blender 3000',
+      brand: 'Mockware',
+      category: 'kitchen',
+      keywords: {
+        'Primary Keywords': ['countertop blender', 'mock blender 3000'],
+        'Secondary/Feature Keywords': ['easy setup', 'sturdy build'],
+        'Comparison Keywords': ['vs Acme blender'],
+        'Compatibility Keywords': [],
+        'Problem-Solution Keywords': ['quick smoothies']
+      }
+    }),
+    template_screening: JSON.stringify({ answered: ['T1'] }),
+    default: 'Mock response.'
+  };
+}
+
+/**
+ * Build a canned quality assessment that matches quality.yaml's scoring_system
+ * @returns {string} JSON quality assessment
+ */
+function buildMockQualityAssessment() {
+  try {
+    const qualityPath = path.resolve(__dirname, '../framework/phases/quality.yaml');
+    const quality = yaml.load(fsSync.readFileSync(qualityPath, 'utf8'));
+    
+    return JSON.stringify({
+      categories: quality.scoring_system.categories.map(category => ({
+        name: category.name,
+        metrics: category.metrics.map(metric => ({
+          name: metric.name,
+          score: parseInt(String(metric.points).split('-').pop()) - 1,
+          rationale: 'Mock rationale.'
+        }))
+      })),
+      strengths: ['Mock strength.'],
+      enhancements: ['Mock enhancement.']
+    });
+  } catch (error) {
+    return '{}';
+  }
+}
+
+module.exports = {
+  TRANSPORT_MODES,
+  LiveTransport,
+  RecordTransport,
+  ReplayTransport,
+  MockTransport,
+  createTransport,
+  getFixtureKey
+};
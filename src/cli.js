@@ -226,129 +226,6 @@ Session.getAllSessions = async function() {
   }
 };
 
-/**
- * Extract product name from description
- * @param {string} description - Product description
- * @returns {string} Extracted product name
- */
-Session.prototype.extractProductName = async function(description) {
-  // Look for product name in first few sentences
-  // This is a simple implementation - in a full version, 
-  // we could use Claude to extract the product name accurately
-  
-  const sentences = description.split(/[.!?]\s+/);
-  const firstSentence = sentences[0] || '';
-  
-  // Look for product names in quotes or mentions of "product", "item", etc.
-  const quoteMatch = firstSentence.match(/"([^"]+)"/);
-  if (quoteMatch) return quoteMatch[1];
-  
-  const productMatch = firstSentence.match(/\b(product|item|device|tool|gadget)\b: ([^.!?]+)/i);
-  if (productMatch) return productMatch[2];
-  
-  // Default to first few words if no clear product name
-  const words = firstSentence.split(/\s+/);
-  return words.slice(0, 3).join(' ') || 'Unnamed Product';
-};
-
-/**
- * Extract keywords from messages
- * @param {Array} messages - Array of message objects
- * @returns {Array} Extracted keywords
- */
-Session.prototype.extractKeywords = function(messages) {
-  // Simple implementation - in a full version,
-  // we would analyze Claude's responses to identify keywords
-  return [];
-};
-
-/**
- * Determine product type from messages
- * @param {Array} messages - Array of message objects
- * @returns {string} Product type
- */
-Session.prototype.determineProductType = function(messages) {
-  // Simple implementation - in a full version,
-  // we would analyze messages to determine product type
-  return 'generic';
-};
-
-/**
- * Check if a phase is complete based on Claude's response
- * @param {string} content - Claude's response content
- * @param {string} phase - Current phase
- * @returns {boolean} True if phase is complete
- */
-Session.prototype.checkPhaseCompletion = function(content, phase) {
-  // Look for phase completion indicators in Claude's response
-  
-  const completionIndicators = {
-    intake: [
-      'we have gathered sufficient information',
-      'ready to move to the draft creation phase',
-      'we can now proceed to the draft phase',
-      'I have all the information I need'
-    ],
-    draft: [
-      'complete review draft is ready',
-      'the draft is now ready for your feedback',
-      'here is the completed review draft',
-      'ready for your evaluation and feedback'
-    ],
-    refine: [
-      'refinements are complete',
-      'final refined version of your review',
-      'the review is now ready for quality control',
-      'all your requested changes have been implemented'
-    ],
-    quality: [
-      'final review is complete',
-      'the review is now ready for submission',
-      'review passes all quality checks',
-      'quality assessment complete'
-    ]
-  };
-  
-  // Check if any completion indicators are present
-  const indicators = completionIndicators[phase] || [];
-  return indicators.some(indicator => 
-    content.toLowerCase().includes(indicator.toLowerCase())
-  );
-};
-
-/**
- * Extract review draft from Claude's response
- * @param {string} content - Claude's response content
- * @returns {string} Extracted review draft
- */
-Session.prototype.extractReviewDraft = function(content) {
-  // This is a simple implementation - in a full version,
-  // we would use more sophisticated extraction
-  
-  // Look for markdown code blocks which might contain the review
-  const markdownMatch = content.match(/```(?:markdown)?\s*([\s\S]+?)\s*```/);
-  if (markdownMatch) return markdownMatch[1].trim();
-  
-  // If no markdown block, look for sections that might be the review
-  const sections = content.split(/\n{2,}/);
-  
-  // Find the longest section that looks like a review
-  const reviewSection = sections.reduce((longest, section) => {
-    if (section.length > longest.length && 
-        (section.includes('PROS') || 
-         section.includes('CONS') ||
-         section.includes('VERDICT'))) {
-      return section;
-    }
-    return longest;
-  }, '');
-  
-  if (reviewSection) return reviewSection;
-  
-  // If no clear review section, return the whole content
-  return content;
-};
-
 /**
  * Extract image analysis from messages
  * @param {Array} messages - Array of message objects
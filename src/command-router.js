@@ -0,0 +1,856 @@
+/**
+ * Command Router
+ * Central dispatcher for the in-session commands documented in user-prompts.yaml, shared by all
+ * four phases. Responses are rendered from command_response_templates where a template exists
+ */
+
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const { diffWords, renderSideBySide, summarizeDiff } = require('./word-diff');
+const { MAIN_BRANCH } = require('./review-branches');
+
+// Phases in workflow order, with the names used in user-prompts.yaml
+const PHASE_ORDER = ['intake', 'draft', 'refine', 'quality'];
+const PHASE_NAMES = {
+  intake: 'Intake & Questioning',
+  draft: 'Draft Creation',
+  refine: 'Refinement',
+  quality: 'Quality Control'
+};
+
+// Marks typed text as a command; in a free-form reply, unmarked text that reads like a command is
+// only run once the user confirms it wasn't meant as the reply
+const COMMAND_PREFIXES = ['/', ':'];
+
+// Supported commands. Commands with an argument only match single-word arguments (or up to
+// `words` words), so a free-form answer that happens to start with "help" isn't mistaken for a command
+const COMMANDS = [
+  { name: 'help', argument: 'optional', usage: 'help [topic]', description: 'Show help, or help for a phase (intake, draft, refine, quality) or command' },
+  { name: 'phase', usage: 'phase', description: 'Show the current phase and overall progress' },
+  { name: 'progress', usage: 'progress', description: 'Show how far along the review is' },
+  { name: 'show review', usage: 'show review', description: 'Show the current version of the review' },
+  { name: 'compare', argument: 'optional', words: 2, usage: 'compare [branch] [branch]', description: 'Compare the original draft with the current version, or two branches side by side' },
+  { name: 'structure', usage: 'structure', description: 'Show the review structure' },
+  { name: 'keywords', usage: 'keywords', description: 'Show the identified keywords' },
+  { name: 'facts', usage: 'facts', description: 'Show the intake fact sheet' },
+  { name: 'score', usage: 'score', description: 'Show the quality assessment' },
+  { name: 'strengths', usage: 'strengths', description: 'Show the strengths found by the quality assessment' },
+  { name: 'enhance', usage: 'enhance', description: 'Show the potential improvements from the quality assessment' },
+  { name: 'final', usage: 'final', description: 'Show the finalized review' },
+  { name: 'budget', usage: 'budget', description: 'Show what this review has cost and the remaining research budget' },
+  { name: 'turns', usage: 'turns', description: 'List the conversation turns' },
+  { name: 'undo', usage: 'undo', description: 'Undo the last turn' },
+  { name: 'rewind', argument: 'required', usage: 'rewind <turn>', description: 'Rewind to the end of a turn, dropping the later turns' },
+  { name: 'edit', argument: 'required', usage: 'edit <turn>', description: 'Edit your message in a turn and send it again, dropping the later turns' },
+  { name: 'regenerate', usage: 'regenerate', description: 'Get a new response to the last turn' },
+  { name: 'branches', usage: 'branches', description: 'List the review branches' },
+  { name: 'branch', argument: 'required', usage: 'branch <name>', description: 'Fork the review into a new branch to try another version (Draft and Refinement)' },
+  { name: 'switch', argument: 'required', usage: 'switch <branch>', description: 'Switch to another branch' },
+  { name: 'promote', argument: 'required', usage: 'promote <branch>', description: 'Make a branch the main line' },
+  { name: 'jump', argument: 'required', usage: 'jump <phase>', description: 'Go to another phase (intake, draft, refine, quality)' },
+  { name: 'show-framework', argument: 'required', usage: 'show-framework <phase.section>', description: 'Show a framework section, e.g. draft.humor_framework' },
+  { name: 'save', usage: 'save', description: 'Save the session' },
+  { name: 'exit', usage: 'exit', description: 'Save the session and exit' }
+];
+
+// Commands worth suggesting in each phase (everything else works too)
+const PHASE_ACTIONS = {
+  intake: ['facts', 'keywords', 'progress', 'turns', 'undo'],
+  draft: ['show review', 'structure', 'keywords', 'regenerate', 'undo', 'branch <name>'],
+  refine: ['show review', 'compare', 'structure', 'turns', 'undo', 'branches'],
+  quality: ['score', 'strengths', 'enhance', 'final', 'jump refine']
+};
+
+class CommandRouter {
+  /**
+   * Create a new CommandRouter
+   * @param {Session} session - Session the commands act on
+   */
+  constructor(session) {
+    this.session = session;
+  }
+
+  /**
+   * Parse user input as a command, with or without a command prefix
+   * @param {string} input - User input
+   * @returns {Object|null} { name, argument }, or null if the input isn't a command
+   */
+  parse(input) {
+    const text = stripCommandPrefix((input || '').trim()).trim().replace(/\s+/g, ' ');
+    const lowered = text.toLowerCase();
+    
+    for (const command of COMMANDS) {
+      if (lowered === command.name && command.argument !== 'required') {
+        return { name: command.name, argument: null };
+      }
+      
+      if (command.argument && lowered.startsWith(`${command.name} `)) {
+        const argument = text.slice(command.name.length + 1);
+        if (argument.split(' ').length <= (command.words || 1)) {
+          return { name: command.name, argument };
+        }
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Mark input as a command, so handleReply runs it without asking
+   * @param {string} input - Command text
+   * @returns {string} Command text with a command prefix
+   */
+  markCommand(input) {
+    const text = (input || '').trim();
+    return hasCommandPrefix(text) ? text : `${COMMAND_PREFIXES[0]}${text}`;
+  }
+
+  /**
+   * Run the command in a free-form reply (an intake answer or refinement feedback). A reply with a
+   * command prefix is always a command; one that only reads like a command, such as
+   * "compare Vitamix", is run only if the user confirms it
+   * @param {string} input - User's reply
+   * @returns {Promise<Object>} { handled, phaseChanged }, as from handle; handled is false if the
+   *   reply should be sent as it is
+   */
+  async handleReply(input) {
+    const command = this.parse(input);
+    if (!command) {
+      return { handled: false };
+    }
+    
+    if (!hasCommandPrefix((input || '').trim())) {
+      const { runCommand } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'runCommand',
+          message: `"${input.trim()}" looks like the '${command.name}' command. Run it? (No sends it as your reply)`,
+          default: !command.argument
+        }
+      ]);
+      
+      if (!runCommand) {
+        return { handled: false };
+      }
+    }
+    
+    return this.handle(input);
+  }
+
+  /**
+   * Run the command in the user's input, if it is one
+   * @param {string} input - User input
+   * @returns {Promise<Object>} { handled, phaseChanged } - the phase loop resumes unless phaseChanged,
+   * in which case it should return so the session runs the new phase (or starts the rewound one over)
+   */
+  async handle(input) {
+    const command = this.parse(input);
+    if (!command) {
+      return { handled: false };
+    }
+    
+    const result = { handled: true, phaseChanged: false };
+    
+    switch (command.name) {
+      case 'help':
+        await this.showHelp(command.argument);
+        break;
+      case 'phase':
+        await this.showPhase();
+        break;
+      case 'progress':
+        await this.showProgress();
+        break;
+      case 'show review':
+        await this.showReview();
+        break;
+      case 'compare':
+        await this.showComparison(command.argument);
+        break;
+      case 'structure':
+        await this.showStructure();
+        break;
+      case 'keywords':
+        this.showKeywords();
+        break;
+      case 'facts':
+        await this.session.showFacts();
+        break;
+      case 'score':
+      case 'strengths':
+      case 'enhance':
+        this.showQualityAssessment(command.name);
+        break;
+      case 'final':
+        this.showFinalReview();
+        break;
+      case 'budget':
+        this.showBudget();
+        break;
+      case 'turns':
+        this.showTurns();
+        break;
+      case 'undo':
+        result.phaseChanged = await this.undo();
+        break;
+      case 'rewind':
+        result.phaseChanged = await this.rewind(command.argument);
+        break;
+      case 'edit':
+        result.phaseChanged = await this.editTurn(command.argument);
+        break;
+      case 'regenerate':
+        result.phaseChanged = await this.regenerate();
+        break;
+      case 'branches':
+        this.showBranches();
+        break;
+      case 'branch':
+        await this.createBranch(command.argument);
+        break;
+      case 'switch':
+        result.phaseChanged = await this.switchBranch(command.argument);
+        break;
+      case 'promote':
+        result.phaseChanged = await this.promoteBranch(command.argument);
+        break;
+      case 'jump':
+        result.phaseChanged = await this.jump(command.argument);
+        break;
+      case 'show-framework':
+        await this.session.showFrameworkSection(command.argument);
+        break;
+      case 'save':
+        await this.session.save();
+        console.log(chalk.green(`\n${await this.renderCommandResponse('save')}`));
+        break;
+      case 'exit':
+        await this.session.save();
+        console.log(chalk.yellow(`\n${await this.renderCommandResponse('exit')}`));
+        process.exit(0);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Render a command_response_templates entry with the session's current values
+   * @param {string} command - Command name
+   * @param {Object} values - Extra placeholder values
+   * @returns {Promise<string>} Rendered response
+   */
+  async renderCommandResponse(command, values = {}) {
+    const templates = await this.session.frameworkLoader.loadUserPromptTemplates('command_response_templates');
+    const template = templates.find(item => item.command === command);
+    if (!template) {
+      throw new Error(`No command response template found: ${command}`);
+    }
+    
+    return renderTemplate(template.response, {
+      PRODUCT_NAME: this.session.productName,
+      SESSION_ID: this.session.id,
+      CURRENT_PHASE: PHASE_NAMES[this.session.phase],
+      ...values
+    });
+  }
+
+  /**
+   * Show general help, or help for a phase or command
+   * @param {string|null} topic - Phase or command name
+   */
+  async showHelp(topic) {
+    const helpTemplates = await this.session.frameworkLoader.loadUserPromptTemplates('help_templates');
+    const phase = topic ? PHASE_ORDER.find(name => name === topic.toLowerCase()) : null;
+    
+    if (phase) {
+      const phaseHelp = (helpTemplates.phase_specific_help || []).find(item => item.phase === PHASE_NAMES[phase]);
+      if (phaseHelp && phaseHelp.help) {
+        console.log(chalk.cyan(`\n${phaseHelp.help.trim()}`));
+        return;
+      }
+      
+      // The framework has no help for this phase; show the general help instead
+    } else if (topic) {
+      const command = COMMANDS.find(item => item.name === topic.toLowerCase() || item.name.startsWith(`${topic.toLowerCase()} `));
+      if (command) {
+        console.log(chalk.cyan(`\n${command.usage}: ${command.description}`));
+      } else {
+        console.log(chalk.yellow(`\nNo help found for "${topic}". Topics: ${PHASE_ORDER.join(', ')}, or any command name.`));
+      }
+      return;
+    }
+    
+    console.log(chalk.cyan(`\n${helpTemplates.general_help.trim()}`));
+    console.log(chalk.cyan(`\nAll commands (start a command with ${COMMAND_PREFIXES.join(' or ')} when typing it in a reply, e.g. /help):`));
+    COMMANDS.forEach(command => console.log(`  ${command.usage.padEnd(32)} ${command.description}`));
+  }
+
+  /**
+   * Show the current phase and the status of every phase
+   */
+  async showPhase() {
+    const phaseData = this.session.phaseData;
+    const statusFor = phase => {
+      if (phaseData[phase].complete) return 'Complete';
+      return phase === this.session.phase ? 'In progress' : 'Not started';
+    };
+    
+    // The template marks every phase [✓]; show the real state instead
+    const templates = await this.session.frameworkLoader.loadUserPromptTemplates('command_response_templates');
+    const markers = PHASE_ORDER.map(phase => {
+      if (phaseData[phase].complete) return '[✓]';
+      return phase === this.session.phase ? '[>]' : '[ ]';
+    });
+    const template = templates.find(item => item.command === 'phase').response
+      .replace(/\[✓\]/g, () => markers.shift());
+    
+    console.log(chalk.cyan(`\n${renderTemplate(template, {
+      CURRENT_PHASE: PHASE_NAMES[this.session.phase],
+      PHASE_STATUS: PHASE_ORDER.map(statusFor),
+      AVAILABLE_ACTIONS: PHASE_ACTIONS[this.session.phase].map(action => `- ${action}`).join('\n')
+    })}`));
+  }
+
+  /**
+   * Show progress through the workflow and within the current phase
+   */
+  async showProgress() {
+    const phaseData = this.session.phaseData;
+    const completed = PHASE_ORDER.filter(phase => phaseData[phase].complete).length;
+    
+    console.log(chalk.cyan(`\nProgress: ${completed} of ${PHASE_ORDER.length} phases complete (currently in ${PHASE_NAMES[this.session.phase]})`));
+    
+    const facts = phaseData.intake.data.facts;
+    if (facts) {
+      const coverage = await this.session.factTracker.getCoverage(facts);
+      const covered = coverage.reduce((total, category) => total + category.covered, 0);
+      const total = coverage.reduce((sum, category) => sum + category.total, 0);
+      const missing = await this.session.factTracker.getMissingCritical(facts);
+      console.log(`Intake facts: ${covered}/${total} tracking elements covered${missing.length > 0 ? `, missing critical: ${missing.join(', ')}` : ''}`);
+    }
+    
+    if (phaseData.draft.reviewContent) {
+      console.log(`Draft: ${phaseData.draft.complete ? 'accepted' : 'generated, not yet accepted'}`);
+    }
+    
+    const versions = phaseData.refine.data.versions || [];
+    if (versions.length > 0) {
+      console.log(`Refinement: ${versions.length} revision(s)`);
+    }
+    
+    const scores = phaseData.quality.data.scores;
+    if (scores) {
+      console.log(`Quality score: ${scores.total}/${scores.maxTotal}`);
+    }
+    
+    const branchCount = this.session.reviewBranches.list().length;
+    if (branchCount > 1) {
+      console.log(`Branch: ${this.session.branch} (${branchCount} branches)`);
+    }
+  }
+
+  /**
+   * Show the current version of the review
+   */
+  async showReview() {
+    const review = this.session.getCurrentReview();
+    if (!review) {
+      console.log(chalk.yellow('\nThere is no review draft yet.'));
+      return;
+    }
+    
+    const versions = this.session.phaseData.refine.data.versions || [];
+    let draftStatus = this.session.phaseData.draft.complete ? 'Accepted draft' : 'Draft, not yet accepted';
+    if (this.session.phaseData.quality.complete) {
+      draftStatus = 'Final';
+    } else if (versions.length > 0) {
+      draftStatus = `Revision ${versions.length}`;
+    }
+    
+    console.log(`\n${await this.renderCommandResponse('show review', {
+      CURRENT_REVIEW_CONTENT: review,
+      DRAFT_STATUS: draftStatus
+    })}`);
+  }
+
+  /**
+   * Compare the original draft with the current version, or two branches side by side
+   * @param {string|null} argument - One branch (compared with the active branch) or two, or null
+   */
+  async showComparison(argument) {
+    if (argument) {
+      const names = argument.split(' ');
+      this.compareBranches(names.length === 1 ? this.session.branch : names[0], names[names.length - 1]);
+      return;
+    }
+    
+    const original = this.session.phaseData.draft.reviewContent;
+    const versions = this.session.phaseData.refine.data.versions || [];
+    
+    if (!original || versions.length === 0) {
+      console.log(chalk.yellow('\nThere are no revisions to compare yet.'));
+      return;
+    }
+    
+    const wordCount = text => text.split(/\s+/).filter(Boolean).length;
+    const changeSummary = versions
+      .map(version => `- Version ${version.version}: ${version.feedback.trim().split('\n')[0]}${version.feedbackTypes && version.feedbackTypes.length > 0 ? ` (${version.feedbackTypes.join(', ')})` : ''}`)
+      .concat(`- Length: ${wordCount(original)} → ${wordCount(versions[versions.length - 1].content)} words`)
+      .join('\n');
+    
+    console.log(`\n${await this.renderCommandResponse('compare', {
+      ORIGINAL_SECTION: original,
+      UPDATED_SECTION: versions[versions.length - 1].content,
+      CHANGE_SUMMARY: changeSummary
+    })}`);
+  }
+
+  /**
+   * Show two branches' reviews side by side with a word-level diff
+   * @param {string} leftName - Branch shown on the left (the base of the diff)
+   * @param {string} rightName - Branch shown on the right
+   */
+  compareBranches(leftName, rightName) {
+    const branches = this.session.reviewBranches;
+    const unknown = [leftName, rightName].find(name => !branches.has(name));
+    
+    if (unknown) {
+      console.log(chalk.yellow(`\nThere is no branch named "${unknown}". Type 'branches' to list them.`));
+      return;
+    }
+    
+    if (leftName === rightName) {
+      console.log(chalk.yellow('\nChoose two different branches to compare.'));
+      return;
+    }
+    
+    const left = branches.getReview(leftName);
+    const right = branches.getReview(rightName);
+    const missing = [[leftName, left], [rightName, right]].find(([, review]) => !review);
+    if (missing) {
+      console.log(chalk.yellow(`\nBranch "${missing[0]}" has no draft yet.`));
+      return;
+    }
+    
+    const changes = diffWords(left, right);
+    const summary = summarizeDiff(changes);
+    
+    console.log(chalk.cyan(`\nComparing branch "${leftName}" with "${rightName}" (${chalk.red('removed')} / ${chalk.green('added')} words):\n`));
+    console.log(renderSideBySide(changes, { leftTitle: leftName, rightTitle: rightName }));
+    console.log(chalk.cyan(`\n${summary.unchanged} words in common, ${summary.removed} only in "${leftName}", ${summary.added} only in "${rightName}"`));
+  }
+
+  /**
+   * Show the review's section structure, or the framework's section types when it has no headings
+   */
+  async showStructure() {
+    const review = this.session.getCurrentReview();
+    const headings = review ? review.split('\n').filter(line => /^#{1,3} /.test(line)) : [];
+    
+    if (headings.length > 0) {
+      console.log(chalk.cyan('\nReview structure:'));
+      headings.forEach(heading => {
+        const level = heading.match(/^#+/)[0].length;
+        console.log(`${'  '.repeat(level - 1)}- ${heading.replace(/^#+\s*/, '')}`);
+      });
+      return;
+    }
+    
+    const draftFramework = await this.session.frameworkLoader.loadPhaseFramework('draft');
+    const sectionTypes = draftFramework.pre_writing_planning?.review_structure_guidance?.common_section_types?.types || [];
+    
+    console.log(chalk.cyan(review
+      ? '\nThe current review has no section headings. Reviews draw on these section types as they fit the product:'
+      : '\nThere is no draft yet. The draft will be built from these section types as they fit the product:'));
+    sectionTypes.forEach(type => console.log(`- ${type}`));
+  }
+
+  /**
+   * Show the identified keywords by bucket
+   */
+  showKeywords() {
+    const keywords = this.session.keywords;
+    const buckets = Array.isArray(keywords) ? { Keywords: keywords } : (keywords || {});
+    const entries = Object.entries(buckets).filter(([, items]) => items.length > 0);
+    
+    if (entries.length === 0) {
+      console.log(chalk.yellow('\nNo keywords have been identified yet.'));
+      return;
+    }
+    
+    console.log(chalk.cyan('\nKeywords:'));
+    entries.forEach(([bucket, items]) => console.log(`${bucket}: ${items.join(', ')}`));
+  }
+
+  /**
+   * Show the quality assessment, or just its strengths or enhancements
+   * @param {string} part - score, strengths or enhance
+   */
+  showQualityAssessment(part) {
+    const qualityData = this.session.phaseData.quality.data;
+    if (!qualityData.scores) {
+      console.log(chalk.yellow('\nNo quality assessment yet. One is offered in the Quality Control phase.'));
+      return;
+    }
+    
+    if (part === 'score') {
+      console.log(chalk.cyan('\nQuality Assessment:'));
+      console.log(qualityData.qualityAssessment);
+      return;
+    }
+    
+    const items = part === 'strengths' ? qualityData.scores.strengths : qualityData.scores.enhancements;
+    console.log(chalk.cyan(`\n${part === 'strengths' ? 'Strengths' : 'Potential enhancements'}:`));
+    console.log(items.length > 0 ? items.map(item => `- ${item}`).join('\n') : chalk.gray('(none listed)'));
+  }
+
+  /**
+   * Show the finalized review
+   */
+  showFinalReview() {
+    const finalReview = this.session.phaseData.quality.data.finalReview;
+    if (!finalReview) {
+      console.log(chalk.yellow("\nThe review hasn't been finalized yet. Type 'show review' to see the current version."));
+      return;
+    }
+    
+    console.log(chalk.cyan('\n=== FINAL REVIEW ===\n'));
+    console.log(finalReview);
+  }
+
+  /**
+   * Show this review's spending and the research budget
+   */
+  showBudget() {
+    const claude = this.session.claude;
+    const sessionTotal = claude.spendLedger.getSessionTotal(this.session.id);
+    const breakdown = claude.spendLedger.getSessionBreakdown(this.session.id);
+    const status = claude.budgetManager.getStatus();
+    
+    console.log(chalk.cyan(`\nSpent on this review: $${sessionTotal.cost.toFixed(4)} across ${sessionTotal.calls} API calls`));
+    Object.entries(breakdown).forEach(([phase, total]) => {
+      console.log(`  ${phase}: $${total.cost.toFixed(4)} (${total.calls} calls)`);
+    });
+    console.log(`Research budget: $${status.remainingBudget.toFixed(2)} of $${status.budgetUSD.toFixed(2)} remaining`);
+  }
+
+  /**
+   * List the conversation turns
+   */
+  showTurns() {
+    const turnHistory = this.session.turnHistory;
+    const turns = turnHistory.getTurns();
+    
+    if (turns.length === 0) {
+      console.log(chalk.yellow('\nThe conversation has no turns yet.'));
+      return;
+    }
+    
+    console.log(chalk.cyan('\nConversation turns:'));
+    turns.forEach(turn => {
+      console.log(`${String(turn.number).padStart(3)}. [${turn.phase || 'unknown'}] You: ${preview(turnHistory.getRequestText(turn))}`);
+      console.log(`${' '.repeat(5)}Claude: ${turn.response ? preview(turnHistory.getResponseText(turn)) : chalk.gray('(no response yet)')}`);
+    });
+    
+    const rewindLog = this.session.rewindLog;
+    if (rewindLog.length > 0) {
+      console.log(chalk.gray(`\n${rewindLog.length} earlier rewind(s) recorded; the dropped messages are archived in ${this.session.contextManager.historyPath}`));
+    }
+  }
+
+  /**
+   * Undo the last turn
+   * @returns {Promise<boolean>} True if the phase has to start over
+   */
+  async undo() {
+    const turns = this.session.turnHistory.getTurns();
+    if (turns.length < 2) {
+      console.log(chalk.yellow('\nThere is nothing to undo.'));
+      return false;
+    }
+    
+    if (!(await this.session.turnHistory.rewind(turns.length - 1, 'undo'))) {
+      return false;
+    }
+    
+    return this.restartPhase();
+  }
+
+  /**
+   * Rewind the conversation to the end of a turn
+   * @param {string} argument - Turn number
+   * @returns {Promise<boolean>} True if the phase has to start over
+   */
+  async rewind(argument) {
+    const turnNumber = parseTurnNumber(argument);
+    const turns = this.session.turnHistory.getTurns();
+    
+    if (turnNumber >= 1 && turnNumber < turns.length) {
+      const { confirmRewind } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirmRewind',
+          message: `Rewind to turn ${turnNumber}? The ${turns.length - turnNumber} later turn(s) will be dropped (they stay in the history archive).`,
+          default: false
+        }
+      ]);
+      
+      if (!confirmRewind) {
+        return false;
+      }
+    }
+    
+    if (!(await this.session.turnHistory.rewind(turnNumber))) {
+      return false;
+    }
+    
+    return this.restartPhase();
+  }
+
+  /**
+   * Edit the user's message in a turn and send the turn again
+   * @param {string} argument - Turn number
+   * @returns {Promise<boolean>} True if the phase has to start over
+   */
+  async editTurn(argument) {
+    const turnNumber = parseTurnNumber(argument);
+    const turnHistory = this.session.turnHistory;
+    const turns = turnHistory.getTurns();
+    const turn = turns[turnNumber - 1];
+    
+    if (!turn) {
+      console.log(chalk.yellow(`\nThere is no turn ${argument}. Type 'turns' to list them.`));
+      return false;
+    }
+    
+    const original = turnHistory.getRequestText(turn);
+    const { text } = await inquirer.prompt([
+      {
+        type: 'editor',
+        name: 'text',
+        message: `Edit turn ${turnNumber} (an editor will open${turns.length > turnNumber ? `; the ${turns.length - turnNumber} later turn(s) will be dropped` : ''}):`,
+        default: original
+      }
+    ]);
+    
+    if (!text.trim() || text.trim() === original.trim()) {
+      console.log(chalk.yellow('No changes made.'));
+      return false;
+    }
+    
+    if (!(await turnHistory.replay(turnNumber, text))) {
+      return false;
+    }
+    
+    console.log(chalk.green(`\nTurn ${turnNumber} edited. Sending it to Claude again...`));
+    return this.restartPhase();
+  }
+
+  /**
+   * Get a new response to the last turn
+   * @returns {Promise<boolean>} True if the phase has to start over
+   */
+  async regenerate() {
+    const turns = this.session.turnHistory.getTurns();
+    if (turns.length === 0 || !turns[turns.length - 1].response) {
+      console.log(chalk.yellow('\nThere is no response to regenerate.'));
+      return false;
+    }
+    
+    if (!(await this.session.turnHistory.replay(turns.length))) {
+      return false;
+    }
+    
+    console.log(chalk.green('\nRegenerating the last response...'));
+    return this.restartPhase();
+  }
+
+  /**
+   * List the review branches
+   */
+  showBranches() {
+    const branches = this.session.reviewBranches.list();
+    
+    console.log(chalk.cyan('\nReview branches:'));
+    branches.forEach(branch => {
+      const origin = branch.forkedFrom ? `forked from ${branch.forkedFrom} after turn ${branch.forkTurn}` : 'original';
+      const words = branch.review ? `${branch.review.split(/\s+/).filter(Boolean).length} words` : 'no draft';
+      console.log(`${branch.active ? '*' : ' '} ${branch.name.padEnd(20)} ${PHASE_NAMES[branch.phase]}, ${branch.revisions} revision(s), ${words} (${origin})`);
+    });
+    
+    if (branches.length === 1) {
+      console.log(chalk.gray("\nType 'branch <name>' in the Draft or Refinement phase to try another version of the review."));
+    }
+  }
+
+  /**
+   * Fork the review into a new branch and switch to it
+   * @param {string} name - Branch name
+   */
+  async createBranch(name) {
+    if (this.session.reviewBranches.fork(name)) {
+      await this.session.save();
+      console.log(chalk.gray(`Changes now go to "${name}". Type 'switch ${this.session.branches[name].forkedFrom}' to go back, or 'compare ${this.session.branches[name].forkedFrom}' to see the two side by side.`));
+    }
+  }
+
+  /**
+   * Switch to another branch
+   * @param {string} name - Branch name
+   * @returns {Promise<boolean>} True if the phase has to start over in the branch's state
+   */
+  async switchBranch(name) {
+    if (!this.session.reviewBranches.switchTo(name)) {
+      return false;
+    }
+    
+    return this.restartPhase();
+  }
+
+  /**
+   * Make a branch the main line
+   * @param {string} name - Branch name
+   * @returns {Promise<boolean>} True if the phase has to start over in the branch's state
+   */
+  async promoteBranch(name) {
+    const branches = this.session.reviewBranches;
+    
+    if (name !== MAIN_BRANCH && branches.has(name)) {
+      const { confirmPromote } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirmPromote',
+          message: `Make "${name}" the main line? The current main line is kept as a branch.`,
+          default: true
+        }
+      ]);
+      
+      if (!confirmPromote) {
+        return false;
+      }
+    }
+    
+    const switching = name !== this.session.branch;
+    if (!branches.promote(name)) {
+      return false;
+    }
+    
+    if (switching) {
+      return this.restartPhase();
+    }
+    
+    await this.session.save();
+    return false;
+  }
+
+  /**
+   * Have the session start the (possibly rewound) current phase over
+   * @returns {Promise<boolean>} Always true
+   */
+  async restartPhase() {
+    this.session.restartPhase = true;
+    await this.session.save();
+    return true;
+  }
+
+  /**
+   * Switch to another phase; the current phase loop returns and the session runs the new one
+   * @param {string} target - Phase name
+   * @returns {Promise<boolean>} True if the phase changed
+   */
+  async jump(target) {
+    const phase = PHASE_ORDER.find(name => name === target.toLowerCase());
+    if (!phase) {
+      console.log(chalk.yellow(`\nUnknown phase "${target}". Phases: ${PHASE_ORDER.join(', ')}`));
+      return false;
+    }
+    
+    if (phase === this.session.phase) {
+      console.log(chalk.yellow(`\nAlready in the ${PHASE_NAMES[phase]} phase.`));
+      return false;
+    }
+    
+    // A phase can't be skipped: every phase before the target has to be complete
+    const unfinished = PHASE_ORDER
+      .slice(0, PHASE_ORDER.indexOf(phase))
+      .find(name => !this.session.phaseData[name].complete);
+    if (unfinished && PHASE_ORDER.indexOf(phase) > PHASE_ORDER.indexOf(this.session.phase)) {
+      console.log(chalk.yellow(`\nThe ${PHASE_NAMES[unfinished]} phase isn't complete yet.`));
+      return false;
+    }
+    
+    // Going back reopens the phase, as when Quality Control sends the review back for refinement
+    if (PHASE_ORDER.indexOf(phase) < PHASE_ORDER.indexOf(this.session.phase)) {
+      this.session.phaseData[phase].complete = false;
+    }
+    
+    this.session.phase = phase;
+    await this.session.save();
+    console.log(chalk.green(`\nJumping to the ${PHASE_NAMES[phase]} phase...`));
+    return true;
+  }
+}
+
+/**
+ * Check whether text starts with a command prefix
+ * @param {string} text - Trimmed user input
+ * @returns {boolean} True if the text is marked as a command
+ */
+function hasCommandPrefix(text) {
+  return COMMAND_PREFIXES.some(prefix => text.startsWith(prefix));
+}
+
+/**
+ * Remove the command prefix from text, if it has one
+ * @param {string} text - Trimmed user input
+ * @returns {string} Text without the prefix
+ */
+function stripCommandPrefix(text) {
+  return hasCommandPrefix(text) ? text.slice(1) : text;
+}
+
+/**
+ * Parse a turn number argument
+ * @param {string} argument - Command argument
+ * @returns {number} Turn number, or NaN if the argument isn't one
+ */
+function parseTurnNumber(argument) {
+  return /^\d+$/.test(argument) ? parseInt(argument, 10) : NaN;
+}
+
+/**
+ * Shorten text to a one-line preview
+ * @param {string} text - Text
+ * @returns {string} Preview
+ */
+function preview(text) {
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > 70 ? `${line.slice(0, 67)}...` : line;
+}
+
+/**
+ * Replace [PLACEHOLDER] markers in a template
+ * Array values fill repeated placeholders in order
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, values) {
+  const counters = {};
+
+  return template.trim().replace(/\[([A-Z_]+)\]/g, (placeholder, name) => {
+    const value = values[name];
+    if (value === undefined || value === null) {
+      return placeholder;
+    }
+    
+    if (Array.isArray(value)) {
+      counters[name] = (counters[name] || 0) + 1;
+      return value[counters[name] - 1] !== undefined ? value[counters[name] - 1] : placeholder;
+    }
+    
+    return String(value);
+  });
+}
+
+module.exports = { CommandRouter, PHASE_NAMES };
@@ -0,0 +1,225 @@
+/**
+ * Context Manager
+ * Keeps the conversation sent to Claude within budget by dropping analyzed images and
+ * replacing older turns with a structured summary, archiving the raw history to disk
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const chalk = require('chalk');
+const { getMessageText } = require('./message-utils');
+
+// Raw history archives live next to the session files
+const HISTORY_DIR = path.resolve(process.cwd(), '.sessions');
+
+// Instructions for condensing older turns into notes
+const SUMMARY_SYSTEM_PROMPT = `You are the CONVERSATION SUMMARIZER for a product review interview.
+Condense the conversation you are given into structured notes that will replace it, so nothing the reviewer said may be lost or invented.
+
+Respond with only a JSON object in this shape:
+{
+  "facts": ["Objective product details: name, model, specs, price, where bought, how long owned"],
+  "experiences": ["The reviewer's own experiences, opinions and anecdotes, in their words where possible"],
+  "keywords": ["Search terms and product vocabulary worth keeping for the review"],
+  "openQuestions": ["Questions that were asked but not yet answered"]
+}`;
+
+// Prefix that identifies a summary message in the conversation
+const SUMMARY_HEADER = '[CONVERSATION SUMMARY]';
+
+class ContextManager {
+  /**
+   * Create a new ContextManager
+   * @param {ClaudeAPI} claudeApi - Claude API client (used for estimates and summaries)
+   * @param {Object} options - Context options
+   * @param {string} options.sessionId - Session whose history is archived
+   * @param {number} options.maxContextTokens - Estimated request size that triggers summarization
+   * @param {number} options.keepRecentMessages - Messages always sent verbatim
+   * @param {string} options.historyDir - Directory for raw history archives
+   */
+  constructor(claudeApi, options = {}) {
+    this.claude = claudeApi;
+    this.sessionId = options.sessionId;
+    this.maxContextTokens = options.maxContextTokens || parseInt(process.env.CONTEXT_MAX_TOKENS) || 60000;
+    this.keepRecentMessages = options.keepRecentMessages || parseInt(process.env.CONTEXT_KEEP_RECENT_MESSAGES) || 6;
+    this.historyDir = options.historyDir ? path.resolve(options.historyDir) : HISTORY_DIR;
+  }
+
+  /**
+   * Get the raw history archive path for the session
+   * @returns {string} Archive file path
+   */
+  get historyPath() {
+    return path.join(this.historyDir, `${this.sessionId}.history.jsonl`);
+  }
+
+  /**
+   * Bring the conversation within the context budget before a request
+   * @param {Array} messages - Conversation messages
+   * @param {string} systemPrompt - System prompt the request will use
+   * @returns {Promise<Array>} Messages to keep (the input array if nothing changed)
+   */
+  async manage(messages, systemPrompt) {
+    let managed = await this.dropAnalyzedImages(messages);
+    
+    const estimate = this.claude.estimateInputTokens(managed, systemPrompt);
+    
+    if (global.VERBOSE_MODE) {
+      console.log(chalk.gray(`Estimated context: ${estimate} tokens (limit ${this.maxContextTokens})`));
+    }
+    
+    if (estimate > this.maxContextTokens) {
+      managed = await this.summarizeOlderTurns(managed);
+    }
+    
+    return managed;
+  }
+
+  /**
+   * Replace image blocks with a placeholder once Claude has responded to them
+   * @param {Array} messages - Conversation messages
+   * @returns {Promise<Array>} Messages without analyzed images
+   */
+  async dropAnalyzedImages(messages) {
+    const lastAssistantIndex = messages.map(message => message.role).lastIndexOf('assistant');
+    const archived = [];
+    
+    const managed = messages.map((message, index) => {
+      if (index > lastAssistantIndex || !Array.isArray(message.content) ||
+          !message.content.some(block => block.type === 'image')) {
+        return message;
+      }
+      
+      archived.push(message);
+      const imageCount = message.content.filter(block => block.type === 'image').length;
+      const content = message.content.filter(block => block.type !== 'image');
+      content.push({
+        type: 'text',
+        text: `[${imageCount} product image${imageCount === 1 ? '' : 's'} removed after the initial analysis. Refer to your earlier description of ${imageCount === 1 ? 'it' : 'them'}.]`
+      });
+      
+      return { ...message, content };
+    });
+    
+    if (archived.length === 0) {
+      return messages;
+    }
+    
+    await this.archive(archived, 'images_removed');
+    
+    if (global.VERBOSE_MODE) {
+      console.log(chalk.gray(`Removed analyzed images from ${archived.length} message(s); originals archived to ${this.historyPath}`));
+    }
+    
+    return managed;
+  }
+
+  /**
+   * Replace everything but the most recent turns with a Claude-generated summary
+   * @param {Array} messages - Conversation messages
+   * @returns {Promise<Array>} Summary message followed by the recent turns
+   */
+  async summarizeOlderTurns(messages) {
+    // Cut at an assistant message so the summary (a user turn) is followed by an assistant turn
+    let cut = messages.length - this.keepRecentMessages;
+    while (cut > 0 && messages[cut].role !== 'assistant') {
+      cut--;
+    }
+    
+    if (cut < 2) {
+      console.log(chalk.yellow('Warning: Conversation is over the context limit but too short to summarize.'));
+      return messages;
+    }
+    
+    const olderTurns = messages.slice(0, cut);
+    console.log(chalk.gray(`Summarizing ${olderTurns.length} earlier messages to keep the conversation within the context limit...`));
+    
+    let summary;
+    try {
+      summary = await this.summarize(olderTurns);
+    } catch (error) {
+      // Sending the full conversation is better than losing part of it
+      console.error(chalk.yellow(`Warning: Could not summarize the conversation: ${error.message}`));
+      return messages;
+    }
+    
+    await this.archive(olderTurns, 'summarized');
+    
+    return [
+      {
+        role: 'user',
+        content: `${SUMMARY_HEADER}\nThe earlier part of this conversation has been condensed into these notes:\n\n${formatSummary(summary)}`
+      },
+      ...messages.slice(cut)
+    ];
+  }
+
+  /**
+   * Ask Claude for a structured summary of a set of turns
+   * @param {Array} messages - Turns to summarize
+   * @returns {Promise<Object>} Summary: { facts, experiences, keywords, openQuestions }
+   */
+  async summarize(messages) {
+    const transcript = messages.map(message => `${message.role.toUpperCase()}: ${getMessageText(message, { markBlocks: true })}`).join('\n\n');
+    
+    const response = await this.claude.processMessages(
+      [{ role: 'user', content: `Summarize this conversation:\n\n${transcript}` }],
+      SUMMARY_SYSTEM_PROMPT,
+      false,
+      { stream: false, task: 'context_summary' }
+    );
+    
+    const jsonMatch = response.content.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error('Summary response did not contain JSON');
+    }
+    
+    const summary = JSON.parse(jsonMatch[0]);
+    
+    return {
+      facts: summary.facts || [],
+      experiences: summary.experiences || [],
+      keywords: summary.keywords || [],
+      openQuestions: summary.openQuestions || []
+    };
+  }
+
+  /**
+   * Append removed messages to the session's raw history archive
+   * @param {Array} messages - Messages being removed or altered
+   * @param {string} reason - Why they were removed (images_removed, summarized, rewound, edited, regenerated)
+   */
+  async archive(messages, reason) {
+    const archivedAt = new Date().toISOString();
+    const lines = messages.map(message => JSON.stringify({ archivedAt, reason, message })).join('\n');
+    
+    try {
+      await fs.mkdir(this.historyDir, { recursive: true });
+      await fs.appendFile(this.historyPath, `${lines}\n`);
+    } catch (error) {
+      console.error(chalk.red('Error archiving conversation history:'), error.message);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Format a structured summary for the conversation
+ * @param {Object} summary - Summary sections
+ * @returns {string} Formatted summary
+ */
+function formatSummary(summary) {
+  const sections = [
+    ['PRODUCT FACTS', summary.facts],
+    ['REVIEWER EXPERIENCES', summary.experiences],
+    ['KEYWORDS', summary.keywords],
+    ['OPEN QUESTIONS', summary.openQuestions]
+  ];
+
+  return sections
+    .filter(([, items]) => items.length > 0)
+    .map(([title, items]) => `${title}:\n${items.map(item => `- ${item}`).join('\n')}`)
+    .join('\n\n');
+}
+
+module.exports = { ContextManager };
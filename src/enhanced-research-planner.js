@@ -4,22 +4,22 @@
  */
 
 const chalk = require('chalk');
-const inquirer = require('inquirer');
+const { ResearchStrategy } = require('./research-strategy');
+const { extractQuestions } = require('./question-utils');
 
-class EnhancedResearchPlanner {
+class EnhancedResearchPlanner extends ResearchStrategy {
   /**
    * Create a new EnhancedResearchPlanner
    * @param {ClaudeAPI} claudeApi - Claude API instance
    * @param {string} productName - Product name
    * @param {string} productType - Product type
-   * @param {string} importance - Research importance (low, medium, high)
+   * @param {Object} options - Strategy options
+   * @param {string} options.importance - Research importance (low, medium, high)
    */
-  constructor(claudeApi, productName, productType, importance = 'medium') {
-    this.claudeApi = claudeApi;
-    this.productName = productName;
-    this.productType = productType;
-    this.importance = importance;
-    this.budgetManager = claudeApi.budgetManager;
+  constructor(claudeApi, productName, productType, options = {}) {
+    super(claudeApi, productName, productType, options);
+    this.name = 'enhanced';
+    this.importance = options.importance || 'medium';
     
     // Enhanced budget allocation with dynamic distribution
     this.researchPhases = {
@@ -75,32 +75,54 @@ class EnhancedResearchPlanner {
     
     // Build final plan
     const plan = {
+      strategy: this.name,
       totalBudget: totalBudget,
       productType: this.productType,
       importance: this.importance,
-      phases: []
+      steps: []
     };
     
     // Add enabled phases to the plan
     for (const [phase, details] of Object.entries(this.researchPhases)) {
       if (allocations[phase] > 0) {
-        plan.phases.push({
-          name: details.name,
-          phase: phase,
-          budget: allocations[phase],
+        plan.steps.push({
+          id: phase,
+          topic: details.name,
+          description: details.description,
+          type: phase === 'gapAnalysis' ? 'gap_analysis' : 'research',
+          query: this.getPhaseQuery(phase),
           priority: details.priority,
-          enabled: true,
-          description: details.description
+          budget: allocations[phase]
         });
       }
     }
     
     // Sort phases by priority
-    plan.phases.sort((a, b) => b.priority - a.priority);
+    plan.steps.sort((a, b) => b.priority - a.priority);
     
     return plan;
   }
 
+  /**
+   * Get the research query for a research phase
+   * @param {string} phase - Research phase key
+   * @returns {string|null} Research query (null for gap analysis)
+   */
+  getPhaseQuery(phase) {
+    switch (phase) {
+      case 'basicInfo':
+        return `Essential information about ${this.productName} including specifications, features, and intended use`;
+      case 'deepDive':
+        return `${this.researchPhases.deepDive.name} for ${this.productName}`;
+      case 'userExperiences':
+        return `Common user experiences, feedback, and issues with ${this.productName}`;
+      case 'alternatives':
+        return `Alternative products similar to ${this.productName} and how they compare`;
+      default:
+        return null;
+    }
+  }
+
   /**
    * Adjust research priorities based on product type
    */
@@ -259,157 +281,6 @@ class EnhancedResearchPlanner {
     return allocations;
   }
 
-  /**
-   * Execute research according to the plan
-   * @returns {Object} Research results
-   */
-  async executeResearch() {
-    const results = {
-      basicInfo: null,
-      gapAnalysis: null,
-      deepDive: null,
-      userExperiences: null,
-      alternatives: null
-    };
-    
-    // Generate the research plan
-    const plan = this.generateResearchPlan();
-    
-    console.log(chalk.cyan("\n=== ENHANCED RESEARCH PLAN ==="));
-    console.log(chalk.yellow(`Product type: ${this.productType} | Importance: ${this.importance}`));
-    console.log(chalk.yellow(`Total research budget: $${this.budgetManager.budgetUSD.toFixed(2)}`));
-    console.log(chalk.cyan("\nResearch phases:"));
-    
-    plan.phases.forEach(phase => {
-      console.log(chalk.yellow(`- ${phase.name}: $${phase.budget.toFixed(2)}`));
-    });
-    
-    // Execute each enabled research phase in priority order
-    for (const phase of plan.phases) {
-      // Check if we have budget remaining
-      if (this.budgetManager.budgetExhausted) {
-        console.log(chalk.yellow("\nResearch budget exhausted. Skipping remaining phases."));
-        break;
-      }
-      
-      console.log(chalk.cyan(`\n=== RESEARCHING: ${phase.name.toUpperCase()} ===`));
-      console.log(chalk.gray(phase.description));
-      
-      try {
-        let response;
-        switch (phase.phase) {
-          case 'basicInfo':
-            response = await this.claudeApi.performResearch(
-              `Essential information about ${this.productName} including specifications, features, and intended use`,
-              this.productName
-            );
-            results.basicInfo = response.content;
-            break;
-            
-          case 'gapAnalysis':
-            // We need some initial data before we can do gap analysis
-            const currentInsights = [];
-            if (results.basicInfo) {
-              currentInsights.push(`Basic product information collected`);
-            }
-            
-            response = await this.claudeApi.analyzeProductGaps(
-              this.productName,
-              this.productType,
-              currentInsights
-            );
-            results.gapAnalysis = response.content;
-            break;
-            
-          case 'deepDive':
-            response = await this.claudeApi.performResearch(
-              phase.name + " for " + this.productName,
-              this.productName
-            );
-            results.deepDive = response.content;
-            break;
-            
-          case 'userExperiences':
-            response = await this.claudeApi.performResearch(
-              `Common user experiences, feedback, and issues with ${this.productName}`,
-              this.productName
-            );
-            results.userExperiences = response.content;
-            break;
-            
-          case 'alternatives':
-            response = await this.claudeApi.performResearch(
-              `Alternative products similar to ${this.productName} and how they compare`,
-              this.productName
-            );
-            results.alternatives = response.content;
-            break;
-        }
-        
-        if (response && response.budgetExhausted) {
-          console.log(chalk.yellow(`Research budget exhausted during this phase.`));
-        } else {
-          console.log(chalk.green(`Research complete for ${phase.name}!`));
-        }
-      } catch (error) {
-        console.error(chalk.red(`Error researching ${phase.name}:`), error.message);
-      }
-    }
-    
-    // Show budget summary
-    const budgetStatus = this.budgetManager.getStatus();
-    console.log(chalk.cyan("\n=== RESEARCH BUDGET SUMMARY ==="));
-    console.log(chalk.yellow(`Total budget: $${budgetStatus.budgetUSD.toFixed(2)}`));
-    console.log(chalk.yellow(`Used: $${budgetStatus.totalCost.toFixed(2)} (${(100 - budgetStatus.remainingPercentage).toFixed(1)}%)`));
-    console.log(chalk.yellow(`Remaining: $${budgetStatus.remainingBudget.toFixed(2)}`));
-    
-    return results;
-  }
-
-  /**
-   * Format research results for inclusion in review
-   * @param {Object} results - Research results
-   * @returns {string} Formatted research
-   */
-  formatResearchForReview(results) {
-    if (!results || (
-      !results.basicInfo && 
-      !results.gapAnalysis && 
-      !results.deepDive && 
-      !results.userExperiences && 
-      !results.alternatives
-    )) {
-      return "";
-    }
-    
-    let formatted = "## RESEARCH INSIGHTS\n\n";
-    
-    // Add each research phase that has content
-    if (results.basicInfo) {
-      formatted += `### PRODUCT INFORMATION\n\n${this.summarizeContent(results.basicInfo)}\n\n`;
-    }
-    
-    if (results.deepDive) {
-      const deepDiveName = this.researchPhases.deepDive.name.toUpperCase();
-      formatted += `### ${deepDiveName}\n\n${this.summarizeContent(results.deepDive)}\n\n`;
-    }
-    
-    if (results.userExperiences) {
-      formatted += `### USER EXPERIENCES\n\n${this.summarizeContent(results.userExperiences)}\n\n`;
-    }
-    
-    if (results.alternatives) {
-      formatted += `### COMPETITIVE ALTERNATIVES\n\n${this.summarizeContent(results.alternatives)}\n\n`;
-    }
-    
-    // Add gap analysis last as it provides guidance on what's still missing
-    if (results.gapAnalysis) {
-      formatted += `### INFORMATION GAPS\n\n${this.summarizeContent(results.gapAnalysis)}\n\n`;
-    }
-    
-    return formatted;
-  }
-
   /**
    * Extract questions from gap analysis
    * @param {string} gapAnalysis - Gap analysis content
@@ -433,10 +304,10 @@ Make questions specific, direct, and easy to answer. Focus only on the most impo
       ];
       
       // Use Claude to generate questions (without web search)
-      const response = await this.claudeApi.processMessages(messages, systemPrompt, false);
+      const response = await this.claudeApi.processMessages(messages, systemPrompt, false, { task: 'gap_questions' });
       
       // Extract questions
-      const questions = this.extractQuestions(response.content);
+      const questions = extractQuestions(response.content);
       
       // Limit to at most 3 questions
       return questions.slice(0, 3);
@@ -445,46 +316,6 @@ Make questions specific, direct, and easy to answer. Focus only on the most impo
       return [];
     }
   }
-
-  /**
-   * Extract questions from text
-   * @param {string} content - Text content
-   * @returns {Array} Extracted questions
-   */
-  extractQuestions(content) {
-    // Look for numbered or bulleted questions
-    const questionRegex = /^[•*-]?\s*\d*\.?\s*(.+\?)$/gm;
-    const questions = [...content.matchAll(questionRegex)]
-      .map(match => match[1].trim())
-      .filter(q => q.length > 10);
-    
-    // If no clear questions found, look for any sentences ending with question marks
-    if (questions.length === 0) {
-      const sentences = content.split(/(?<=[.!?])\s+/);
-      return sentences
-        .filter(s => s.trim().endsWith('?'))
-        .map(s => s.trim())
-        .filter(s => s.length > 10);
-    }
-    
-    return questions;
-  }
-  
-  /**
-   * Summarize content to a limited number of points
-   * @param {string} content - Content to summarize
-   * @param {number} limit - Maximum number of points
-   * @returns {string} Summarized content
-   */
-  summarizeContent(content, limit = 5) {
-    // Split content into sentences
-    const sentences = content
-      .split(/(?<=[.!?])\s+/)
-      .filter(s => s.trim().length > 10)
-      .slice(0, limit);
-    
-    return sentences.join(' ');
-  }
 }
 
 module.exports = { EnhancedResearchPlanner };
@@ -0,0 +1,186 @@
+/**
+ * Fact Tracker
+ * Keeps a structured fact sheet for the Intake phase, organised by intake.yaml's
+ * information_tracking categories, and updates it from each exchange with a JSON delta from Claude
+ */
+
+const { getMessageText } = require('./message-utils');
+
+// Instructions for adding new facts from an exchange to the fact sheet
+const FACT_TRACKER_SYSTEM_PROMPT = `You are the INTAKE FACT TRACKER for a product review interview.
+You maintain a fact sheet of what the reviewer has told us, organised into categories and tracking elements.
+Given the current fact sheet and the latest exchange, report only the new facts the exchange adds.
+
+Rules:
+- Use the exact category and element names from the fact sheet
+- Record only what the reviewer said or clearly confirmed, never the interviewer's questions or assumptions
+- Keep each fact short and specific, in the reviewer's terms
+- Don't repeat facts that are already on the sheet
+
+Respond with only a JSON object in this shape:
+{
+  "facts": [
+    { "category": "<category name>", "element": "<tracking element>", "fact": "<new fact>" }
+  ]
+}`;
+
+class FactTracker {
+  /**
+   * Create a new FactTracker
+   * @param {ClaudeAPI} claudeApi - Claude API client (used for fact deltas)
+   * @param {FrameworkLoader} frameworkLoader - Loader for intake.yaml
+   */
+  constructor(claudeApi, frameworkLoader) {
+    this.claude = claudeApi;
+    this.frameworkLoader = frameworkLoader;
+  }
+
+  /**
+   * Get the tracking categories and critical elements from intake.yaml
+   * @returns {Promise<Object>} { categories: [{ name, tracking_elements }], criticalElements }
+   */
+  async getTrackingFramework() {
+    const framework = await this.frameworkLoader.loadPhaseFramework('intake');
+    const tracking = framework.information_tracking || {};
+    
+    return {
+      categories: tracking.categories || [],
+      criticalElements: tracking.critical_elements || []
+    };
+  }
+
+  /**
+   * Create an empty fact sheet with a slot for every tracking element
+   * @returns {Promise<Object>} Fact sheet: { categories: { <category>: { <element>: [facts] } }, updatedAt }
+   */
+  async createFactSheet() {
+    const { categories } = await this.getTrackingFramework();
+    const sheet = { categories: {}, updatedAt: null };
+    
+    categories.forEach(category => {
+      sheet.categories[category.name] = {};
+      (category.tracking_elements || []).forEach(element => {
+        sheet.categories[category.name][element] = [];
+      });
+    });
+    
+    return sheet;
+  }
+
+  /**
+   * Ask Claude which new facts the latest exchange adds and merge them into the sheet
+   * @param {Object} facts - Fact sheet (updated in place)
+   * @param {Array} messages - Conversation messages
+   * @returns {Promise<number>} Number of facts added
+   */
+  async update(facts, messages) {
+    const exchange = getLatestExchange(messages);
+    if (!exchange) {
+      return 0;
+    }
+    
+    const response = await this.claude.processMessages(
+      [{
+        role: 'user',
+        content: `CURRENT FACT SHEET:\n${JSON.stringify(facts.categories, null, 2)}\n\nLATEST EXCHANGE:\n${exchange}`
+      }],
+      FACT_TRACKER_SYSTEM_PROMPT,
+      false,
+      { stream: false, task: 'fact_tracking' }
+    );
+    
+    const jsonMatch = response.content.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error('Fact tracking response did not contain JSON');
+    }
+    
+    const delta = JSON.parse(jsonMatch[0]);
+    return this.applyDelta(facts, delta.facts || []);
+  }
+
+  /**
+   * Merge new facts into the sheet, ignoring unknown elements and duplicates
+   * @param {Object} facts - Fact sheet (updated in place)
+   * @param {Array} delta - New facts as { category, element, fact }
+   * @returns {number} Number of facts added
+   */
+  applyDelta(facts, delta) {
+    let added = 0;
+    
+    delta.forEach(({ category, element, fact }) => {
+      const elements = facts.categories[category];
+      const text = typeof fact === 'string' ? fact.trim() : '';
+      if (!elements || !elements[element] || !text) {
+        return;
+      }
+      
+      if (!elements[element].some(existing => existing.toLowerCase() === text.toLowerCase())) {
+        elements[element].push(text);
+        added++;
+      }
+    });
+    
+    facts.updatedAt = new Date().toISOString();
+    return added;
+  }
+
+  /**
+   * Summarize how much of each category the fact sheet covers
+   * @param {Object} facts - Fact sheet
+   * @returns {Promise<Array>} Per category: { category, covered, total, elements: [{ element, facts, critical }] }
+   */
+  async getCoverage(facts) {
+    const { criticalElements } = await this.getTrackingFramework();
+    
+    return Object.entries(facts.categories).map(([category, elements]) => {
+      const elementCoverage = Object.entries(elements).map(([element, elementFacts]) => ({
+        element,
+        facts: elementFacts,
+        critical: criticalElements.includes(element)
+      }));
+      
+      return {
+        category,
+        covered: elementCoverage.filter(item => item.facts.length > 0).length,
+        total: elementCoverage.length,
+        elements: elementCoverage
+      };
+    });
+  }
+
+  /**
+   * Get the critical elements that have no facts yet
+   * @param {Object} facts - Fact sheet
+   * @returns {Promise<Array>} Missing element names
+   */
+  async getMissingCritical(facts) {
+    const { criticalElements } = await this.getTrackingFramework();
+    
+    return criticalElements.filter(element =>
+      !Object.values(facts.categories).some(elements => (elements[element] || []).length > 0)
+    );
+  }
+}
+
+/**
+ * Get the text of the latest exchange: the user messages since the previous
+ * assistant reply, followed by the latest assistant reply
+ * @param {Array} messages - Conversation messages
+ * @returns {string|null} Exchange transcript, or null if Claude hasn't replied yet
+ */
+function getLatestExchange(messages) {
+  const roles = messages.map(message => message.role);
+  const lastAssistant = roles.lastIndexOf('assistant');
+  if (lastAssistant === -1) {
+    return null;
+  }
+
+  const previousAssistant = lastAssistant > 0 ? roles.lastIndexOf('assistant', lastAssistant - 1) : -1;
+
+  return messages
+    .slice(previousAssistant + 1, lastAssistant + 1)
+    .map(message => `${message.role === 'user' ? 'REVIEWER' : 'INTERVIEWER'}: ${getMessageText(message)}`)
+    .join('\n\n');
+}
+
+module.exports = { FactTracker };
@@ -6,6 +6,7 @@ const fs = require('fs').promises;
 const path = require('path');
 const yaml = require('js-yaml');
 const chalk = require('chalk');
+const { REVIEW_FORMAT_INSTRUCTIONS } = require('./review-extractor');
 
 class FrameworkLoader {
   constructor() {
@@ -52,7 +53,11 @@ class FrameworkLoader {
     }
     
     const filePath = path.join(this.PHASES_DIR, `${phase}.yaml`);
-    return this.loadYamlFile(filePath);
+    const phaseFramework = await this.loadYamlFile(filePath);
+    
+    // Keep a copy for section lookups and cross-phase references
+    this.cachedFrameworks[phase] = phaseFramework;
+    return phaseFramework;
   }
 
   /**
@@ -218,6 +223,20 @@ async getFrameworkSection(phase, sectionPath) {
         basePrompt += `\n\n## PRODUCT TYPE GUIDANCE\n\nThis review is for a ${customizations.productType} product, which typically ${getProductTypeNotes(customizations.productType)}`;
       }
       
+      // Keywords are grouped by intake.yaml's keyword_strategy buckets (older sessions stored a flat list)
+      if (customizations.keywords) {
+        const keywordBuckets = Array.isArray(customizations.keywords)
+          ? { Keywords: customizations.keywords }
+          : customizations.keywords;
+        const keywordLines = Object.entries(keywordBuckets)
+          .filter(([, keywords]) => keywords.length > 0)
+          .map(([bucket, keywords]) => `- ${bucket}: ${keywords.join(', ')}`);
+        
+        if (keywordLines.length > 0) {
+          basePrompt += `\n\n## TARGET KEYWORDS\n\nWork these search terms into the review naturally, where they fit the reviewer's experience:\n${keywordLines.join('\n')}`;
+        }
+      }
+      
       if (customizations.imageAnalysis && customizations.imageAnalysis.length > 0) {
         basePrompt += `\n\n## IMAGE ANALYSIS\n\nThe following images have been provided for analysis:\n${customizations.imageAnalysis.join('\n')}`;
       }
@@ -341,6 +360,10 @@ async getFrameworkSection(phase, sectionPath) {
           console.log(chalk.yellow(`Note: Could not include draft framework in refine prompt: ${error.message}`));
         }
       }
+      // Draft and refine responses must mark the review so it can be extracted reliably
+      if (phase === 'draft' || phase === 'refine') {
+        basePrompt += REVIEW_FORMAT_INSTRUCTIONS;
+      }
       return basePrompt;
     } catch (error) {
       console.error(`Error creating dynamic prompt:`, error.message);
@@ -400,4 +423,35 @@ FrameworkLoader.prototype.getRefiningGuidelines = async function() {
     console.error(`Error loading refining guidelines:`, error.message);
     return {};
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Get personality and humor guidelines for the Draft phase prompt
+ * @returns {Promise<Object>} - Humor techniques, personality elements and implementation guidance
+ */
+FrameworkLoader.prototype.getEnhancedPersonalityGuidelines = async function() {
+  try {
+    const draftFramework = await this.loadPhaseFramework('draft');
+    
+    const humorApproaches = draftFramework.humor_framework?.humor_techniques?.approaches || [];
+    const creativeElements = draftFramework.personality_techniques?.creative_elements || [];
+    const implementation = draftFramework.humor_framework?.implementation_guidance?.priorities || [];
+    
+    return {
+      humorTechniques: humorApproaches.map(approach => ({
+        name: approach.technique,
+        description: approach.description,
+        example: approach.example
+      })),
+      personalityElements: creativeElements.map(element => ({
+        name: element.name,
+        description: element.description,
+        example: element.example
+      })),
+      implementation: implementation
+    };
+  } catch (error) {
+    console.error(`Error loading personality guidelines:`, error.message);
+    return { humorTechniques: [], personalityElements: [], implementation: [] };
+  }
+};
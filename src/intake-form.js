@@ -0,0 +1,94 @@
+/**
+ * Intake Form
+ * Question-by-question answering for the Intake phase, as an alternative to replying to
+ * all of Claude's questions in one editor session
+ */
+
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+
+// Ways to reply to Claude's intake questions
+const INTAKE_MODES = ['editor', 'form'];
+
+// Answers that mark a question as not applicable
+const NOT_APPLICABLE_ANSWERS = ['na', 'n/a', 'not applicable'];
+
+class IntakeForm {
+  /**
+   * Ask each question individually
+   * @param {Array} questions - Questions extracted from Claude's response
+   * @param {number} firstId - Number of the first question's id (ids continue across rounds)
+   * @returns {Promise<Object>} { answers: [{ id, question, answer, status }], notes } - status is answered, skipped or not_applicable
+   */
+  async ask(questions, firstId = 1) {
+    console.log(chalk.cyan(`\nAnswering ${questions.length} question(s). Press Enter to skip a question, type "na" if it doesn't apply, or "edit" to write a longer answer in an editor.`));
+    
+    const answers = [];
+    for (const [index, question] of questions.entries()) {
+      const id = `Q${firstId + index}`;
+      
+      let { answer } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'answer',
+          message: `[${id}] ${question}`
+        }
+      ]);
+      
+      if (answer.trim().toLowerCase() === 'edit') {
+        ({ answer } = await inquirer.prompt([
+          {
+            type: 'editor',
+            name: 'answer',
+            message: `[${id}] ${question} (an editor will open):`
+          }
+        ]));
+      }
+      
+      const text = answer.trim();
+      let status = 'answered';
+      if (!text) {
+        status = 'skipped';
+      } else if (NOT_APPLICABLE_ANSWERS.includes(text.toLowerCase())) {
+        status = 'not_applicable';
+      }
+      
+      answers.push({ id, question, answer: status === 'answered' ? text : null, status });
+    }
+    
+    const { notes } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'notes',
+        message: 'Anything else to add? (optional)'
+      }
+    ]);
+    
+    return { answers, notes: notes.trim() };
+  }
+
+  /**
+   * Format form answers as a structured Q&A block for Claude
+   * @param {Object} form - Form result from ask()
+   * @returns {string} Q&A block
+   */
+  formatAnswers(form) {
+    const answerText = {
+      skipped: '(skipped - the reviewer chose not to answer)',
+      not_applicable: '(not applicable to this product - do not ask again)'
+    };
+    
+    const blocks = form.answers.map(item =>
+      `[${item.id}] ${item.question}\nAnswer: ${item.status === 'answered' ? item.answer : answerText[item.status]}`
+    );
+    
+    let text = `STRUCTURED ANSWERS\nMy answers to your questions, by question id:\n\n${blocks.join('\n\n')}`;
+    if (form.notes) {
+      text += `\n\nAdditional notes: ${form.notes}`;
+    }
+    
+    return text;
+  }
+}
+
+module.exports = { IntakeForm, INTAKE_MODES };
@@ -0,0 +1,24 @@
+/**
+ * Message Utilities
+ * Shared helpers for reading conversation messages
+ */
+
+/**
+ * Get the text of a message
+ * @param {Object} message - Message with string or block content
+ * @param {Object} options - Options
+ * @param {boolean} options.markBlocks - Stand in for non-text blocks with a placeholder such as [image]
+ * @returns {string} Message text
+ */
+function getMessageText(message, { markBlocks = false } = {}) {
+  if (typeof message.content === 'string') {
+    return message.content;
+  }
+
+  return message.content
+    .filter(block => markBlocks || block.type === 'text')
+    .map(block => (block.type === 'text' ? block.text : `[${block.type}]`))
+    .join('\n');
+}
+
+module.exports = { getMessageText };
@@ -0,0 +1,178 @@
+/**
+ * Model Pricing
+ * Per-model token prices and image token rules, with a user-editable override file for new models
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+
+// User-editable override file (same shape as DEFAULT_MODEL_PRICING)
+const PRICING_OVERRIDE_FILE = path.resolve(process.cwd(), 'model-pricing.json');
+
+// Model used for pricing when a model id isn't in the catalog
+const FALLBACK_MODEL = 'claude-3-7-sonnet-20250219';
+
+// Image token rule: tokens ≈ (width * height) / pixelsPerToken, after the API scales large images down
+// so the long edge is at most maxLongEdge and the image costs at most maxTokens
+const DEFAULT_IMAGE_RULE = {
+  pixelsPerToken: 750,
+  maxLongEdge: 1568,
+  maxTokens: 1600
+};
+
+// Prices in USD per million tokens
+const DEFAULT_MODEL_PRICING = {
+  'claude-opus-4-1-20250805': { input: 15.0, output: 75.0, cacheWrite: 18.75, cacheRead: 1.5 },
+  'claude-opus-4-20250514': { input: 15.0, output: 75.0, cacheWrite: 18.75, cacheRead: 1.5 },
+  'claude-sonnet-4-20250514': { input: 3.0, output: 15.0, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-3-7-sonnet-20250219': { input: 3.0, output: 15.0, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-3-5-sonnet-20241022': { input: 3.0, output: 15.0, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-3-5-sonnet-20240620': { input: 3.0, output: 15.0, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4.0, cacheWrite: 1.0, cacheRead: 0.08 },
+  'claude-3-opus-20240229': { input: 15.0, output: 75.0, cacheWrite: 18.75, cacheRead: 1.5 },
+  'claude-3-sonnet-20240229': { input: 3.0, output: 15.0, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-3-haiku-20240307': { input: 0.25, output: 1.25, cacheWrite: 0.3, cacheRead: 0.03 }
+};
+
+class ModelPricing {
+  /**
+   * Create a new ModelPricing catalog
+   * @param {Object} options - Catalog options
+   * @param {string} options.overrideFile - JSON file with extra or replacement model prices
+   */
+  constructor(options = {}) {
+    this.overrideFile = options.overrideFile ? path.resolve(options.overrideFile) : PRICING_OVERRIDE_FILE;
+    this.models = { ...DEFAULT_MODEL_PRICING };
+    this.imageRule = { ...DEFAULT_IMAGE_RULE };
+    this.warnedModels = new Set();
+    
+    this.loadOverrides();
+  }
+
+  /**
+   * Merge prices from the override file
+   * The file may contain { "models": { "<model id>": { input, output, cacheWrite, cacheRead, image } }, "image": { ... } }
+   */
+  loadOverrides() {
+    if (!fs.existsSync(this.overrideFile)) {
+      return;
+    }
+    
+    try {
+      const overrides = JSON.parse(fs.readFileSync(this.overrideFile, 'utf8'));
+      
+      Object.entries(overrides.models || {}).forEach(([model, prices]) => {
+        this.models[model] = { ...(this.models[model] || {}), ...prices };
+      });
+      
+      if (overrides.image) {
+        this.imageRule = { ...this.imageRule, ...overrides.image };
+      }
+      
+      if (global.VERBOSE_MODE) {
+        console.log(chalk.gray(`Loaded model pricing overrides from ${this.overrideFile}`));
+      }
+    } catch (error) {
+      console.error(chalk.yellow(`Warning: Could not load model pricing overrides: ${error.message}`));
+    }
+  }
+
+  /**
+   * Find the catalog entry for a model id
+   * Aliases such as "claude-3-5-haiku-latest" resolve to the newest dated version of that model
+   * @param {string} model - Model id
+   * @returns {string} Catalog model id
+   */
+  resolveModel(model) {
+    const match = findCatalogModel(this.models, model);
+    if (match) {
+      return match;
+    }
+    
+    if (!this.warnedModels.has(model)) {
+      this.warnedModels.add(model);
+      console.log(chalk.yellow(`Warning: No pricing found for model "${model}". Using ${FALLBACK_MODEL} prices; add it to ${path.basename(this.overrideFile)} for accurate costs.`));
+    }
+    
+    return FALLBACK_MODEL;
+  }
+
+  /**
+   * Get prices for a model
+   * @param {string} model - Model id
+   * @returns {Object} Prices per million tokens: { input, output, cacheWrite, cacheRead }
+   */
+  getPricing(model) {
+    const prices = this.models[this.resolveModel(model)];
+    
+    return {
+      input: prices.input,
+      output: prices.output,
+      // Cache prices default to the standard multipliers when an override omits them
+      cacheWrite: prices.cacheWrite !== undefined ? prices.cacheWrite : prices.input * 1.25,
+      cacheRead: prices.cacheRead !== undefined ? prices.cacheRead : prices.input * 0.1
+    };
+  }
+
+  /**
+   * Calculate the cost of a call
+   * @param {string} model - Model id
+   * @param {Object} usage - Token counts
+   * @param {number} usage.inputTokens - Uncached input tokens
+   * @param {number} usage.outputTokens - Output tokens
+   * @param {number} usage.cacheWriteTokens - Tokens written to the prompt cache
+   * @param {number} usage.cacheReadTokens - Tokens read from the prompt cache
+   * @returns {number} Cost in USD
+   */
+  calculateCost(model, usage = {}) {
+    const prices = this.getPricing(model);
+    
+    return ((usage.inputTokens || 0) * prices.input +
+            (usage.outputTokens || 0) * prices.output +
+            (usage.cacheWriteTokens || 0) * prices.cacheWrite +
+            (usage.cacheReadTokens || 0) * prices.cacheRead) / 1000000;
+  }
+
+  /**
+   * Estimate the input tokens for an image
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @param {string} model - Model id (models may override the image rule)
+   * @returns {number} Estimated tokens
+   */
+  estimateImageTokens(width, height, model) {
+    const modelRule = model ? this.models[this.resolveModel(model)].image : null;
+    const rule = { ...this.imageRule, ...(modelRule || {}) };
+    
+    // Images larger than the long-edge limit are scaled down by the API first
+    const scale = Math.min(1, rule.maxLongEdge / Math.max(width, height));
+    const scaledWidth = Math.round(width * scale);
+    const scaledHeight = Math.round(height * scale);
+    
+    return Math.min(Math.ceil((scaledWidth * scaledHeight) / rule.pixelsPerToken), rule.maxTokens);
+  }
+}
+
+/**
+ * Find a model in a price catalog, resolving aliases such as "claude-3-5-haiku-latest" to the
+ * newest dated version of that model
+ * @param {Object} models - Prices keyed by model id
+ * @param {string} model - Model id
+ * @returns {string|null} Catalog model id, or null if the model isn't in the catalog
+ */
+function findCatalogModel(models, model) {
+  if (models[model]) {
+    return model;
+  }
+
+  const base = String(model || '').replace(/-(latest|\d{8})$/, '');
+  const match = Object.keys(models)
+    .filter(candidate => candidate.replace(/-\d{8}$/, '') === base)
+    .sort()
+    .pop();
+
+  return match || null;
+}
+
+module.exports = { ModelPricing, DEFAULT_MODEL_PRICING, findCatalogModel };
@@ -0,0 +1,106 @@
+/**
+ * Model Routing
+ * Per-phase and per-task request settings (model, temperature, max_tokens, stop sequences),
+ * with a user-editable override file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+
+// User-editable override file (same shape as DEFAULT_ROUTES, under "routes")
+const ROUTING_OVERRIDE_FILE = path.resolve(process.cwd(), 'model-routing.json');
+
+// Built-in settings per route. Anything a route leaves out (including model) falls back to
+// CLAUDE_MODEL, MAX_TOKENS and TEMPERATURE
+const DEFAULT_ROUTES = {
+  // Short, focused questioning
+  intake: { temperature: 0.5, maxTokens: 2000 },
+  // Full review drafts need room and some creativity
+  draft: { temperature: 0.8, maxTokens: 6000 },
+  refine: { temperature: 0.7, maxTokens: 6000 },
+  // Strict JSON scoring should be repeatable
+  quality: { temperature: 0, maxTokens: 3000 },
+  // Research summaries should stick to the sources
+  research: { temperature: 0.3, maxTokens: 2000 },
+  gap_analysis: { temperature: 0.2, maxTokens: 1500 },
+  gap_questions: { temperature: 0.5, maxTokens: 1000 },
+  context_summary: { temperature: 0, maxTokens: 2000 },
+  fact_tracking: { temperature: 0, maxTokens: 1500 },
+  product_profile: { temperature: 0, maxTokens: 1000 },
+  template_screening: { temperature: 0, maxTokens: 500 }
+};
+
+// Tasks that share a phase's route
+const TASK_ROUTES = {
+  quality_scoring: 'quality'
+};
+
+class ModelRouter {
+  /**
+   * Create a new ModelRouter
+   * @param {Object} options - Router options
+   * @param {string} options.overrideFile - JSON file with extra or replacement routes
+   */
+  constructor(options = {}) {
+    this.overrideFile = options.overrideFile ? path.resolve(options.overrideFile) : ROUTING_OVERRIDE_FILE;
+    this.routes = JSON.parse(JSON.stringify(DEFAULT_ROUTES));
+    
+    this.loadOverrides();
+  }
+
+  /**
+   * Merge routes from the override file
+   * The file may contain { "routes": { "<phase or task>": { model, temperature, maxTokens, stopSequences } } }
+   */
+  loadOverrides() {
+    if (!fs.existsSync(this.overrideFile)) {
+      return;
+    }
+    
+    try {
+      const overrides = JSON.parse(fs.readFileSync(this.overrideFile, 'utf8'));
+      
+      Object.entries(overrides.routes || {}).forEach(([route, settings]) => {
+        this.routes[route] = { ...(this.routes[route] || {}), ...settings };
+      });
+      
+      if (global.VERBOSE_MODE) {
+        console.log(chalk.gray(`Loaded model routing overrides from ${this.overrideFile}`));
+      }
+    } catch (error) {
+      console.error(chalk.yellow(`Warning: Could not load model routing overrides: ${error.message}`));
+    }
+  }
+
+  /**
+   * Get the route name for a phase or task
+   * @param {string} name - Phase or task name
+   * @returns {string|null} Route name, or null if there's no route for it
+   */
+  resolveRoute(name) {
+    const route = TASK_ROUTES[name] || name;
+    return this.routes[route] ? route : null;
+  }
+
+  /**
+   * Get the request settings for a phase or task
+   * @param {string} name - Phase or task name
+   * @param {Object} defaults - Settings used for anything the route leaves out: { model, temperature, maxTokens }
+   * @returns {Object} { route, model, temperature, maxTokens, stopSequences }
+   */
+  getSettings(name, defaults = {}) {
+    const route = this.resolveRoute(name);
+    const settings = { ...defaults, ...(route ? this.routes[route] : {}) };
+    
+    return {
+      route: route || 'default',
+      model: settings.model,
+      temperature: settings.temperature,
+      maxTokens: settings.maxTokens,
+      stopSequences: settings.stopSequences || []
+    };
+  }
+}
+
+module.exports = { ModelRouter, DEFAULT_ROUTES };
@@ -0,0 +1,96 @@
+/**
+ * Phase Transitions
+ * Asks Claude to end each response with a machine-readable phase status built from the phase
+ * YAML's transition_requirements, and parses that status so Session can decide when to move on
+ */
+
+// Trailer Claude appends to every response, e.g. <phase_status>{"ready": false, ...}</phase_status>
+const PHASE_STATUS_PATTERN = /<phase_status>([\s\S]*?)<\/phase_status>/g;
+
+class PhaseTransitionChecker {
+  /**
+   * Create a new PhaseTransitionChecker
+   * @param {FrameworkLoader} frameworkLoader - Loader for the phase YAML files
+   */
+  constructor(frameworkLoader) {
+    this.frameworkLoader = frameworkLoader;
+  }
+
+  /**
+   * Get the mandatory transition requirements for a phase
+   * @param {string} phase - Phase name
+   * @returns {Promise<Array>} Requirements as { requirement, validation }
+   */
+  async getRequirements(phase) {
+    const framework = await this.frameworkLoader.loadPhaseFramework(phase);
+    return framework.transition_requirements?.mandatory_requirements || [];
+  }
+
+  /**
+   * Build the system prompt section that asks for the phase status trailer
+   * @param {string} phase - Phase name
+   * @returns {Promise<string>} Prompt section (empty if the phase has no transition requirements)
+   */
+  async buildInstructions(phase) {
+    const requirements = await this.getRequirements(phase);
+    if (requirements.length === 0) {
+      return '';
+    }
+    
+    const requirementList = requirements
+      .map(item => `- ${item.requirement}${item.validation ? ` (${item.validation})` : ''}`)
+      .join('\n');
+    
+    return `
+
+## PHASE STATUS
+
+End every response with a phase status trailer on its own line, reporting whether this phase's transition requirements are met:
+
+<phase_status>{"ready": false, "unmet_requirements": ["<requirement>", "..."]}</phase_status>
+
+Set "ready" to true only when every requirement below is met, and list the unmet ones using their exact wording. The trailer is read by the tool to decide when to move to the next phase, so always include it and keep it valid JSON.
+
+Transition requirements for this phase:
+${requirementList}`;
+  }
+
+  /**
+   * Parse the phase status trailer from a response
+   * @param {string} content - Claude's response content
+   * @returns {Object} { found, ready, unmet } - not ready with no unmet items when the trailer is missing or invalid
+   */
+  parse(content) {
+    const matches = [...(content || '').matchAll(PHASE_STATUS_PATTERN)];
+    if (matches.length === 0) {
+      return { found: false, ready: false, unmet: [] };
+    }
+    
+    try {
+      const status = JSON.parse(matches[matches.length - 1][1].trim());
+      const unmet = Array.isArray(status.unmet_requirements)
+        ? status.unmet_requirements.map(String).filter(item => item.trim())
+        : [];
+      
+      return {
+        found: true,
+        // A status that claims to be ready while listing unmet requirements isn't ready
+        ready: status.ready === true && unmet.length === 0,
+        unmet
+      };
+    } catch (error) {
+      return { found: false, ready: false, unmet: [] };
+    }
+  }
+
+  /**
+   * Remove phase status trailers from a response for display
+   * @param {string} content - Claude's response content
+   * @returns {string} Content without trailers
+   */
+  strip(content) {
+    return (content || '').replace(PHASE_STATUS_PATTERN, '').trim();
+  }
+}
+
+module.exports = { PhaseTransitionChecker };
@@ -0,0 +1,111 @@
+/**
+ * Product Profiler
+ * Identifies the product under review (name, brand, category) and its search keywords with a
+ * single structured Claude call, using the keyword buckets from intake.yaml's keyword_strategy
+ */
+
+const { getMessageText } = require('./message-utils');
+
+// Categories with type-specific prompts and research topics; anything else is 'generic'
+const PRODUCT_CATEGORIES = ['electronics', 'kitchen', 'clothing', 'beauty', 'tool', 'toy', 'book', 'software'];
+
+// Instructions for extracting the product name, brand, category and keywords
+const PROFILER_SYSTEM_PROMPT = `You are the PRODUCT PROFILER for a product review interview.
+From the reviewer's messages, identify the product being reviewed and the search keywords a review of it should target.
+
+Respond with only a JSON object in this shape:
+{
+  "productName": "Full product name including model, without the brand if it can stand alone",
+  "brand": "Brand or manufacturer, or null if unknown",
+  "category": "One of: ${PRODUCT_CATEGORIES.join(', ')}, generic",
+  "keywords": {
+    "<keyword bucket name>": ["keyword", "..."]
+  }
+}
+
+Use the exact keyword bucket names you are given and leave a bucket empty rather than guessing.`;
+
+class ProductProfiler {
+  /**
+   * Create a new ProductProfiler
+   * @param {ClaudeAPI} claudeApi - Claude API client
+   * @param {FrameworkLoader} frameworkLoader - Loader for intake.yaml
+   */
+  constructor(claudeApi, frameworkLoader) {
+    this.claude = claudeApi;
+    this.frameworkLoader = frameworkLoader;
+  }
+
+  /**
+   * Get the keyword buckets from intake.yaml's keyword_strategy
+   * @returns {Promise<Array>} Buckets as { name, description, examples }
+   */
+  async getKeywordBuckets() {
+    const framework = await this.frameworkLoader.loadPhaseFramework('intake');
+    return (framework.keyword_strategy && framework.keyword_strategy.keyword_categories) || [];
+  }
+
+  /**
+   * Extract the product profile from the conversation
+   * @param {Array} messages - Conversation messages
+   * @param {Object} current - Profile confirmed so far, if any: { productName, brand, category, keywords }
+   * @returns {Promise<Object>} Profile: { productName, brand, category, keywords: { <bucket>: [keywords] } }
+   */
+  async extract(messages, current = null) {
+    const buckets = await this.getKeywordBuckets();
+    const bucketList = buckets
+      .map(bucket => `- ${bucket.name}: ${bucket.description} (e.g. ${bucket.examples})`)
+      .join('\n');
+    
+    const transcript = messages
+      .map(message => `${message.role === 'user' ? 'REVIEWER' : 'INTERVIEWER'}: ${getMessageText(message)}`)
+      .join('\n\n');
+    
+    let request = `KEYWORD BUCKETS:\n${bucketList}\n\nCONVERSATION:\n${transcript}`;
+    if (current && current.productName) {
+      request += `\n\nThe reviewer has already confirmed this profile; keep it unless the conversation contradicts it:\n${JSON.stringify(current, null, 2)}`;
+    }
+    
+    const response = await this.claude.processMessages(
+      [{ role: 'user', content: request }],
+      PROFILER_SYSTEM_PROMPT,
+      false,
+      { stream: false, task: 'product_profile' }
+    );
+    
+    const jsonMatch = response.content.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error('Product profile response did not contain JSON');
+    }
+    
+    return this.normalize(JSON.parse(jsonMatch[0]), buckets);
+  }
+
+  /**
+   * Clean up a profile: known category, known keyword buckets, unique keywords
+   * @param {Object} profile - Raw profile
+   * @param {Array} buckets - Keyword buckets from intake.yaml
+   * @returns {Object} Normalized profile
+   */
+  normalize(profile, buckets) {
+    const category = String(profile.category || '').trim().toLowerCase();
+    const keywords = {};
+    
+    buckets.forEach(bucket => {
+      const values = Array.isArray((profile.keywords || {})[bucket.name]) ? profile.keywords[bucket.name] : [];
+      const cleaned = values.map(value => String(value).trim()).filter(Boolean);
+      keywords[bucket.name] = cleaned.filter((value, index) =>
+        cleaned.findIndex(other => other.toLowerCase() === value.toLowerCase()) === index
+      );
+    });
+    
+    return {
+      productName: typeof profile.productName === 'string' && profile.productName.trim() ? profile.productName.trim() : null,
+      brand: typeof profile.brand === 'string' && profile.brand.trim() ? profile.brand.trim() : null,
+      category: PRODUCT_CATEGORIES.includes(category) ? category : 'generic',
+      keywords
+    };
+  }
+}
+
+module.exports = { ProductProfiler, PRODUCT_CATEGORIES };
@@ -0,0 +1,304 @@
+/**
+ * Quality Scorer
+ * Requests a strict JSON quality assessment built from the scoring_system in quality.yaml
+ */
+
+const chalk = require('chalk');
+
+class QualityScorer {
+  /**
+   * Create a new QualityScorer
+   * @param {ClaudeAPI} claudeApi - Claude API instance
+   * @param {FrameworkLoader} frameworkLoader - Framework loader instance
+   * @param {Object} options - Scorer options
+   * @param {number} options.maxAttempts - Attempts before giving up on malformed JSON
+   * @param {boolean} options.stream - Stream the assessment, showing progress as it arrives
+   * @param {Function} options.onInterrupted - Called with the partial response if streaming is interrupted
+   */
+  constructor(claudeApi, frameworkLoader, options = {}) {
+    this.claudeApi = claudeApi;
+    this.frameworkLoader = frameworkLoader;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.stream = options.stream || false;
+    this.onInterrupted = options.onInterrupted || null;
+  }
+
+  /**
+   * Load the scoring schema from quality.yaml
+   * @returns {Promise<Array>} Categories with their metrics and point ranges
+   */
+  async loadSchema() {
+    const qualityFramework = await this.frameworkLoader.loadPhaseFramework('quality');
+    const categories = qualityFramework.scoring_system?.categories;
+    
+    if (!Array.isArray(categories) || categories.length === 0) {
+      throw new Error('No scoring_system categories found in quality framework');
+    }
+    
+    return categories.map(category => ({
+      name: category.name,
+      maxPoints: category.max_points,
+      metrics: (category.metrics || []).map(metric => ({
+        name: metric.name,
+        ...parsePointRange(metric.points),
+        guidance: metric.guidance ? metric.guidance.trim() : null
+      }))
+    }));
+  }
+
+  /**
+   * Score a review
+   * @param {string} reviewContent - The review to assess
+   * @returns {Promise<Object>} Validated scores with per-metric rationales and totals
+   */
+  async score(reviewContent) {
+    const schema = await this.loadSchema();
+    const systemPrompt = this.buildSystemPrompt(schema);
+    const messages = [
+      {
+        role: 'user',
+        content: `Assess this review and reply with the JSON object only.\n\n<review>\n${reviewContent}\n</review>`
+      }
+    ];
+    
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      const response = await this.requestAssessment(messages, systemPrompt);
+      
+      if (response.interrupted) {
+        if (this.onInterrupted) await this.onInterrupted(response);
+        throw new Error('Quality assessment was interrupted');
+      }
+      
+      const result = this.validate(response.content, schema);
+      
+      if (result.valid) {
+        return {
+          ...result.scores,
+          attempts: attempt,
+          scoredAt: new Date().toISOString()
+        };
+      }
+      
+      console.log(chalk.yellow(`Quality assessment JSON was invalid (attempt ${attempt}/${this.maxAttempts}): ${result.errors[0]}`));
+      
+      // Show Claude what was wrong and ask for a corrected object
+      messages.push({ role: 'assistant', content: response.content });
+      messages.push({
+        role: 'user',
+        content: `That response did not match the required JSON schema:\n${result.errors.map(error => `- ${error}`).join('\n')}\n\nReply with the corrected JSON object only.`
+      });
+    }
+    
+    throw new Error(`Quality assessment did not return valid JSON after ${this.maxAttempts} attempts`);
+  }
+
+  /**
+   * Request an assessment, showing a received-character count instead of raw JSON while streaming
+   * @param {Array} messages - Conversation so far
+   * @param {string} systemPrompt - System prompt
+   * @returns {Promise<Object>} Claude's response
+   */
+  async requestAssessment(messages, systemPrompt) {
+    if (!this.stream) {
+      return this.claudeApi.processMessages(messages, systemPrompt, false, { stream: false, task: 'quality_scoring' });
+    }
+    
+    let received = 0;
+    return this.claudeApi.processMessages(messages, systemPrompt, false, {
+      stream: true,
+      task: 'quality_scoring',
+      onText: text => {
+        received += text.length;
+        process.stdout.write(chalk.gray(`\rReceiving assessment... ${received} characters`));
+      }
+    });
+  }
+
+  /**
+   * Build the system prompt describing the required JSON
+   * @param {Array} schema - Scoring schema
+   * @returns {string} System prompt
+   */
+  buildSystemPrompt(schema) {
+    let prompt = `You are the Quality Control assessor for the Amazon Review Framework.
+Score the review using exactly the categories and metrics below. Be strict and evidence-based: every score needs a one-sentence rationale that points at the review text.
+
+## SCORING SYSTEM
+`;
+    
+    schema.forEach(category => {
+      prompt += `\n### ${category.name} (${category.maxPoints} points)\n`;
+      category.metrics.forEach(metric => {
+        prompt += `- ${metric.name}: ${metric.min}-${metric.max} points\n`;
+        if (metric.guidance) {
+          prompt += metric.guidance.split('\n').map(line => `  ${line}`).join('\n') + '\n';
+        }
+      });
+    });
+    
+    const example = {
+      categories: schema.map(category => ({
+        name: category.name,
+        metrics: category.metrics.map(metric => ({
+          name: metric.name,
+          score: metric.max,
+          rationale: '...'
+        }))
+      })),
+      strengths: ['...'],
+      enhancements: ['...']
+    };
+    
+    prompt += `
+## RESPONSE FORMAT
+
+Respond with a single JSON object and nothing else (no prose, no code fences), shaped exactly like this:
+
+${JSON.stringify(example, null, 2)}
+
+- Include every category and every metric listed above, using the exact names
+- "score" must be an integer within the metric's point range
+- "strengths" and "enhancements" list the review's most effective elements and its best improvement opportunities
+`;
+    
+    return prompt;
+  }
+
+  /**
+   * Parse and validate Claude's response against the scoring schema
+   * @param {string} content - Claude's response content
+   * @param {Array} schema - Scoring schema
+   * @returns {Object} { valid, errors, scores }
+   */
+  validate(content, schema) {
+    const errors = [];
+    let data;
+    
+    try {
+      data = JSON.parse(extractJsonObject(content));
+    } catch (error) {
+      return { valid: false, errors: [`Response is not valid JSON (${error.message})`] };
+    }
+    
+    if (!data || !Array.isArray(data.categories)) {
+      return { valid: false, errors: ['Missing "categories" array'] };
+    }
+    
+    const categories = schema.map(categorySchema => {
+      const category = data.categories.find(c => c && c.name === categorySchema.name);
+      if (!category) {
+        errors.push(`Missing category "${categorySchema.name}"`);
+        return null;
+      }
+      
+      const metrics = categorySchema.metrics.map(metricSchema => {
+        const metric = (category.metrics || []).find(m => m && m.name === metricSchema.name);
+        if (!metric) {
+          errors.push(`Missing metric "${metricSchema.name}" in "${categorySchema.name}"`);
+          return null;
+        }
+        
+        if (!Number.isInteger(metric.score) || metric.score < metricSchema.min || metric.score > metricSchema.max) {
+          errors.push(`Score for "${metricSchema.name}" must be an integer from ${metricSchema.min} to ${metricSchema.max}`);
+        }
+        if (typeof metric.rationale !== 'string' || !metric.rationale.trim()) {
+          errors.push(`Missing rationale for "${metricSchema.name}"`);
+        }
+        
+        return {
+          name: metricSchema.name,
+          score: metric.score,
+          maxPoints: metricSchema.max,
+          rationale: typeof metric.rationale === 'string' ? metric.rationale.trim() : ''
+        };
+      });
+      
+      return {
+        name: categorySchema.name,
+        score: metrics.reduce((sum, metric) => sum + (metric ? metric.score : 0), 0),
+        maxPoints: categorySchema.maxPoints,
+        metrics: metrics
+      };
+    });
+    
+    if (errors.length > 0) {
+      return { valid: false, errors };
+    }
+    
+    return {
+      valid: true,
+      errors: [],
+      scores: {
+        total: categories.reduce((sum, category) => sum + category.score, 0),
+        maxTotal: categories.reduce((sum, category) => sum + category.maxPoints, 0),
+        categories: categories,
+        strengths: toStringList(data.strengths),
+        enhancements: toStringList(data.enhancements)
+      }
+    };
+  }
+
+  /**
+   * Format scores for display
+   * @param {Object} scores - Validated scores
+   * @returns {string} Human-readable assessment
+   */
+  formatScores(scores) {
+    let formatted = '';
+    
+    scores.categories.forEach(category => {
+      formatted += `${category.name}: ${category.score}/${category.maxPoints}\n`;
+      category.metrics.forEach(metric => {
+        formatted += `  - ${metric.name}: ${metric.score}/${metric.maxPoints} - ${metric.rationale}\n`;
+      });
+    });
+    
+    formatted += `\nTotal Score: ${scores.total}/${scores.maxTotal}\n`;
+    
+    if (scores.strengths.length > 0) {
+      formatted += `\nStrengths:\n${scores.strengths.map(item => `- ${item}`).join('\n')}\n`;
+    }
+    if (scores.enhancements.length > 0) {
+      formatted += `\nPotential enhancements:\n${scores.enhancements.map(item => `- ${item}`).join('\n')}\n`;
+    }
+    
+    return formatted;
+  }
+}
+
+/**
+ * Parse a points range such as "0-5"
+ * @param {string|number} points - Points definition from quality.yaml
+ * @returns {Object} { min, max }
+ */
+function parsePointRange(points) {
+  const match = String(points).match(/(\d+)\s*-\s*(\d+)/);
+  if (match) {
+    return { min: parseInt(match[1]), max: parseInt(match[2]) };
+  }
+  return { min: 0, max: parseInt(points) || 0 };
+}
+
+/**
+ * Pull the JSON object out of a response that may include code fences or stray text
+ * @param {string} content - Response content
+ * @returns {string} JSON text
+ */
+function extractJsonObject(content) {
+  const fenced = content.match(/```(?:json)?\s*([\s\S]+?)\s*```/);
+  const text = fenced ? fenced[1] : content;
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  return start !== -1 && end > start ? text.slice(start, end + 1) : text;
+}
+
+/**
+ * Normalize an optional list of strings
+ * @param {*} value - Candidate list
+ * @returns {Array<string>} Non-empty strings
+ */
+function toStringList(value) {
+  return Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.trim()) : [];
+}
+
+module.exports = { QualityScorer };
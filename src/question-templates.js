@@ -0,0 +1,139 @@
+/**
+ * Question Templates
+ * Builds a category-aware starter questionnaire for the Intake phase from the question_templates
+ * in user-prompts.yaml, skipping templates the reviewer's initial description already answers
+ */
+
+const chalk = require('chalk');
+
+// Instructions for screening out starter questions the description already answers
+const SCREENER_SYSTEM_PROMPT = `You are the QUESTION SCREENER for a product review interview.
+You are given the reviewer's initial description of a product and a list of starter questions with ids.
+Decide which questions the description already answers clearly enough that asking them would be redundant.
+
+Respond with only a JSON object in this shape:
+{
+  "answered": ["<id of each question the description already answers>"]
+}`;
+
+class QuestionTemplateSeeder {
+  /**
+   * Create a new QuestionTemplateSeeder
+   * @param {ClaudeAPI} claudeApi - Claude API client (used to screen out answered templates)
+   * @param {FrameworkLoader} frameworkLoader - Loader for user-prompts.yaml
+   */
+  constructor(claudeApi, frameworkLoader) {
+    this.claude = claudeApi;
+    this.frameworkLoader = frameworkLoader;
+  }
+
+  /**
+   * Get the candidate starter questions for a product category
+   * Templates are interleaved across the category's template categories in priority order,
+   * so capping the list keeps a spread of topics
+   * @param {string} productCategory - Product category (electronics, kitchen, ...)
+   * @param {string} productName - Product name for the [PRODUCT_NAME] placeholder
+   * @returns {Promise<Array>} Questions as { id, category, question, followUp }
+   */
+  async getCandidates(productCategory, productName) {
+    const templates = await this.frameworkLoader.loadUserPromptTemplates('question_templates');
+    const selection = await this.frameworkLoader.loadUserPromptTemplates('question_template_selection');
+    const categoryOrder = (selection.by_product_category || {})[productCategory] || selection.default || [];
+    
+    const queues = categoryOrder
+      .map(name => templates.find(group => group.category === name))
+      .filter(Boolean)
+      .map(group => group.questions.map(item => ({ category: group.category, ...item })));
+    
+    const candidates = [];
+    while (queues.some(queue => queue.length > 0)) {
+      queues.forEach(queue => {
+        if (queue.length > 0) {
+          candidates.push(queue.shift());
+        }
+      });
+    }
+    
+    const fill = text => (text || '').replace(/\[PRODUCT_NAME\]/g, productName || 'the product');
+    
+    return candidates.map((item, index) => ({
+      id: `T${index + 1}`,
+      category: item.category,
+      question: fill(item.template),
+      followUp: item.follow_up ? fill(item.follow_up) : null
+    }));
+  }
+
+  /**
+   * Build the starter questionnaire for a new review
+   * @param {string} description - Reviewer's initial description
+   * @param {string} productCategory - Product category
+   * @param {string} productName - Product name
+   * @returns {Promise<Object>} { questions, skipped } - skipped are the templates the description already answers
+   */
+  async buildQuestionnaire(description, productCategory, productName) {
+    const selection = await this.frameworkLoader.loadUserPromptTemplates('question_template_selection');
+    const candidates = await this.getCandidates(productCategory, productName);
+    
+    let answered = [];
+    try {
+      answered = await this.screenAnswered(candidates, description);
+    } catch (error) {
+      // Asking a question twice is better than not asking it
+      console.error(chalk.yellow(`Warning: Could not check which starter questions are answered: ${error.message}`));
+    }
+    
+    return {
+      questions: candidates
+        .filter(item => !answered.includes(item.id))
+        .slice(0, selection.max_questions || 8),
+      skipped: candidates.filter(item => answered.includes(item.id))
+    };
+  }
+
+  /**
+   * Ask Claude which candidate questions the description already answers
+   * @param {Array} candidates - Candidate questions
+   * @param {string} description - Reviewer's initial description
+   * @returns {Promise<Array>} Ids of answered questions
+   */
+  async screenAnswered(candidates, description) {
+    if (candidates.length === 0 || !description.trim()) {
+      return [];
+    }
+    
+    const questionList = candidates.map(item => `[${item.id}] ${item.question}`).join('\n');
+    
+    const response = await this.claude.processMessages(
+      [{
+        role: 'user',
+        content: `INITIAL DESCRIPTION:\n${description}\n\nSTARTER QUESTIONS:\n${questionList}`
+      }],
+      SCREENER_SYSTEM_PROMPT,
+      false,
+      { stream: false, task: 'template_screening' }
+    );
+    
+    const jsonMatch = response.content.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error('Question screening response did not contain JSON');
+    }
+    
+    const result = JSON.parse(jsonMatch[0]);
+    return Array.isArray(result.answered) ? result.answered.map(String) : [];
+  }
+
+  /**
+   * Format the starter questionnaire for Claude's first intake request
+   * @param {Array} questions - Starter questions
+   * @returns {string} Prompt section
+   */
+  formatForPrompt(questions) {
+    const questionList = questions.map(item => `[${item.id}] (${item.category}) ${item.question}`).join('\n');
+    
+    return `STARTER QUESTIONS: The reviewer will answer these questions together with yours, so don't repeat or rephrase them. Only ask about what they miss, and count them toward the question limit:
+${questionList}`;
+  }
+}
+
+module.exports = { QuestionTemplateSeeder };
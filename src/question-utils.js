@@ -0,0 +1,44 @@
+/**
+ * Question Utilities
+ * Shared helpers for pulling questions out of Claude's responses
+ */
+
+// A numbered or bulleted line that ends in a question mark (optionally followed by closing emphasis)
+const QUESTION_LINE_PATTERN = /^\s*(?:[•-]|\*(?!\*)|\d+[.)])?\s*(.+\?)[*_]*\s*$/gm;
+
+/**
+ * Extract questions from text
+ * @param {string} content - Text content
+ * @returns {Array} Extracted questions, in order
+ */
+function extractQuestions(content) {
+  // Look for numbered or bulleted questions
+  const questions = [...content.matchAll(QUESTION_LINE_PATTERN)]
+    .map(match => cleanQuestion(match[1]))
+    .filter(q => q.length > 10);
+
+  // If no clear questions found, look for any sentences ending with question marks
+  if (questions.length === 0) {
+    const sentences = content.split(/(?<=[.!?])\s+/);
+    return sentences
+      .filter(s => s.trim().endsWith('?'))
+      .map(s => cleanQuestion(s))
+      .filter(s => s.length > 10);
+  }
+
+  return questions;
+}
+
+/**
+ * Strip list markers and markdown emphasis from a question
+ * @param {string} question - Raw question text
+ * @returns {string} Clean question
+ */
+function cleanQuestion(question) {
+  return question
+    .replace(/\*\*|__/g, '')
+    .trim()
+    .replace(/^\d+[.)]\s*/, '');
+}
+
+module.exports = { extractQuestions };
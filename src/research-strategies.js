@@ -0,0 +1,59 @@
+/**
+ * Research Strategies
+ * Registry of research strategies selectable from config (RESEARCH_STRATEGY) or --research-strategy
+ */
+
+const { SimplifiedResearchPlanner } = require('./simplified-research-planner');
+const { EnhancedResearchPlanner } = require('./enhanced-research-planner');
+
+// Default strategy when none is configured
+const DEFAULT_RESEARCH_STRATEGY = 'simplified';
+
+// Registered strategies by name
+const RESEARCH_STRATEGIES = {
+  simplified: SimplifiedResearchPlanner,
+  enhanced: EnhancedResearchPlanner
+};
+
+/**
+ * Register a research strategy so it can be selected by name
+ * @param {string} name - Strategy name
+ * @param {Function} StrategyClass - ResearchStrategy subclass
+ */
+function registerResearchStrategy(name, StrategyClass) {
+  RESEARCH_STRATEGIES[name] = StrategyClass;
+}
+
+/**
+ * Get the names of all registered strategies
+ * @returns {Array} Strategy names
+ */
+function getResearchStrategyNames() {
+  return Object.keys(RESEARCH_STRATEGIES);
+}
+
+/**
+ * Create a research strategy by name
+ * @param {string} name - Strategy name (defaults to RESEARCH_STRATEGY, then simplified)
+ * @param {ClaudeAPI} claudeApi - Claude API instance
+ * @param {string} productName - Product name
+ * @param {string} productType - Product type
+ * @param {Object} options - Strategy-specific options
+ * @returns {ResearchStrategy} Research strategy instance
+ */
+function createResearchStrategy(name, claudeApi, productName, productType, options = {}) {
+  const strategyName = name || process.env.RESEARCH_STRATEGY || DEFAULT_RESEARCH_STRATEGY;
+  const StrategyClass = RESEARCH_STRATEGIES[strategyName];
+  
+  if (!StrategyClass) {
+    throw new Error(`Unknown research strategy: ${strategyName}. Available strategies: ${getResearchStrategyNames().join(', ')}`);
+  }
+  
+  return new StrategyClass(claudeApi, productName, productType, options);
+}
+
+module.exports = {
+  registerResearchStrategy,
+  getResearchStrategyNames,
+  createResearchStrategy
+};
@@ -0,0 +1,209 @@
+/**
+ * Research Strategy
+ * Common contract for research planners: a plan of research steps, a shared executor and a normalized result format
+ */
+
+const chalk = require('chalk');
+
+class ResearchStrategy {
+  /**
+   * Create a new ResearchStrategy
+   * @param {ClaudeAPI} claudeApi - Claude API instance
+   * @param {string} productName - Product name
+   * @param {string} productType - Product type
+   * @param {Object} options - Strategy-specific options
+   */
+  constructor(claudeApi, productName, productType, options = {}) {
+    this.name = 'base';
+    this.claudeApi = claudeApi;
+    this.productName = productName;
+    this.productType = productType || 'generic';
+    this.options = options;
+    this.budgetManager = claudeApi.budgetManager;
+  }
+
+  /**
+   * Generate the research plan
+   * Strategies return { strategy, totalBudget, steps } where each step is
+   * { id, topic, description, type: 'research' | 'gap_analysis', query, priority, budget }
+   * @returns {Object} Research plan
+   */
+  generateResearchPlan() {
+    throw new Error(`Research strategy "${this.name}" does not implement generateResearchPlan()`);
+  }
+
+  /**
+   * Estimate the cost of a plan without calling the API
+   * @param {Object} plan - Research plan
+   * @returns {Object} Plan steps with estimated tokens and cost, plus the total
+   */
+  estimatePlanCost(plan) {
+    const steps = plan.steps.map(step => {
+      const estimate = this.budgetManager.estimateResearchTokens(
+        step.type === 'gap_analysis' ? 'gap_analysis' : 'general_research'
+      );
+      
+      // Each step is priced at the model its task is routed to, and can't write more than its max_tokens
+      const settings = this.claudeApi.getRequestSettings(step.type === 'gap_analysis' ? 'gap_analysis' : 'research');
+      const outputTokens = Math.min(estimate.outputTokens, settings.maxTokens);
+      
+      return {
+        ...step,
+        model: settings.model,
+        estimatedInputTokens: estimate.inputTokens,
+        estimatedOutputTokens: outputTokens,
+        estimatedCost: this.budgetManager.calculateCost(estimate.inputTokens, outputTokens, settings.model)
+      };
+    });
+    
+    return {
+      steps,
+      estimatedCost: steps.reduce((sum, step) => sum + step.estimatedCost, 0)
+    };
+  }
+
+  /**
+   * Print a plan with estimated costs
+   * @param {Object} plan - Research plan
+   * @returns {Object} Cost estimate
+   */
+  printPlan(plan) {
+    const estimate = this.estimatePlanCost(plan);
+    
+    console.log(chalk.cyan(`\n=== RESEARCH PLAN (${this.name}) ===`));
+    console.log(chalk.yellow(`Product: ${this.productName} (${this.productType})`));
+    console.log(chalk.yellow(`Total research budget: $${plan.totalBudget.toFixed(2)}`));
+    
+    estimate.steps.forEach((step, index) => {
+      console.log(chalk.yellow(`${index + 1}. ${step.topic} [${step.type}] - allocated $${step.budget.toFixed(2)}, estimated $${step.estimatedCost.toFixed(3)}`));
+      console.log(chalk.gray(`   ${step.description}`));
+    });
+    
+    console.log(chalk.yellow(`Estimated total cost: $${estimate.estimatedCost.toFixed(3)}`));
+    if (estimate.estimatedCost > plan.totalBudget) {
+      console.log(chalk.yellow('Estimated cost exceeds the budget; later steps may be skipped.'));
+    }
+    
+    return estimate;
+  }
+
+  /**
+   * Print the plan and estimated cost without spending any tokens
+   * @returns {Object} The plan and its cost estimate
+   */
+  dryRun() {
+    const plan = this.generateResearchPlan();
+    const estimate = this.printPlan(plan);
+    console.log(chalk.green('\nDry run: no research was performed.'));
+    
+    return { plan, ...estimate };
+  }
+
+  /**
+   * Execute the research plan
+   * @returns {Promise<Object>} Normalized results: { strategy, productResearch, gapAnalysis, completedAt }
+   */
+  async executeResearch() {
+    const plan = this.generateResearchPlan();
+    this.printPlan(plan);
+    
+    const results = {
+      strategy: this.name,
+      productResearch: [],
+      gapAnalysis: null,
+      completedAt: null
+    };
+    
+    for (const step of plan.steps) {
+      if (this.budgetManager.budgetExhausted) {
+        console.log(chalk.yellow("\nResearch budget exhausted. Skipping remaining steps."));
+        break;
+      }
+      
+      if (step.type === 'gap_analysis' && results.productResearch.length === 0) {
+        console.log(chalk.yellow("\nNo product research completed. Skipping gap analysis."));
+        continue;
+      }
+      
+      console.log(chalk.cyan(`\nResearching: ${step.topic}`));
+      console.log(chalk.gray(step.description));
+      
+      try {
+        const response = step.type === 'gap_analysis'
+          ? await this.claudeApi.analyzeProductGaps(
+              this.productName,
+              this.productType,
+              results.productResearch.map(research => `Research on ${research.topic}: Complete`)
+            )
+          : await this.claudeApi.performResearch(step.query, this.productName);
+        
+        if (response.budgetExhausted) {
+          console.log(chalk.yellow("Research budget exhausted during this step."));
+          continue;
+        }
+        
+        if (step.type === 'gap_analysis') {
+          results.gapAnalysis = response.content;
+        } else {
+          results.productResearch.push({
+            topic: step.topic,
+            result: response.content,
+            sources: response.sources || [],
+            researchedAt: new Date().toISOString()
+          });
+        }
+        
+        console.log(chalk.green("Research complete!"));
+      } catch (error) {
+        console.error(chalk.red(`Error researching ${step.topic}:`), error.message);
+      }
+    }
+    
+    // Show budget summary
+    const budgetStatus = this.budgetManager.getStatus();
+    console.log(chalk.cyan("\n=== RESEARCH BUDGET SUMMARY ==="));
+    console.log(chalk.yellow(`Total budget: $${budgetStatus.budgetUSD.toFixed(2)}`));
+    console.log(chalk.yellow(`Used: $${budgetStatus.totalCost.toFixed(2)} (${(100 - budgetStatus.remainingPercentage).toFixed(1)}%)`));
+    console.log(chalk.yellow(`Remaining: $${budgetStatus.remainingBudget.toFixed(2)}`));
+    
+    results.completedAt = new Date().toISOString();
+    return results;
+  }
+
+  /**
+   * Format research results for inclusion in review
+   * @param {Object} results - Normalized research results
+   * @returns {string} Formatted research
+   */
+  formatResearchForReview(results) {
+    if (!results || (results.productResearch.length === 0 && !results.gapAnalysis)) {
+      return "";
+    }
+    
+    let formatted = "## RESEARCH INSIGHTS\n\n";
+    
+    results.productResearch.forEach(research => {
+      formatted += `### ${research.topic.toUpperCase()}\n\n`;
+      
+      // Extract key points (first few lines for brevity)
+      const lines = research.result.split('\n').filter(line => line.trim().length > 0);
+      formatted += lines.slice(0, 3).join('\n');
+      
+      if (lines.length > 3) {
+        formatted += "\n...(additional insights available)";
+      }
+      
+      formatted += "\n\n";
+    });
+    
+    // Gap analysis last, as it describes what's still missing
+    if (results.gapAnalysis) {
+      formatted += "### INFORMATION GAPS\n\n";
+      formatted += results.gapAnalysis;
+    }
+    
+    return formatted;
+  }
+}
+
+module.exports = { ResearchStrategy };
@@ -0,0 +1,265 @@
+/**
+ * Review Branches
+ * Named variants of a review, forked in the Draft or Refinement phase so different voices can be
+ * tried side by side. The active branch lives in the session itself; every other branch keeps
+ * its conversation, its turn checkpoints, and a checkpoint of the session state to switch back to.
+ * The conversation up to the first fork is stored once in session.branchBaseMessages, and each
+ * branch keeps only how much of it the branch shares and the messages after that
+ */
+
+const chalk = require('chalk');
+
+// Name of the branch every session starts on
+const MAIN_BRANCH = 'main';
+
+// Name the old main line is kept under when another branch is promoted
+const PREVIOUS_MAIN_BRANCH = 'previous-main';
+
+// Phases a branch can be forked in
+const FORKABLE_PHASES = ['draft', 'refine'];
+
+// Branch names are single words so they work as command arguments
+const BRANCH_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+class ReviewBranches {
+  /**
+   * Create a new ReviewBranches
+   * @param {Session} session - Session whose branches are managed
+   */
+  constructor(session) {
+    this.session = session;
+  }
+
+  /**
+   * Check whether a branch exists
+   * @param {string} name - Branch name
+   * @returns {boolean} True if the branch exists
+   */
+  has(name) {
+    return name === this.session.branch || Boolean(this.session.branches[name]);
+  }
+
+  /**
+   * List the branches, starting with the active one
+   * @returns {Array} Branches as { name, active, forkedFrom, forkedAt, forkTurn, phase, revisions, review }
+   */
+  list() {
+    const session = this.session;
+    const names = [session.branch, ...Object.keys(session.branches).filter(name => name !== session.branch)];
+    
+    return names.map(name => {
+      const record = session.branches[name] || {};
+      const phaseData = name === session.branch ? session.phaseData : record.state.phaseData;
+      
+      return {
+        name,
+        active: name === session.branch,
+        forkedFrom: record.forkedFrom || null,
+        forkedAt: record.forkedAt || null,
+        forkTurn: record.forkTurn || null,
+        phase: name === session.branch ? session.phase : record.state.phase,
+        revisions: (phaseData.refine.data.versions || []).length,
+        review: getReviewContent(phaseData)
+      };
+    });
+  }
+
+  /**
+   * Get the current review of a branch
+   * @param {string} name - Branch name
+   * @returns {string} Review content, or an empty string if the branch has no draft
+   */
+  getReview(name) {
+    if (name === this.session.branch) {
+      return this.session.getCurrentReview();
+    }
+    
+    return getReviewContent(this.session.branches[name].state.phaseData);
+  }
+
+  /**
+   * Fork the active branch into a new branch and switch to it; both start from the same state
+   * @param {string} name - New branch name
+   * @returns {boolean} True if the branch was created
+   */
+  fork(name) {
+    const session = this.session;
+    
+    if (!FORKABLE_PHASES.includes(session.phase)) {
+      console.log(chalk.yellow('\nBranches can only be created in the Draft and Refinement phases.'));
+      return false;
+    }
+    
+    if (!BRANCH_NAME_PATTERN.test(name)) {
+      console.log(chalk.yellow(`\n"${name}" isn't a valid branch name. Use letters, numbers, - and _.`));
+      return false;
+    }
+    
+    if (this.has(name)) {
+      console.log(chalk.yellow(`\nThere is already a branch named "${name}".`));
+      return false;
+    }
+    
+    // The branch being left keeps its own copy of the conversation, which carries on separately
+    this.stash();
+    
+    session.branches[name] = {
+      forkedFrom: session.branch,
+      forkedAt: new Date().toISOString(),
+      forkTurn: session.turnHistory.getTurns().length
+    };
+    session.branch = name;
+    
+    console.log(chalk.green(`\nCreated branch "${name}" from "${session.branches[name].forkedFrom}" and switched to it.`));
+    return true;
+  }
+
+  /**
+   * Switch to another branch, putting the session into that branch's state
+   * @param {string} name - Branch name
+   * @returns {boolean} True if the branch changed
+   */
+  switchTo(name) {
+    const session = this.session;
+    
+    if (name === session.branch) {
+      console.log(chalk.yellow(`\nAlready on branch "${name}".`));
+      return false;
+    }
+    
+    if (!this.has(name)) {
+      console.log(chalk.yellow(`\nThere is no branch named "${name}". Type 'branches' to list them.`));
+      return false;
+    }
+    
+    this.stash();
+    
+    const record = session.branches[name];
+    const baseMessages = JSON.parse(JSON.stringify(session.branchBaseMessages.slice(0, record.baseMessages || 0)));
+    session.messages = [...baseMessages, ...record.messages];
+    session.checkpoints = session.turnHistory.adoptLegacyCheckpoints(session.messages, record.checkpoints);
+    session.turnHistory.restoreCheckpoint(record.state);
+    delete record.baseMessages;
+    delete record.messages;
+    delete record.checkpoints;
+    delete record.state;
+    session.branch = name;
+    
+    console.log(chalk.green(`\nSwitched to branch "${name}".`));
+    return true;
+  }
+
+  /**
+   * Make a branch the main line; the old main line is kept as a branch
+   * @param {string} name - Branch name
+   * @returns {boolean} True if the branch was promoted (it is active afterwards)
+   */
+  promote(name) {
+    const session = this.session;
+    
+    if (name === MAIN_BRANCH) {
+      console.log(chalk.yellow(`\n"${MAIN_BRANCH}" is already the main line.`));
+      return false;
+    }
+    
+    if (!this.has(name)) {
+      console.log(chalk.yellow(`\nThere is no branch named "${name}". Type 'branches' to list them.`));
+      return false;
+    }
+    
+    if (name !== session.branch) {
+      this.switchTo(name);
+    }
+    
+    const previousMain = this.getUnusedName(PREVIOUS_MAIN_BRANCH);
+    this.rename(MAIN_BRANCH, previousMain);
+    this.rename(name, MAIN_BRANCH);
+    session.branches[MAIN_BRANCH].promotedFrom = name;
+    session.branches[MAIN_BRANCH].promotedAt = new Date().toISOString();
+    
+    console.log(chalk.green(`\nBranch "${name}" is now the main line. The old main line is kept as "${previousMain}".`));
+    return true;
+  }
+
+  /**
+   * Store the active branch's conversation after the shared base, turn checkpoints and state in its branch record
+   */
+  stash() {
+    const session = this.session;
+    const record = session.branches[session.branch] || { forkedFrom: null, forkedAt: null, forkTurn: null };
+    
+    // The first stash stores the conversation the branches share; later ones reuse what still matches
+    if (session.branchBaseMessages.length === 0) {
+      session.branchBaseMessages = JSON.parse(JSON.stringify(session.messages));
+    }
+    
+    record.baseMessages = countSharedMessages(session.branchBaseMessages, session.messages);
+    record.messages = JSON.parse(JSON.stringify(session.messages.slice(record.baseMessages)));
+    record.checkpoints = JSON.parse(JSON.stringify(session.checkpoints));
+    record.state = session.turnHistory.createCheckpoint();
+    session.branches[session.branch] = record;
+  }
+
+  /**
+   * Rename a branch, updating the branches forked from it
+   * @param {string} from - Current name
+   * @param {string} to - New name
+   */
+  rename(from, to) {
+    const session = this.session;
+    
+    session.branches[to] = session.branches[from] || { forkedFrom: null, forkedAt: null, forkTurn: null };
+    delete session.branches[from];
+    
+    Object.values(session.branches)
+      .filter(record => record.forkedFrom === from)
+      .forEach(record => {
+        record.forkedFrom = to;
+      });
+    
+    if (session.branch === from) {
+      session.branch = to;
+    }
+  }
+
+  /**
+   * Find a branch name that isn't taken, adding a number if needed
+   * @param {string} base - Preferred name
+   * @returns {string} Unused name
+   */
+  getUnusedName(base) {
+    let name = base;
+    for (let number = 2; this.has(name); number++) {
+      name = `${base}-${number}`;
+    }
+    
+    return name;
+  }
+}
+
+/**
+ * Get the current review from a branch's phase data
+ * @param {Object} phaseData - Session phase data
+ * @returns {string} Review content, or an empty string if there is no draft
+ */
+function getReviewContent(phaseData) {
+  return phaseData.refine.reviewContent || phaseData.draft.reviewContent || '';
+}
+
+/**
+ * Count the leading messages two conversations have in common
+ * @param {Array} baseMessages - Shared conversation
+ * @param {Array} messages - Branch conversation
+ * @returns {number} Number of matching messages at the start
+ */
+function countSharedMessages(baseMessages, messages) {
+  let count = 0;
+  while (count < baseMessages.length && count < messages.length &&
+    JSON.stringify(baseMessages[count]) === JSON.stringify(messages[count])) {
+    count++;
+  }
+
+  return count;
+}
+
+module.exports = { ReviewBranches, MAIN_BRANCH };
@@ -0,0 +1,164 @@
+/**
+ * Review Extractor
+ * Pulls the review out of Claude's draft and refinement responses, preferring the explicit
+ * <review> markers the prompts ask for and falling back to layout heuristics
+ */
+
+// Output format appended to the draft and refine system prompts
+const REVIEW_FORMAT_INSTRUCTIONS = `
+
+## REVIEW OUTPUT FORMAT
+
+Whenever your response contains the complete review, put the review (and nothing else) between these markers:
+
+<review>
+<title>The review headline, without markdown</title>
+<rating>Star rating from 1 to 5</rating>
+<body>
+The full review in markdown, starting after the headline
+</body>
+</review>
+
+Keep planning notes, explanations and questions outside the markers. Include exactly one <review> block per response.`;
+
+// Phrases that usually follow the review when Claude adds commentary after it
+const END_MARKERS = [
+  '\n\nI hope this review',
+  '\n\nLet me know if',
+  '\n\nIs there anything'
+];
+
+// Words that suggest a paragraph belongs to the review
+const REVIEW_KEYWORDS = ['PROS', 'CONS', 'VERDICT', 'REVIEW', 'RATING'];
+
+class ReviewExtractor {
+  /**
+   * Extract the review from a response
+   * @param {string} content - Claude's response content
+   * @returns {Object} { review, title, rating, body, method } - method is 'markers' or the heuristic that matched
+   */
+  extract(content) {
+    return this.extractFromMarkers(content) || this.extractWithHeuristics(content);
+  }
+
+  /**
+   * Extract a review from <review> markers
+   * The last block wins, and an unterminated block (e.g. a cut-off response) runs to the end
+   * @param {string} content - Claude's response content
+   * @returns {Object|null} Extracted review, or null if there are no markers
+   */
+  extractFromMarkers(content) {
+    const blocks = [...content.matchAll(/<review>([\s\S]*?)(?:<\/review>|$)/g)];
+    if (blocks.length === 0) {
+      return null;
+    }
+    
+    const block = blocks[blocks.length - 1][1];
+    const title = getTagContent(block, 'title');
+    const ratingText = getTagContent(block, 'rating');
+    const rating = ratingText ? parseFloat(ratingText) : null;
+    
+    let body = getTagContent(block, 'body');
+    if (body === null) {
+      // Tolerate a missing <body> wrapper: everything that isn't another field is the body
+      body = block.replace(/<(title|rating)>[\s\S]*?<\/\1>/g, '').trim();
+    }
+    
+    if (!body) {
+      return null;
+    }
+    
+    return {
+      review: title ? `## ${title}\n\n${body}` : body,
+      title,
+      rating: rating >= 1 && rating <= 5 ? rating : null,
+      body,
+      method: 'markers'
+    };
+  }
+
+  /**
+   * Format an extracted review for the terminal: title, rating and body
+   * @param {Object} extracted - Review from extract
+   * @returns {string} Formatted review
+   */
+  format(extracted) {
+    return [
+      extracted.title ? `## ${extracted.title}` : null,
+      extracted.rating ? `Rating: ${extracted.rating}/5` : null,
+      extracted.body
+    ].filter(Boolean).join('\n\n');
+  }
+
+  /**
+   * Replace the <review> blocks in a response with the reviews formatted for the terminal,
+   * keeping the rest of the response as it is
+   * @param {string} content - Claude's response content
+   * @returns {string} Content without review markup
+   */
+  formatForDisplay(content) {
+    return content.replace(/<review>[\s\S]*?(?:<\/review>|$)/g, block => {
+      const extracted = this.extractFromMarkers(block);
+      return extracted ? this.format(extracted) : '';
+    }).trim();
+  }
+
+  /**
+   * Guess the review from the layout of the response (fallback for responses without markers)
+   * @param {string} content - Claude's response content
+   * @returns {Object} Extracted review with the heuristic used as its method
+   */
+  extractWithHeuristics(content) {
+    const result = (review, method) => ({ review, title: null, rating: null, body: review, method });
+    
+    // First look for content between markdown code blocks
+    const markdownMatch = content.match(/```(?:markdown)?\s*([\s\S]+?)\s*```/);
+    if (markdownMatch) return result(markdownMatch[1].trim(), 'code_block');
+    
+    // Next, take everything from the first heading up to any closing commentary
+    const firstHeaderMatch = content.match(/(^|\n)(# |## ).+/);
+    if (firstHeaderMatch && /(^|\n)## .+/.test(content)) {
+      const endIndex = END_MARKERS
+        .map(marker => content.indexOf(marker))
+        .filter(index => index !== -1)
+        .reduce((earliest, index) => Math.min(earliest, index), content.length);
+      
+      return result(content.substring(firstHeaderMatch.index, endIndex).trim(), 'headings');
+    }
+    
+    // Look for the longest paragraph containing review keywords
+    const paragraphs = content.split(/\n{2,}/);
+    const reviewSection = paragraphs.reduce((longest, paragraph) => {
+      const hasKeywords = REVIEW_KEYWORDS.some(keyword => paragraph.toUpperCase().includes(keyword));
+      return hasKeywords && paragraph.length > longest.length ? paragraph : longest;
+    }, '');
+    
+    if (reviewSection.length > 100) {
+      return result(reviewSection, 'keyword_paragraph');
+    }
+    
+    // If the longest paragraph is substantial, it might be part of the review
+    const longestParagraph = paragraphs.reduce((longest, paragraph) =>
+      paragraph.length > longest.length ? paragraph : longest, '');
+    
+    if (longestParagraph.length > 200) {
+      return result(longestParagraph, 'longest_paragraph');
+    }
+    
+    // If no clear review section, return the whole content
+    return result(content, 'full_response');
+  }
+}
+
+/**
+ * Get the trimmed text inside the first <tag>...</tag> pair
+ * @param {string} text - Text to search
+ * @param {string} tag - Tag name
+ * @returns {string|null} Tag content, or null if the tag is missing
+ */
+function getTagContent(text, tag) {
+  const match = text.match(new RegExp(`<${tag}>([\\s\\S]*?)(?:</${tag}>|$)`));
+  return match ? match[1].trim() : null;
+}
+
+module.exports = { ReviewExtractor, REVIEW_FORMAT_INSTRUCTIONS };
@@ -0,0 +1,159 @@
+/**
+ * Search Backends
+ * Pluggable web search providers for Claude's web_search tool
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+
+// Default fixture file for offline search
+const SEARCH_FIXTURE_FILE = path.resolve(process.cwd(), '.fixtures', 'search.json');
+
+/**
+ * Base class for search backends
+ * Subclasses implement search() and return results as { url, title, snippet }
+ */
+class SearchBackend {
+  /**
+   * Create a new SearchBackend
+   * @param {Object} options - Backend options
+   * @param {number} options.maxResults - Maximum results returned per query
+   */
+  constructor(options = {}) {
+    this.name = 'base';
+    this.maxResults = options.maxResults || 5;
+  }
+
+  /**
+   * Run a search query
+   * @param {string} query - Search query
+   * @returns {Promise<Array>} Results as { url, title, snippet }
+   */
+  async search(query) {
+    throw new Error(`Search backend "${this.name}" does not implement search()`);
+  }
+}
+
+/**
+ * Serves search results from a local JSON file so the tool loop works offline
+ *
+ * The file may contain exact query matches and/or a pool of documents ranked by term overlap:
+ * { "queries": { "<query>": [{ url, title, snippet }] }, "documents": [{ url, title, snippet }] }
+ */
+class FixtureSearchBackend extends SearchBackend {
+  /**
+   * Create a new FixtureSearchBackend
+   * @param {Object} options - Backend options
+   * @param {string} options.fixtureFile - Path to the search fixture file
+   * @param {number} options.maxResults - Maximum results returned per query
+   */
+  constructor(options = {}) {
+    super(options);
+    this.name = 'fixture';
+    this.fixtureFile = options.fixtureFile ? path.resolve(options.fixtureFile) : SEARCH_FIXTURE_FILE;
+    this.fixtures = null;
+  }
+
+  /**
+   * Load the fixture file (once)
+   * @returns {Object} Fixture queries and documents
+   */
+  loadFixtures() {
+    if (this.fixtures) {
+      return this.fixtures;
+    }
+    
+    this.fixtures = { queries: {}, documents: [] };
+    
+    if (!fs.existsSync(this.fixtureFile)) {
+      console.log(chalk.yellow(`Search fixture file not found: ${this.fixtureFile}`));
+      return this.fixtures;
+    }
+    
+    const data = JSON.parse(fs.readFileSync(this.fixtureFile, 'utf8'));
+    this.fixtures.queries = data.queries || {};
+    this.fixtures.documents = Array.isArray(data) ? data : (data.documents || []);
+    
+    return this.fixtures;
+  }
+
+  /**
+   * Look up results for a query
+   * @param {string} query - Search query
+   * @returns {Promise<Array>} Results as { url, title, snippet }
+   */
+  async search(query) {
+    const { queries, documents } = this.loadFixtures();
+    const normalizedQuery = query.trim().toLowerCase();
+    
+    // Exact query matches take priority
+    const exactKey = Object.keys(queries).find(key => key.trim().toLowerCase() === normalizedQuery);
+    if (exactKey) {
+      return queries[exactKey].slice(0, this.maxResults).map(normalizeResult);
+    }
+    
+    // Otherwise rank documents by how many query terms they contain
+    const terms = normalizedQuery.split(/\W+/).filter(term => term.length > 2);
+    
+    return documents
+      .map(document => {
+        const text = `${document.title || ''} ${document.snippet || ''}`.toLowerCase();
+        return { document, score: terms.filter(term => text.includes(term)).length };
+      })
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.maxResults)
+      .map(entry => normalizeResult(entry.document));
+  }
+}
+
+// Registered backends by name
+const SEARCH_BACKENDS = {
+  fixture: FixtureSearchBackend
+};
+
+/**
+ * Register a search backend so it can be selected with SEARCH_BACKEND
+ * @param {string} name - Backend name
+ * @param {Function} BackendClass - SearchBackend subclass
+ */
+function registerSearchBackend(name, BackendClass) {
+  SEARCH_BACKENDS[name] = BackendClass;
+}
+
+/**
+ * Create a search backend by name
+ * @param {string} name - Backend name
+ * @param {Object} options - Backend options
+ * @returns {SearchBackend} Search backend instance
+ */
+function createSearchBackend(name = 'fixture', options = {}) {
+  const BackendClass = SEARCH_BACKENDS[name];
+  
+  if (!BackendClass) {
+    throw new Error(`Unknown search backend: ${name}. Available backends: ${Object.keys(SEARCH_BACKENDS).join(', ')}`);
+  }
+  
+  return new BackendClass(options);
+}
+
+/**
+ * Normalize a search result to { url, title, snippet }
+ * @param {Object} result - Raw result
+ * @returns {Object} Normalized result
+ */
+function normalizeResult(result) {
+  return {
+    url: result.url || '',
+    title: result.title || result.url || 'Untitled',
+    snippet: result.snippet || ''
+  };
+}
+
+module.exports = {
+  SearchBackend,
+  FixtureSearchBackend,
+  registerSearchBackend,
+  createSearchBackend
+};
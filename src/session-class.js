@@ -11,6 +11,19 @@ const inquirer = require('inquirer');
 const { ClaudeAPI } = require('./claude-api');
 const { ImageHandler } = require('./images');  // Correct if images.js exists
 const { FrameworkLoader } = require('./framework-loader');
+const { QualityScorer } = require('./quality-scorer');
+const { createResearchStrategy } = require('./research-strategies');
+const { ContextManager } = require('./context-manager');
+const { ReviewExtractor } = require('./review-extractor');
+const { PhaseTransitionChecker } = require('./phase-transitions');
+const { FactTracker } = require('./fact-tracker');
+const { ProductProfiler, PRODUCT_CATEGORIES } = require('./product-profiler');
+const { IntakeForm } = require('./intake-form');
+const { extractQuestions } = require('./question-utils');
+const { QuestionTemplateSeeder } = require('./question-templates');
+const { CommandRouter } = require('./command-router');
+const { TurnHistory } = require('./turn-history');
+const { ReviewBranches, MAIN_BRANCH } = require('./review-branches');
 
 // Session directory
 const SESSION_DIR = path.resolve(process.cwd(), '.sessions');
@@ -31,6 +44,7 @@ class Session {
   constructor(options = {}) {
     this.id = options.id || uuidv4();
     this.productName = options.productName || 'Unnamed Product';
+    this.brand = options.brand || null;
     this.phase = options.phase || PHASES.INTAKE;
     this.imageDir = options.imageDir || './images';
     this.messages = options.messages || [];
@@ -45,12 +59,33 @@ class Session {
       [PHASES.REFINE]: { complete: false, data: {} },
       [PHASES.QUALITY]: { complete: false, data: {} }
     };
-    this.webSearchEnabled = options.webSearchEnabled || false;
+    this.webSearchEnabled = options.webSearchEnabled !== undefined
+      ? options.webSearchEnabled
+      : process.env.ENABLE_WEB_SEARCH === 'true';
+    this.intakeMode = options.intakeMode || process.env.INTAKE_MODE || 'editor';
+    this.rewindLog = options.rewindLog || [];
+    this.checkpoints = options.checkpoints || [];
+    this.branch = options.branch || MAIN_BRANCH;
+    this.branches = options.branches || {};
+    this.branchBaseMessages = options.branchBaseMessages || [];
+    
+    // Set when a rewind or replay needs the current phase to start over
+    this.restartPhase = false;
     
     // Initialize API clients
     this.claude = new ClaudeAPI();
     this.imageHandler = new ImageHandler(this.imageDir);
     this.frameworkLoader = new FrameworkLoader();
+    this.contextManager = new ContextManager(this.claude, { sessionId: this.id });
+    this.reviewExtractor = new ReviewExtractor();
+    this.phaseTransitions = new PhaseTransitionChecker(this.frameworkLoader);
+    this.factTracker = new FactTracker(this.claude, this.frameworkLoader);
+    this.productProfiler = new ProductProfiler(this.claude, this.frameworkLoader);
+    this.intakeForm = new IntakeForm();
+    this.questionSeeder = new QuestionTemplateSeeder(this.claude, this.frameworkLoader);
+    this.commands = new CommandRouter(this);
+    this.turnHistory = new TurnHistory(this);
+    this.reviewBranches = new ReviewBranches(this);
   }
 
   /**
@@ -58,32 +93,42 @@ class Session {
    */
   // Add robust error recovery to session.start()
 async start() {
-  console.log(chalk.cyan(`\nSession: ${this.productName} (${this.phase.toUpperCase()} Phase)`));
+  console.log(chalk.cyan(`\nSession: ${this.productName} (${this.phase.toUpperCase()} Phase${this.branch !== MAIN_BRANCH ? `, branch ${this.branch}` : ''})`));
   
   try {
     // Ensure session directory exists
     await fs.mkdir(SESSION_DIR, { recursive: true });
     
-    // Process based on current phase
-    switch (this.phase) {
-      case PHASES.INTAKE:
-        await this.runIntakePhase();
-        break;
-      case PHASES.DRAFT:
-        await this.runDraftPhase();
-        break;
-      case PHASES.REFINE:
-        await this.runRefinePhase();
-        break;
-      case PHASES.QUALITY:
-        await this.runQualityPhase();
-        break;
-      default:
-        throw new Error(`Unknown phase: ${this.phase}`);
-    }
+    this.restoreSpend();
     
-    // Save session at the end of start
-    await this.save();
+    // Keep running phases for as long as each one hands off to the next
+    let currentPhase;
+    do {
+      currentPhase = this.phase;
+      this.restartPhase = false;
+      this.claude.setSessionContext(this.id, this.phase);
+      
+      // Process based on current phase
+      switch (this.phase) {
+        case PHASES.INTAKE:
+          await this.runIntakePhase();
+          break;
+        case PHASES.DRAFT:
+          await this.runDraftPhase();
+          break;
+        case PHASES.REFINE:
+          await this.runRefinePhase();
+          break;
+        case PHASES.QUALITY:
+          await this.runQualityPhase();
+          break;
+        default:
+          throw new Error(`Unknown phase: ${this.phase}`);
+      }
+      
+      // Save session after each phase
+      await this.save();
+    } while (this.phase !== currentPhase || this.restartPhase);
   } catch (error) {
     console.error(chalk.red('Session error:'), error.message);
     if (global.VERBOSE_MODE) {
@@ -137,14 +182,19 @@ async start() {
   async runIntakePhase() {
     // Load phase-specific framework and prompts
     const framework = await this.frameworkLoader.getPhaseFramework(PHASES.INTAKE);
-    const systemPrompt = await this.frameworkLoader.createDynamicPrompt(PHASES.INTAKE, {
+    let systemPrompt = await this.frameworkLoader.createDynamicPrompt(PHASES.INTAKE, {
       hasImages: this.phaseData[PHASES.INTAKE].data.hasImages
-    });
+    }) + await this.phaseTransitions.buildInstructions(PHASES.INTAKE);
+    const basePrompt = systemPrompt;
+    systemPrompt += this.formatResearchForPrompt(PHASES.INTAKE);
     
     console.log(chalk.cyan("\n=== INTAKE & QUESTIONING PHASE ==="));
     console.log(chalk.yellow("In this phase, I'll gather information about your product experience."));
-    console.log(chalk.yellow("TIP: Use 'show-framework phase.section_name' to view framework sections"));
+    console.log(chalk.yellow("TIP: Type 'help' for the in-session commands, or 'show-framework phase.section_name' to view framework sections"));
     console.log(chalk.yellow("Example: 'show-framework draft.humor_framework'"));
+    // Claude's last response is shown again when the loop resumes from it, unless it was just printed
+    let showResponse = true;
+    
     // If starting fresh, get initial product description
     if (this.messages.length === 0) {
       const { description } = await inquirer.prompt([
@@ -157,7 +207,6 @@ async start() {
       ]);
       
       this.phaseData[PHASES.INTAKE].data.initialDescription = description;
-      this.productName = await this.extractProductName(description);
       
       // Process images if available
       const images = await this.imageHandler.loadImages();
@@ -174,15 +223,24 @@ async start() {
           ]
         };
         
-        this.messages.push(firstUserMessage);
+        this.addUserMessage(firstUserMessage);
       } else {
         // Create first message without images
-        this.messages.push({
+        this.addUserMessage({
           role: 'user',
           content: description
         });
       }
       
+      // Research and the type-specific prompts depend on knowing the product
+      await this.identifyProduct();
+      await this.seedStarterQuestions(description);
+      
+      // Research the product before the first questions so Claude can ask about the gaps
+      if (this.webSearchEnabled && await this.conductProductResearch()) {
+        systemPrompt = basePrompt + this.formatResearchForPrompt(PHASES.INTAKE);
+      }
+      
       // Add intake optimization reminder for first Claude response
       if (this.messages.length <= 1) {
         console.log(chalk.gray("Adding intake optimization instructions..."));
@@ -216,13 +274,19 @@ Do not arbitrarily split your questions across multiple interactions. If you hav
 `
         };
         
+        // Claude's first questions should only cover what the starter questionnaire misses
+        const starterQuestions = this.getPendingStarterQuestions();
+        if (starterQuestions.length > 0) {
+          optimizationMessage.content += `${this.questionSeeder.formatForPrompt(starterQuestions)}\n`;
+        }
+        
         // Add the optimization message to the messages array
-        this.messages.push(optimizationMessage);
+        this.addUserMessage(optimizationMessage);
       }
 
       // Then proceed with sending the messages to Claude
       console.log(chalk.yellow("\nProcessing your input..."));
-      let response = await this.claude.processMessages(this.messages, systemPrompt);
+      let response = await this.requestClaude(systemPrompt);
       
       if (this.messages.length > 2) {
         // Check if this is just follow-up questions without real new insights
@@ -235,7 +299,7 @@ Do not arbitrarily split your questions across multiple interactions. If you hav
           console.log(chalk.yellow("Detected unnecessary follow-up questions. Modifying response..."));
           
           // Add a message to guide Claude away from unnecessary follow-ups
-          this.messages.push({
+          this.addUserMessage({
             role: 'user',
             content: `
 Please consolidate your remaining questions into a single response rather than splitting them across multiple interactions. Only ask truly new questions that emerged from my previous answers, not questions you could have asked initially. If you have no genuinely new questions based on my responses, please indicate we can move to the draft phase once I've answered these questions.
@@ -243,15 +307,19 @@ Please consolidate your remaining questions into a single response rather than s
           });
           
           // Get a new response with the guidance
-          response = await this.claude.processMessages(this.messages, systemPrompt);
+          response = await this.requestClaude(systemPrompt);
         }
       }
       
       // Add Claude's response to messages
       this.messages.push({
         role: 'assistant',
-        content: response.content
+        content: response.content,
+        settings: response.settings
       });
+      showResponse = !response.streamed;
+      
+      await this.updateFacts();
       
       // Save session after initial setup
       await this.save();
@@ -261,64 +329,116 @@ Please consolidate your remaining questions into a single response rather than s
     let phaseComplete = false;
     
     while (!phaseComplete) {
-      // Send current messages to Claude
-      console.log(chalk.yellow("\nProcessing your input..."));
-      let response = await this.claude.processMessages(this.messages, systemPrompt);
+      let lastMessage = this.messages[this.messages.length - 1];
+      let proceedToDraft = false;
+      
+      // Only ask Claude when the user has replied; after a command, resume from Claude's last response
+      if (lastMessage.role === 'user') {
+        // Send current messages to Claude
+        console.log(chalk.yellow("\nProcessing your input..."));
+        let response = await this.requestClaude(systemPrompt);
 
-      if (this.messages.length > 2) {
-        // Check if this is just follow-up questions without real new insights
-        const isJustFollowupQuestions = 
-          response.content.includes("follow-up") &&
-          !response.content.includes("Based on your response about") &&
-          !response.content.includes("I notice you mentioned");
-        
-        if (isJustFollowupQuestions) {
-          console.log(chalk.yellow("Detected unnecessary follow-up questions. Modifying response..."));
+        if (this.messages.length > 2) {
+          // Check if this is just follow-up questions without real new insights
+          const isJustFollowupQuestions = 
+            response.content.includes("follow-up") &&
+            !response.content.includes("Based on your response about") &&
+            !response.content.includes("I notice you mentioned");
           
-          // Add a message to guide Claude away from unnecessary follow-ups
-          this.messages.push({
-            role: 'user',
-            content: `
+          if (isJustFollowupQuestions) {
+            console.log(chalk.yellow("Detected unnecessary follow-up questions. Modifying response..."));
+            
+            // Add a message to guide Claude away from unnecessary follow-ups
+            this.addUserMessage({
+              role: 'user',
+              content: `
 Please consolidate your remaining questions into a single response rather than splitting them across multiple interactions. Only ask truly new questions that emerged from my previous answers, not questions you could have asked initially. If you have no genuinely new questions based on my responses, please indicate we can move to the draft phase once I've answered these questions.
             `
-          });
-          
-          // Get a new response with the guidance
-          response = await this.claude.processMessages(this.messages, systemPrompt);
+            });
+            
+            // Get a new response with the guidance
+            response = await this.requestClaude(systemPrompt);
+          }
+        }
+        
+        // Add Claude's response to messages
+        this.messages.push({
+          role: 'assistant',
+          content: response.content,
+          settings: response.settings
+        });
+        
+        if (!response.streamed) {
+          console.log(chalk.green("\nResponse:"));
+          console.log(this.reviewExtractor.formatForDisplay(this.phaseTransitions.strip(response.content)));
+        }
+        
+        await this.updateFacts();
+        
+        // Claude reports whether the intake transition requirements are met in a phase status trailer;
+        // critical elements missing from the fact sheet also hold the transition back
+        const missingFacts = await this.factTracker.getMissingCritical(this.phaseData[PHASES.INTAKE].data.facts);
+        const phaseStatus = this.recordPhaseStatus(
+          PHASES.INTAKE,
+          response.content,
+          missingFacts.map(element => `Critical information missing: ${element}`)
+        );
+        
+        if (phaseStatus.ready) {
+          proceedToDraft = await this.confirmPhaseTransition(PHASES.INTAKE, 'Draft Creation');
+        } else {
+          this.showUnmetRequirements(phaseStatus);
         }
+        
+        lastMessage = this.messages[this.messages.length - 1];
+      } else if (showResponse) {
+        console.log(chalk.green("\nResponse:"));
+        console.log(this.reviewExtractor.formatForDisplay(this.phaseTransitions.strip(lastMessage.content)));
       }
+      showResponse = true;
       
-      // Add Claude's response to messages
-      this.messages.push({
-        role: 'assistant',
-        content: response.content
-      });
-      
-      console.log(chalk.green("\nResponse:"));
-      console.log(response.content);
-      
-      // Check if phase is complete based on response content
-      if (this.checkPhaseCompletion(response.content, PHASES.INTAKE)) {
-        // Confirm transition to draft phase
-        const { confirmTransition } = await inquirer.prompt([
-          {
-            type: 'confirm',
-            name: 'confirmTransition',
-            message: 'Would you like to proceed to the Draft Creation phase?',
-            default: true
-          }
-        ]);
+      if (!proceedToDraft) {
+        // Get user response (the reply's turn starts from the state before the question form records anything)
+        const replyCheckpoint = this.turnHistory.createCheckpoint();
+        const userResponse = await this.getIntakeReply(lastMessage.content);
         
-        if (confirmTransition) {
-          // Extract keywords and other data before transitioning
-          this.keywords = this.extractKeywords(this.messages);
-          this.productType = this.determineProductType(this.messages);
+        // Handle special commands
+        const commandResult = await this.commands.handleReply(userResponse);
+        if (commandResult.phaseChanged) {
+          return;
+        } else if (commandResult.handled) {
+          // Keep the command's output on screen
+          showResponse = false;
+          continue;
+        } else if (userResponse.trim().toLowerCase() === 'proceed') {
+          proceedToDraft = await this.confirmPhaseTransition(PHASES.INTAKE, 'Draft Creation');
+          if (!proceedToDraft) {
+            showResponse = false;
+            continue;
+          }
+        } else {
+          // Add user response to messages
+          this.addUserMessage({
+            role: 'user',
+            content: userResponse
+          }, replyCheckpoint);
           
-          // Add research transition message if research was conducted
-          if (this.phaseData[PHASES.INTAKE].data.researchResults) {
-            const transitionMessage = {
-              role: 'user',
-              content: `I'm ready to proceed to the draft creation phase. Please create a complete review draft based on both my personal experiences with the product AND the research insights we've gathered. 
+          // The starter questions were offered with this reply
+          if (this.phaseData[PHASES.INTAKE].data.starterQuestions) {
+            this.phaseData[PHASES.INTAKE].data.starterQuestions.pending = false;
+          }
+        }
+      }
+      
+      if (proceedToDraft) {
+        // Refresh the product profile and keywords from the whole interview before drafting
+        await this.identifyProduct();
+        
+        // Add research transition message if research was conducted
+        if (this.phaseData[PHASES.INTAKE].data.researchResults) {
+          const transitionMessage = {
+            role: 'user',
+            content: `I'm ready to proceed to the draft creation phase. Please create a complete review draft based on both my personal experiences with the product AND the research insights we've gathered. 
 
 Remember:
 - Factual information from research (specifications, compatibility, measurements) can be integrated seamlessly
@@ -326,50 +446,18 @@ Remember:
 - My direct experiences should always take precedence over any conflicting information from research
 
 Please create a well-balanced review that properly integrates both sources of information.`
-            };
-            
-            this.messages.push(transitionMessage);
-          }
-          
-          // Mark phase as complete
-          this.phaseData[PHASES.INTAKE].complete = true;
-          phaseComplete = true;
+          };
           
-          // Transition to draft phase
-          this.phase = PHASES.DRAFT;
-          console.log(chalk.green("\nTransitioning to Draft Creation phase..."));
+          this.addUserMessage(transitionMessage);
         }
-      } else {
-        // Get user response
-        const { response: userResponse } = await inquirer.prompt([
-          {
-            type: 'editor',
-            name: 'response',
-            message: 'Your response (an editor will open):',
-          }
-        ]);
         
-        // Handle special commands
-        if (userResponse.trim().toLowerCase() === 'exit') {
-          console.log(chalk.yellow('\nSaving session and exiting...'));
-          await this.save();
-          process.exit(0);
-        } else if (userResponse.trim().toLowerCase() === 'save') {
-          await this.save();
-          console.log(chalk.green('\nSession saved successfully!'));
-          continue;
-        } else if (userResponse.trim().toLowerCase().startsWith('show-framework ')) {
-          // Handle framework section viewing
-          const command = userResponse.trim().replace('show-framework ', '');
-          await this.showFrameworkSection(command);
-          continue;
-        }
+        // Mark phase as complete
+        this.phaseData[PHASES.INTAKE].complete = true;
+        phaseComplete = true;
         
-        // Add user response to messages
-        this.messages.push({
-          role: 'user',
-          content: userResponse
-        });
+        // Transition to draft phase
+        this.phase = PHASES.DRAFT;
+        console.log(chalk.green("\nTransitioning to Draft Creation phase..."));
       }
       
       // Save session after each interaction
@@ -389,17 +477,18 @@ Please create a well-balanced review that properly integrates both sources of in
     }
     
     // Load phase-specific framework and prompts
-    const framework = await this.frameworkLoader.getPhaseFramework(PHASES.DRAFT);
-    this.phaseData[PHASES.DRAFT].data.framework = framework;
-    console.log(chalk.gray("Draft framework stored in session data for reference in later phases"));
+    await this.frameworkLoader.getPhaseFramework(PHASES.DRAFT);
+    // Only the framework's name is saved; later phases load it again when they need it
+    this.phaseData[PHASES.DRAFT].data.framework = PHASES.DRAFT;
+    console.log(chalk.gray("Draft framework recorded in session data for reference in later phases"));
     const systemPrompt = await this.frameworkLoader.createDynamicPrompt(PHASES.DRAFT, {
       productType: this.productType,
       keywords: this.keywords
-    });
+    }) + this.formatResearchForPrompt(PHASES.DRAFT) + await this.phaseTransitions.buildInstructions(PHASES.DRAFT);
     
     console.log(chalk.cyan("\n=== DRAFT CREATION PHASE ==="));
     console.log(chalk.yellow("In this phase, I'll create a complete review draft based on the information gathered."));
-    console.log(chalk.yellow("TIP: Use 'show-framework phase.section_name' to view framework sections"));
+    console.log(chalk.yellow("TIP: Type 'help' for the in-session commands, or 'show-framework phase.section_name' to view framework sections"));
     console.log(chalk.yellow("Example: 'show-framework draft.humor_framework'"));
 
     // Extract relevant information for draft creation
@@ -411,7 +500,7 @@ Please create a well-balanced review that properly integrates both sources of in
         role: 'user',
         content: "I'm ready to move to the draft creation phase. Please create a complete review draft based on the information I've provided."
       };
-      this.messages.push(transitionMessage);
+      this.addUserMessage(transitionMessage);
 
       // Add explicit personality planning message
       const personalityPlanningMessage = {
@@ -426,7 +515,7 @@ Please create a well-balanced review that properly integrates both sources of in
 
       Your first response should be a complete draft with personality fully integrated - don't save personality for a later revision.`
       };
-      this.messages.push(personalityPlanningMessage);
+      this.addUserMessage(personalityPlanningMessage);
 
       this.phaseData[PHASES.DRAFT].data.draftStarted = true;
       
@@ -434,9 +523,129 @@ Please create a well-balanced review that properly integrates both sources of in
       await this.save();
     }
     
-    // Placeholder for simplified draft phase processing
-    console.log(chalk.yellow("Draft phase is not fully implemented in this quick fix. Exiting for now."));
-    process.exit(0);
+    const draftData = this.phaseData[PHASES.DRAFT];
+    // Notes left waiting by an edit or regenerate also need a new draft
+    let needsDraft = !draftData.reviewContent || this.messages[this.messages.length - 1].role === 'user';
+    let showDraft = true;
+    let phaseComplete = false;
+    
+    while (!phaseComplete) {
+      // Generate (or regenerate) the draft when there isn't a current one
+      if (needsDraft) {
+        console.log(chalk.yellow("\nGenerating review draft..."));
+        const response = await this.requestClaude(systemPrompt, 'Draft review:');
+        
+        // Add Claude's response to messages
+        this.messages.push({
+          role: 'assistant',
+          content: response.content,
+          settings: response.settings
+        });
+        
+        const extracted = this.extractReview(response.content);
+        draftData.reviewContent = extracted.review;
+        draftData.data.reviewTitle = extracted.title;
+        draftData.data.reviewRating = extracted.rating;
+        draftData.data.extractionMethod = extracted.method;
+        this.recordPhaseStatus(PHASES.DRAFT, response.content);
+        draftData.data.generatedAt = new Date().toISOString();
+        needsDraft = false;
+        showDraft = !response.streamed;
+        
+        // Save session after each generated draft
+        await this.save();
+      }
+      
+      if (showDraft) {
+        console.log(chalk.green("\nDraft review:"));
+        console.log(draftData.reviewContent);
+      }
+      showDraft = true;
+      
+      const { draftAction } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'draftAction',
+          message: 'How would you like to proceed with this draft?',
+          choices: [
+            { name: 'Accept draft and proceed to Refinement phase', value: 'accept' },
+            { name: 'Give notes for a revised draft', value: 'notes' },
+            { name: 'Regenerate the draft from scratch', value: 'regenerate' },
+            { name: "Enter a command (type 'help' for a list)", value: 'command' },
+            { name: 'Save and exit', value: 'exit' }
+          ]
+        }
+      ]);
+      
+      switch (draftAction) {
+        case 'accept':
+          // Accepting a draft Claude reports as incomplete is an explicit override
+          if (!(draftData.data.phaseStatus || {}).ready) {
+            this.showUnmetRequirements(draftData.data.phaseStatus);
+            if (!(await this.confirmPhaseTransition(PHASES.DRAFT, 'Refinement'))) {
+              break;
+            }
+          }
+          
+          // Mark phase as complete
+          draftData.complete = true;
+          draftData.data.acceptedAt = new Date().toISOString();
+          phaseComplete = true;
+          
+          // Transition to refine phase
+          this.phase = PHASES.REFINE;
+          console.log(chalk.green("\nTransitioning to Refinement phase..."));
+          break;
+          
+        case 'notes': {
+          const { notes } = await inquirer.prompt([
+            {
+              type: 'editor',
+              name: 'notes',
+              message: 'Your notes on the draft (an editor will open):'
+            }
+          ]);
+          
+          if (!notes.trim()) {
+            console.log(chalk.yellow("No notes entered. Keeping the current draft."));
+            break;
+          }
+          
+          this.addUserMessage({
+            role: 'user',
+            content: `Please revise the complete review draft based on these notes, keeping everything else that works:\n\n${notes}`
+          });
+          needsDraft = true;
+          break;
+        }
+          
+        case 'regenerate':
+          // Replay the draft request like the regenerate command, so the dropped draft is archived
+          if (await this.commands.regenerate()) {
+            return;
+          }
+          break;
+          
+        case 'command': {
+          const commandResult = await this.promptCommand();
+          if (commandResult.phaseChanged) {
+            return;
+          }
+          
+          // Keep the command's output on screen
+          showDraft = false;
+          break;
+        }
+          
+        case 'exit':
+          console.log(chalk.yellow('\nSaving session and exiting...'));
+          await this.save();
+          process.exit(0);
+      }
+      
+      // Save session after each interaction
+      await this.save();
+    }
   }
 
   /**
@@ -445,105 +654,428 @@ Please create a well-balanced review that properly integrates both sources of in
   async runRefinePhase() {
     console.log(chalk.cyan("\n=== REFINE PHASE ==="));
     console.log(chalk.yellow("In this phase, I'll refine the draft based on your feedback."));
-    console.log(chalk.yellow("TIP: Use 'show-framework phase.section_name' to view framework sections"));
+    console.log(chalk.yellow("TIP: Type 'help' for the in-session commands, or 'show-framework phase.section_name' to view framework sections"));
     console.log(chalk.yellow("Example: 'show-framework draft.humor_framework'"));
 
-    // Check if draft framework is stored in session data
-    if (this.phaseData[PHASES.DRAFT].data.framework) {
-      console.log(chalk.green("Draft framework is available from previous phase"));
-    } else {
-      // Load draft framework for reference
-      try {
-        await this.frameworkLoader.loadPhaseFramework('draft');
-        console.log(chalk.green("Draft framework loaded for reference"));
-      } catch (error) {
-        console.log(chalk.yellow("Note: Could not load draft framework: " + error.message));
-      }
+    // Load the framework the draft was written with for reference; older sessions saved the whole
+    // framework instead of its name
+    const draftData = this.phaseData[PHASES.DRAFT].data;
+    if (typeof draftData.framework !== 'string') {
+      draftData.framework = PHASES.DRAFT;
     }
-
-    // Prompt user for feedback
-    const { userFeedback } = await inquirer.prompt([
-      {
-        type: 'editor',
-        name: 'userFeedback',
-        message: 'Please provide your feedback on the draft (an editor will open):'
-      }
-    ]);
-
-    // Handle special commands
-    if (userFeedback.trim().toLowerCase() === 'exit') {
-      console.log(chalk.yellow('\nSaving session and exiting...'));
-      await this.save();
-      process.exit(0);
-    } else if (userFeedback.trim().toLowerCase() === 'save') {
-      await this.save();
-      console.log(chalk.green('\nSession saved successfully!'));
-      return;
-    } else if (userFeedback.trim().toLowerCase().startsWith('show-framework ')) {
-      // Handle framework section viewing
-      const command = userFeedback.trim().replace('show-framework ', '');
-      await this.showFrameworkSection(command);
-      return;
+    try {
+      await this.frameworkLoader.loadPhaseFramework(draftData.framework);
+      console.log(chalk.green("Draft framework loaded for reference"));
+    } catch (error) {
+      console.log(chalk.yellow("Note: Could not load draft framework: " + error.message));
     }
 
-    // Detect feedback types
-    const feedbackTypes = detectFeedbackType(userFeedback);
-
-    // Handle specialized feedback
-    if (feedbackTypes.personality || feedbackTypes.formatting || feedbackTypes.redundancy) {
-      console.log(chalk.yellow("Specialized feedback detected. Loading relevant guidelines..."));
-
-      if (feedbackTypes.personality) {
-        console.log(chalk.green("Adjusting tone and personality based on your feedback..."));
-        // Add logic to adjust tone/personality
+    const systemPrompt = await this.frameworkLoader.createDynamicPrompt(PHASES.REFINE, {
+      productType: this.productType,
+      keywords: this.keywords
+    }) + this.formatResearchForPrompt(PHASES.REFINE) + await this.phaseTransitions.buildInstructions(PHASES.REFINE);
+    
+    // Feedback categories from refine.yaml shape the revision instructions
+    const refineFramework = await this.frameworkLoader.loadPhaseFramework(PHASES.REFINE);
+    const feedbackCategories = refineFramework.feedback_processing?.feedback_categories || [];
+    
+    const refineData = this.phaseData[PHASES.REFINE];
+    refineData.data.versions = refineData.data.versions || [];
+    let showReview = true;
+    let phaseComplete = false;
+    
+    while (!phaseComplete) {
+      const versions = refineData.data.versions;
+      const currentReview = this.getCurrentReview();
+      
+      if (!currentReview) {
+        console.log(chalk.yellow("\nNo draft found to refine. Returning to Draft Creation phase..."));
+        this.phase = PHASES.DRAFT;
+        return;
+      }
+      
+      // A revision request left waiting (after an edit or regenerate, or from Quality Control) goes out first
+      const lastMessage = this.messages[this.messages.length - 1];
+      if (lastMessage.role === 'user') {
+        const pendingFeedback = parseRefinementRequest(typeof lastMessage.content === 'string' ? lastMessage.content : '');
+        await this.requestRevision(systemPrompt, pendingFeedback, detectFeedbackType(pendingFeedback));
+        showReview = false;
+        continue;
+      }
+      
+      // Skip re-printing a revision that Claude's response just showed
+      if (showReview) {
+        const versionLabel = versions.length > 0 ? `Version ${versions.length}` : 'Original draft';
+        console.log(chalk.green(`\nCurrent review (${versionLabel}):`));
+        console.log(currentReview);
+      }
+      showReview = true;
+      
+      const { refineAction } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'refineAction',
+          message: 'What would you like to do next?',
+          choices: [
+            { name: 'Give feedback for another revision', value: 'feedback' },
+            { name: 'Proceed to Quality Control phase', value: 'quality' },
+            { name: "Enter a command (type 'help' for a list)", value: 'command' },
+            { name: 'Save and exit', value: 'exit' }
+          ]
+        }
+      ]);
+      
+      if (refineAction === 'exit') {
+        console.log(chalk.yellow('\nSaving session and exiting...'));
+        await this.save();
+        process.exit(0);
+      }
+      
+      if (refineAction === 'command') {
+        const commandResult = await this.promptCommand();
+        if (commandResult.phaseChanged) {
+          return;
+        }
+        
+        // Keep the command's output on screen
+        showReview = false;
+        continue;
+      }
+      
+      if (refineAction === 'quality') {
+        // Claude's status covers the latest revision; before any revision there's nothing to check
+        if (versions.length > 0 && !(refineData.data.phaseStatus || {}).ready) {
+          this.showUnmetRequirements(refineData.data.phaseStatus);
+          if (!(await this.confirmPhaseTransition(PHASES.REFINE, 'Quality Control'))) {
+            continue;
+          }
+        }
+        
+        // Mark phase as complete
+        refineData.complete = true;
+        refineData.data.completedAt = new Date().toISOString();
+        phaseComplete = true;
+        
+        // Transition to quality phase
+        this.phase = PHASES.QUALITY;
+        console.log(chalk.green("\nTransitioning to Quality Control phase..."));
+        break;
       }
-      if (feedbackTypes.formatting) {
-        console.log(chalk.green("Improving formatting and structure..."));
-        // Add logic to improve formatting
+      
+      // Prompt user for feedback
+      const { userFeedback } = await inquirer.prompt([
+        {
+          type: 'editor',
+          name: 'userFeedback',
+          message: 'Please provide your feedback on the draft (an editor will open):'
+        }
+      ]);
+      
+      // Handle special commands
+      const commandResult = await this.commands.handleReply(userFeedback);
+      if (commandResult.phaseChanged) {
+        return;
+      } else if (commandResult.handled) {
+        showReview = false;
+        continue;
+      } else if (!userFeedback.trim()) {
+        console.log(chalk.yellow("No feedback entered."));
+        continue;
       }
-      if (feedbackTypes.redundancy) {
-        console.log(chalk.green("Removing redundant content..."));
-        // Add logic to handle redundancy
+      
+      // Detect feedback categories and load the matching guidelines
+      const feedbackTypes = detectFeedbackType(userFeedback);
+      if (feedbackTypes.length > 0) {
+        console.log(chalk.yellow(`Feedback categories detected: ${feedbackTypes.join(', ')}`));
       }
+      
+      // Add user feedback to messages
+      this.addUserMessage({
+        role: 'user',
+        content: buildRefinementRequest(userFeedback, feedbackTypes, feedbackCategories)
+      });
+      
+      await this.requestRevision(systemPrompt, userFeedback, feedbackTypes);
+      showReview = false;
     }
+  }
 
-    // Add user feedback to messages
+  /**
+   * Send the pending revision request and store Claude's revision as a new numbered version
+   * @param {string} systemPrompt - Refine phase system prompt
+   * @param {string} feedback - The user's feedback, recorded with the version
+   * @param {Array<string>} feedbackTypes - Detected feedback category names
+   */
+  async requestRevision(systemPrompt, feedback, feedbackTypes) {
+    const refineData = this.phaseData[PHASES.REFINE];
+    const versions = refineData.data.versions;
+    
+    console.log(chalk.yellow("\nRevising the review..."));
+    const response = await this.requestClaude(systemPrompt);
+    
+    // Add Claude's response to messages
     this.messages.push({
-      role: 'user',
-      content: userFeedback
+      role: 'assistant',
+      content: response.content,
+      settings: response.settings
     });
-
-    // Save session after processing feedback
+    
+    this.recordPhaseStatus(PHASES.REFINE, response.content);
+    
+    // Store the revised review as a new numbered version
+    const revisedReview = this.extractReview(response.content);
+    if (!response.streamed) {
+      console.log(chalk.green(`\nRevised review (Version ${versions.length + 1}):`));
+      console.log(this.reviewExtractor.format(revisedReview));
+    }
+    
+    versions.push({
+      version: versions.length + 1,
+      content: revisedReview.review,
+      reviewTitle: revisedReview.title,
+      reviewRating: revisedReview.rating,
+      extractionMethod: revisedReview.method,
+      feedback,
+      feedbackTypes,
+      createdAt: new Date().toISOString()
+    });
+    refineData.reviewContent = revisedReview.review;
+    
+    // Save session after each revision
     await this.save();
+  }
 
-    console.log(chalk.green("\nFeedback processed. Refinement complete."));
+  /**
+   * Add a user message to the conversation
+   * The first message of a turn starts a turn in the turn history, which checkpoints the state the
+   * turn started from so the conversation can be rewound to before it
+   * @param {Object} message - User message
+   * @param {Object} checkpoint - State the turn started from, if captured before the message was written
+   */
+  addUserMessage(message, checkpoint = null) {
+    const previous = this.messages[this.messages.length - 1];
+    
+    if (!previous || previous.role === 'assistant') {
+      this.turnHistory.startTurn(message, checkpoint);
+    }
+    
+    this.messages.push(message);
   }
 
   /**
-   * Save the session to a file
+   * Restore this session's recorded spending from the spend ledger
    */
-  async save() {
-    if (!this.id) {
-      console.error(chalk.red('Error: Cannot save session - missing session ID'));
-      throw new Error('Invalid session: missing ID');
+  restoreSpend() {
+    const ledger = this.claude.spendLedger;
+    const sessionTotal = ledger.getSessionTotal(this.id);
+    
+    if (sessionTotal.calls === 0) {
+      return;
     }
+    
+    // The research budget only covers search-enabled calls
+    this.claude.budgetManager.restoreUsage(ledger.getSessionTotal(this.id, entry => entry.search));
+    
+    console.log(chalk.gray(`Spent on this review so far: $${sessionTotal.cost.toFixed(2)} across ${sessionTotal.calls} API calls`));
+  }
+
+  /**
+   * Run web research on the product and store findings in the intake phase data
+   * @returns {Promise<boolean>} True if research produced findings
+   */
+  async conductProductResearch() {
+    const intakeData = this.phaseData[PHASES.INTAKE].data;
+    
+    console.log(chalk.cyan('\n=== PRODUCT RESEARCH ==='));
+    console.log(chalk.yellow('This feature uses web search to gather additional product information.'));
+    
     try {
-      this.updatedAt = new Date().toISOString();
+      const researchStrategy = createResearchStrategy(
+        process.env.RESEARCH_STRATEGY,
+        this.claude,
+        this.productName,
+        this.productType || 'generic',
+        { importance: process.env.RESEARCH_IMPORTANCE }
+      );
       
-      // Get absolute path to session directory for clearer logging
-      const absoluteSessionDir = path.resolve(SESSION_DIR);
-      console.log(chalk.gray(`Session directory (absolute): ${absoluteSessionDir}`));
+      // Let the user preview the plan and its estimated cost before spending anything
+      let researchAction = 'plan';
+      while (researchAction === 'plan') {
+        ({ researchAction } = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'researchAction',
+            message: `Would you like to use web search to enhance your review? (Strategy: ${researchStrategy.name}, budget: $${this.claude.budgetManager.budgetUSD.toFixed(2)})`,
+            choices: [
+              { name: 'Yes, run the research', value: 'run' },
+              { name: 'Show the research plan and estimated cost (dry run)', value: 'plan' },
+              { name: 'No, skip research', value: 'skip' }
+            ]
+          }
+        ]));
+        
+        if (researchAction === 'plan') {
+          researchStrategy.dryRun();
+        }
+      }
       
-      // Ensure session directory exists
-      try {
-        await fs.mkdir(absoluteSessionDir, { recursive: true });
-        console.log(chalk.gray(`Session directory created/verified at: ${absoluteSessionDir}`));
-      } catch (dirError) {
-        console.error(chalk.red(`Error creating sessions directory:`), dirError.message);
-        throw dirError;
+      if (researchAction === 'skip') {
+        console.log(chalk.yellow('Skipping product research.'));
+        return false;
       }
       
-      // Create session file path and prepare data
+      const researchResults = await researchStrategy.executeResearch();
+      
+      intakeData.researchResults = researchResults;
+      intakeData.researchFindings = extractResearchFindings(researchResults);
+      intakeData.researchInsights = summarizeFindingsByTopic(intakeData.researchFindings);
+      intakeData.researchCompletedAt = new Date().toISOString();
+      
+      await this.save();
+      
+      const opinionCount = intakeData.researchFindings.filter(finding => finding.kind === 'opinion').length;
+      console.log(chalk.green(`\nResearch complete: ${intakeData.researchFindings.length} findings (${opinionCount} opinions) from ${collectSources(intakeData.researchFindings).length} sources.`));
+      
+      return intakeData.researchFindings.length > 0;
+    } catch (error) {
+      console.error(chalk.red('Error conducting product research:'), error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Format stored research findings as a system prompt section
+   * @param {string} phase - Phase the prompt is for
+   * @returns {string} Prompt section, or an empty string if there is no research
+   */
+  formatResearchForPrompt(phase) {
+    const intakeData = this.phaseData[PHASES.INTAKE].data;
+    const findings = intakeData.researchFindings || [];
+    
+    if (findings.length === 0) {
+      return '';
+    }
+    
+    let section = '\n\n## WEB RESEARCH INSIGHTS\n\n';
+    
+    [...new Set(findings.map(finding => finding.topic))].forEach(topic => {
+      section += `### ${topic.toUpperCase()}\n`;
+      findings.filter(finding => finding.topic === topic).forEach(finding => {
+        section += `- [${finding.kind.toUpperCase()}] ${finding.text}\n`;
+      });
+      section += '\n';
+    });
+    
+    if (phase === PHASES.INTAKE && intakeData.researchResults && intakeData.researchResults.gapAnalysis) {
+      section += `### INFORMATION GAPS\n${intakeData.researchResults.gapAnalysis}\n\nUse these gaps to decide which questions to ask.\n\n`;
+    }
+    
+    section += `Findings marked [FACT] (specifications, compatibility, measurements) can be stated directly. Findings marked [OPINION] are other people's experiences: always attribute them ("according to other users", "many reviewers note") and never present them as the reviewer's own. The reviewer's direct experience takes precedence over any conflicting research.`;
+    
+    return section;
+  }
+
+  /**
+   * Build the research notes appendix for the review metadata
+   * @returns {Object|null} Findings and sources, or null if no research was run
+   */
+  getResearchNotes() {
+    const intakeData = this.phaseData[PHASES.INTAKE].data;
+    
+    if (!intakeData.researchFindings) {
+      return null;
+    }
+    
+    return {
+      researchedAt: intakeData.researchCompletedAt || null,
+      findings: intakeData.researchFindings,
+      sources: collectSources(intakeData.researchFindings, intakeData.researchResults),
+      gapAnalysis: intakeData.researchResults ? intakeData.researchResults.gapAnalysis : null
+    };
+  }
+
+  /**
+   * Send the conversation to Claude, streaming the reply when stdout is a TTY
+   * @param {string} systemPrompt - System prompt to use
+   * @param {string} label - Heading printed before a streamed reply
+   * @returns {Promise<Object>} Claude's response (streamed responses are already printed)
+   */
+  async requestClaude(systemPrompt, label = 'Response:') {
+    const stream = Boolean(process.stdout.isTTY);
+    if (stream) {
+      console.log(chalk.green(`\n${label}`));
+    }
+    
+    // Regenerating the turn later starts from the state it is sent with
+    this.turnHistory.recordRequestCheckpoint();
+    
+    // Drop analyzed images and summarize older turns before the conversation outgrows the context budget
+    this.messages = await this.contextManager.manage(this.messages, systemPrompt);
+    
+    const response = await this.claude.processMessages(this.messages, systemPrompt, undefined, {
+      stream,
+      settings: this.claude.getRequestSettings(this.phase)
+    });
+    
+    if (response.interrupted) {
+      await this.handleInterruptedResponse(response);
+    }
+    
+    delete this.phaseData[this.phase].data.interruptedResponse;
+    return response;
+  }
+
+  /**
+   * Save a partial response after Ctrl-C and exit
+   * @param {Object} response - Interrupted Claude response
+   */
+  async handleInterruptedResponse(response) {
+    this.phaseData[this.phase].data.interruptedResponse = {
+      content: response.content,
+      interruptedAt: new Date().toISOString()
+    };
+    
+    console.log(chalk.yellow('\nSaving partial response and exiting...'));
+    await this.save();
+    console.log(chalk.green(`Session saved. Resume with: --continue ${this.id}`));
+    process.exit(0);
+  }
+
+  /**
+   * Get the most recent version of the review
+   * @returns {string} Latest refined version, the accepted draft, or an empty string
+   */
+  getCurrentReview() {
+    return this.phaseData[PHASES.REFINE].reviewContent ||
+           this.phaseData[PHASES.DRAFT].reviewContent ||
+           '';
+  }
+
+  /**
+   * Save the session to a file
+   */
+  async save() {
+    if (!this.id) {
+      console.error(chalk.red('Error: Cannot save session - missing session ID'));
+      throw new Error('Invalid session: missing ID');
+    }
+    try {
+      this.updatedAt = new Date().toISOString();
+      
+      // Get absolute path to session directory for clearer logging
+      const absoluteSessionDir = path.resolve(SESSION_DIR);
+      console.log(chalk.gray(`Session directory (absolute): ${absoluteSessionDir}`));
+      
+      // Ensure session directory exists
+      try {
+        await fs.mkdir(absoluteSessionDir, { recursive: true });
+        console.log(chalk.gray(`Session directory created/verified at: ${absoluteSessionDir}`));
+      } catch (dirError) {
+        console.error(chalk.red(`Error creating sessions directory:`), dirError.message);
+        throw dirError;
+      }
+      
+      // Create session file path and prepare data
       const sessionPath = path.join(absoluteSessionDir, `${this.id}.json`);
       const sessionData = this.toJSON();
       
@@ -615,56 +1147,66 @@ if (!this.phaseData[PHASES.REFINE].complete && !this.phaseData[PHASES.DRAFT].com
     }
   ]);
   
+  // start() picks up the new phase once this one returns
   this.phase = returnPhase;
-  if (returnPhase === PHASES.DRAFT) {
-    return this.runDraftPhase();
-  } else {
-    return this.runRefinePhase();
-  }
+  return;
 }
     try {
       console.log(chalk.cyan("\n=== QUALITY CONTROL PHASE ==="));
       console.log(chalk.yellow("In this phase, I'll finalize the review and ensure it meets all quality standards."));
-      console.log(chalk.yellow("TIP: Use 'show-framework phase.section_name' to view framework sections"));
+      console.log(chalk.yellow("TIP: Type 'help' for the in-session commands, or 'show-framework phase.section_name' to view framework sections"));
       console.log(chalk.yellow("Example: 'show-framework draft.humor_framework'"));
 
       // Load last completed review draft from previous phase
-      const previousPhaseData = this.phaseData[PHASES.REFINE] || this.phaseData[PHASES.DRAFT];
-      let reviewContent = '';
+      let reviewContent = this.getCurrentReview();
       
-      if (previousPhaseData && previousPhaseData.reviewContent) {
-        reviewContent = previousPhaseData.reviewContent;
-      } else {
+      if (!reviewContent) {
         // Extract the review from the previous messages if not stored directly
         const messages = this.messages.filter(msg => msg.role === 'assistant');
         if (messages.length > 0) {
           // Get the most recent assistant message
           const lastMessage = messages[messages.length - 1];
-          reviewContent = this.extractReviewContent(lastMessage.content);
+          reviewContent = this.extractReview(lastMessage.content).review;
         }
       }
       
       if (!reviewContent) {
         console.log(chalk.yellow("\nNo review content found in previous phases. Please complete the Draft phase first."));
         console.log(chalk.yellow("You can use 'jump draft' to go back to the draft phase."));
-        return;
         
+        // Run commands until one changes the phase or the user presses Enter
+        let commandResult;
+        do {
+          commandResult = await this.promptCommand("Command (press Enter to stop):");
+        } while (commandResult.handled && !commandResult.phaseChanged);
+        return;
       }
       
       console.log(chalk.green("\nFinal Review:"));
       console.log(reviewContent);
       
-      // Add a pause to let the user read the review
-      const { continueProcess } = await inquirer.prompt([
-        {
-          type: 'confirm',
-          name: 'continueProcess',
-          message: 'Review displayed above. Continue to save the review?',
-          default: true
+      // Add a pause to let the user read the review (and run commands) before saving it
+      let qualityAction = 'command';
+      while (qualityAction === 'command') {
+        ({ qualityAction } = await inquirer.prompt([
+          {
+            type: 'list',
+            name: 'qualityAction',
+            message: 'Review displayed above. Continue to save the review?',
+            choices: [
+              { name: 'Save the review and continue', value: 'continue' },
+              { name: "Enter a command (type 'help' for a list)", value: 'command' },
+              { name: 'Pause and resume later', value: 'pause' }
+            ]
+          }
+        ]));
+        
+        if (qualityAction === 'command' && (await this.promptCommand()).phaseChanged) {
+          return;
         }
-      ]);
+      }
       
-      if (!continueProcess) {
+      if (qualityAction === 'pause') {
         console.log(chalk.yellow("Process paused. You can resume later."));
         return;
       }
@@ -680,7 +1222,8 @@ if (!this.phaseData[PHASES.REFINE].complete && !this.phaseData[PHASES.DRAFT].com
       // Save the review to a file
       const sanitizedName = this.productName.replace(/[^a-z0-9]/gi, '-').toLowerCase();
       const date = new Date().toISOString().split('T')[0];
-      const fileName = `${sanitizedName}-${date}.md`;
+      const branchSuffix = this.branch !== MAIN_BRANCH ? `-${this.branch}` : '';
+      const fileName = `${sanitizedName}${branchSuffix}-${date}.md`;
       const filePath = path.join(reviewsDir, fileName);
       
       try {
@@ -701,102 +1244,91 @@ if (!this.phaseData[PHASES.REFINE].complete && !this.phaseData[PHASES.DRAFT].com
       ]);
       
       if (showQualityAssessment) {
-        // Load quality framework
-        const framework = await this.frameworkLoader.getPhaseFramework(PHASES.QUALITY);
-        const systemPrompt = await this.frameworkLoader.createDynamicPrompt(PHASES.QUALITY, {
-          productType: this.productType,
-          keywords: this.keywords
-        });
-        
         console.log(chalk.yellow("\nGenerating quality assessment..."));
         
-        // Create a message asking for assessment
-        this.messages.push({
-          role: 'user',
-          content: "Please provide a quality assessment of this review, including scores for Testing Depth, Information Quality, Authenticity, Writing Quality, and Helpfulness. Give each category a score out of 20 and provide a total score out of 100."
+        // Score the review against quality.yaml's scoring_system
+        const scorer = new QualityScorer(this.claude, this.frameworkLoader, {
+          stream: Boolean(process.stdout.isTTY),
+          onInterrupted: response => this.handleInterruptedResponse(response)
         });
+        const scores = await scorer.score(reviewContent);
+        const qualityAssessment = scorer.formatScores(scores);
         
-        // Get assessment
-// After getting Claude's response for quality assessment
-console.log(chalk.green("\nQuality Assessment:"));
-console.log(response.content);
-
-// Save assessment to session data
-this.phaseData[PHASES.QUALITY].data.qualityAssessment = response.content;
-
-// Add an explicit pause to review the quality assessment
-const { reviewAssessment } = await inquirer.prompt([
-  {
-    type: 'confirm',
-    name: 'reviewAssessment',
-    message: 'Would you like to make additional refinements based on this assessment?',
-    default: false
-  }
-]);
-
-if (reviewAssessment) {
-  console.log(chalk.yellow("\nMoving back to refinement phase for final adjustments..."));
-  this.phase = PHASES.REFINE;
-  
-  // Add a message to indicate this is a quality-based refinement
-  this.messages.push({
-    role: 'user',
-    content: "I'd like to make some final refinements based on the quality assessment. Please help me implement these improvements while maintaining the review's core structure and personality."
-  });
-  
-  await this.save();
-  return this.runRefinePhase();
-}
-        // Add to messages
-        this.messages.push({
-          role: 'assistant',
-          content: response.content
-        });
+        // Save assessment to session data
+        this.phaseData[PHASES.QUALITY].data.scores = scores;
+        this.phaseData[PHASES.QUALITY].data.qualityAssessment = qualityAssessment;
+        await this.save();
         
         console.log(chalk.green("\nQuality Assessment:"));
-        console.log(response.content);
+        console.log(qualityAssessment);
         
-        // Save assessment
-        this.phaseData[PHASES.QUALITY].data.qualityAssessment = response.content;
+        // Add an explicit pause to review the quality assessment
+        const { reviewAssessment } = await inquirer.prompt([
+          {
+            type: 'confirm',
+            name: 'reviewAssessment',
+            message: 'Would you like to make additional refinements based on this assessment?',
+            default: false
+          }
+        ]);
+        
+        if (reviewAssessment) {
+          console.log(chalk.yellow("\nMoving back to refinement phase for final adjustments..."));
+          this.phase = PHASES.REFINE;
+          this.phaseData[PHASES.REFINE].complete = false;
+          
+          // Add a message to indicate this is a quality-based refinement
+          this.addUserMessage({
+            role: 'user',
+            content: `I'd like to make some final refinements based on this quality assessment. Please help me implement these improvements while maintaining the review's core structure and personality.\n\n${qualityAssessment}`
+          });
+          
+          await this.save();
+          return;
+        }
       }
       
       // Mark the phase as complete
-      this.phaseData[PHASES.QUALITY] = {
-        complete: true,
-        data: {
-          finalReview: reviewContent,
-          completedAt: new Date().toISOString()
-        }
-      };
+      this.phaseData[PHASES.QUALITY].complete = true;
+      Object.assign(this.phaseData[PHASES.QUALITY].data, {
+        finalReview: reviewContent,
+        completedAt: new Date().toISOString()
+      });
       
       await this.save();
-      // Add this after the quality assessment section in runQualityPhase()
-// Inside the existing try/catch block, before the finally block
-
-// Format the final review for display with better spacing
-const formattedReview = reviewContent.split('\n').join('\n');
-console.log(chalk.cyan("\n=== FINAL REVIEW ===\n"));
-console.log(formattedReview);
-
-// Save the final review with additional metadata
-const reviewMetadata = {
-  productName: this.productName,
-  productType: this.productType || 'general',
-  createdAt: this.createdAt,
-  completedAt: new Date().toISOString(),
-  keywords: this.keywords || [],
-  qualityScore: extractQualityScore(this.phaseData[PHASES.QUALITY].data.qualityAssessment || ''),
-  finalReviewPath: filePath
-};
-
-// Save metadata alongside review
-const metadataPath = path.join(reviewsDir, `${sanitizedName}-${date}.json`);
-try {
-  await fs.writeFile(metadataPath, JSON.stringify(reviewMetadata, null, 2));
-  console.log(chalk.green(`Review metadata saved to: ${metadataPath}`));
-} catch (metadataError) {
-  console.error(chalk.yellow(`Warning: Could not save review metadata: ${metadataError.message}`));
-}
+      
+      // Format the final review for display with better spacing
+      console.log(chalk.cyan("\n=== FINAL REVIEW ===\n"));
+      console.log(reviewContent);
+      
+      // Save the final review with additional metadata
+      const reviewMetadata = {
+        productName: this.productName,
+        brand: this.brand,
+        productType: this.productType || 'general',
+        createdAt: this.createdAt,
+        completedAt: new Date().toISOString(),
+        keywords: this.keywords || [],
+        ...this.getCurrentReviewDetails(),
+        qualityScore: this.phaseData[PHASES.QUALITY].data.scores || null,
+        branch: this.branch,
+        finalReviewPath: filePath,
+        spend: {
+          ...this.claude.spendLedger.getSessionTotal(this.id),
+          byPhase: this.claude.spendLedger.getSessionBreakdown(this.id)
+        },
+        researchNotes: this.getResearchNotes()
+      };
+      
+      // Save metadata alongside review
+      const metadataPath = path.join(reviewsDir, `${sanitizedName}${branchSuffix}-${date}.json`);
+      try {
+        await fs.writeFile(metadataPath, JSON.stringify(reviewMetadata, null, 2));
+        console.log(chalk.green(`Review metadata saved to: ${metadataPath}`));
+      } catch (metadataError) {
+        console.error(chalk.yellow(`Warning: Could not save review metadata: ${metadataError.message}`));
+      }
+      
       // Final pause
       const { exitProcess } = await inquirer.prompt([
         {
@@ -831,6 +1363,7 @@ try {
     return {
       id: this.id,
       productName: this.productName,
+      brand: this.brand,
       phase: this.phase,
       imageDir: this.imageDir,
       messages: this.messages,
@@ -840,7 +1373,12 @@ try {
       keywords: this.keywords,
       imageAnalysis: this.imageAnalysis,
       phaseData: this.phaseData,
-      webSearchEnabled: this.webSearchEnabled
+      webSearchEnabled: this.webSearchEnabled,
+      rewindLog: this.rewindLog,
+      checkpoints: this.checkpoints,
+      branch: this.branch,
+      branches: this.branches,
+      branchBaseMessages: this.branchBaseMessages
     };
   }
 
@@ -850,59 +1388,381 @@ try {
    */
 
   /**
-   * Extract product name from description
-   * @param {string} description - Product description
-   * @returns {string} Extracted product name
+   * Identify the product and its keywords from the conversation, then let the user confirm or edit them
    */
-  async extractProductName(description) {
-    // Simple implementation
-    const firstLine = description.split('\n')[0] || '';
-    const words = firstLine.split(/\s+/).slice(0, 3);
-    return words.join(' ') || 'Product Review';
+  async identifyProduct() {
+    console.log(chalk.yellow('\nIdentifying the product...'));
+    
+    let profile;
+    try {
+      profile = await this.productProfiler.extract(this.messages, this.getProductProfile());
+    } catch (error) {
+      // Fall back to what we have and let the user fill it in
+      console.error(chalk.yellow(`Warning: Could not identify the product: ${error.message}`));
+      profile = this.productProfiler.normalize(this.getProductProfile(), await this.productProfiler.getKeywordBuckets());
+    }
+    
+    profile = await this.confirmProductProfile(profile);
+    
+    this.productName = profile.productName || 'Unnamed Product';
+    this.brand = profile.brand;
+    this.productType = profile.category;
+    this.keywords = profile.keywords;
   }
 
   /**
-   * Extract keywords from messages
-   * @param {Array} messages - Array of message objects
-   * @returns {Array} Extracted keywords
+   * Get the current product profile
+   * @returns {Object} Profile: { productName, brand, category, keywords }
    */
-  extractKeywords(messages) {
-    // Placeholder implementation
-    return ['product', 'review'];
+  getProductProfile() {
+    return {
+      productName: this.productName === 'Unnamed Product' ? null : this.productName,
+      brand: this.brand,
+      category: this.productType || 'generic',
+      keywords: Array.isArray(this.keywords) ? {} : this.keywords
+    };
   }
 
   /**
-   * Determine product type from messages
-   * @param {Array} messages - Array of message objects
-   * @returns {string} Product type
+   * Show an extracted product profile and let the user confirm or edit it
+   * @param {Object} profile - Extracted profile
+   * @returns {Promise<Object>} Confirmed profile
    */
-  determineProductType(messages) {
-    // Placeholder implementation
-    return 'generic';
+  async confirmProductProfile(profile) {
+    const keywordBuckets = Object.keys(profile.keywords);
+    
+    console.log(chalk.cyan('\n=== PRODUCT PROFILE ==='));
+    console.log(`Product:  ${profile.productName || chalk.gray('(unknown)')}`);
+    console.log(`Brand:    ${profile.brand || chalk.gray('(unknown)')}`);
+    console.log(`Category: ${profile.category}`);
+    keywordBuckets.forEach(bucket => {
+      console.log(`${bucket}: ${profile.keywords[bucket].join(', ') || chalk.gray('(none)')}`);
+    });
+    
+    const { profileAction } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'profileAction',
+        message: 'Is this product profile correct?',
+        choices: [
+          { name: 'Yes, use it', value: 'confirm' },
+          { name: 'Edit it', value: 'edit' }
+        ]
+      }
+    ]);
+    
+    if (profileAction === 'confirm') {
+      return profile;
+    }
+    
+    const answers = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'productName',
+        message: 'Product name:',
+        default: profile.productName || undefined,
+        validate: input => input.trim() ? true : 'Please enter the product name'
+      },
+      {
+        type: 'input',
+        name: 'brand',
+        message: 'Brand (leave blank if unknown):',
+        default: profile.brand || undefined
+      },
+      {
+        type: 'list',
+        name: 'category',
+        message: 'Category:',
+        choices: [...PRODUCT_CATEGORIES, 'generic'],
+        default: profile.category
+      },
+      ...keywordBuckets.map((bucket, index) => ({
+        type: 'input',
+        name: `keywords${index}`,
+        message: `${bucket} (comma-separated):`,
+        default: profile.keywords[bucket].join(', ') || undefined
+      }))
+    ]);
+    
+    const keywords = {};
+    keywordBuckets.forEach((bucket, index) => {
+      keywords[bucket] = (answers[`keywords${index}`] || '')
+        .split(',')
+        .map(keyword => keyword.trim())
+        .filter(Boolean);
+    });
+    
+    return {
+      productName: answers.productName.trim(),
+      brand: answers.brand.trim() || null,
+      category: answers.category,
+      keywords
+    };
   }
 
   /**
-   * Check if a phase is complete based on Claude's response
-   * @param {string} content - Claude's response content
+   * Store the phase status Claude reported at the end of a response
    * @param {string} phase - Current phase
-   * @returns {boolean} True if phase is complete
+   * @param {string} content - Claude's response content
+   * @param {Array} additionalUnmet - Unmet requirements found by the tool itself
+   * @returns {Object} Parsed status: { found, ready, unmet }
    */
-  checkPhaseCompletion(content, phase) {
-    // Look for phase completion indicators in Claude's response
-    const completionIndicators = {
-      'intake': [
-        'gathered sufficient information',
-        'ready to move to the draft creation phase',
-        'proceed to the draft phase',
-        'all the information I need'
-      ]
+  recordPhaseStatus(phase, content, additionalUnmet = []) {
+    const parsed = this.phaseTransitions.parse(content);
+    const status = {
+      found: parsed.found,
+      ready: parsed.ready && additionalUnmet.length === 0,
+      unmet: [...parsed.unmet, ...additionalUnmet]
     };
     
-    // Check if any completion indicators are present
-    const indicators = completionIndicators[phase] || [];
-    return indicators.some(indicator => 
-      content.toLowerCase().includes(indicator.toLowerCase())
-    );
+    this.phaseData[phase].data.phaseStatus = { ...status, reportedAt: new Date().toISOString() };
+    return status;
+  }
+
+  /**
+   * Get the user's reply to Claude's intake questions, using the configured intake mode
+   * In form mode, commands are offered as menu choices and return the same words the editor accepts,
+   * marked as commands (e.g. /facts) so they run without being confirmed
+   * @param {string} content - Claude's response content
+   * @returns {Promise<string>} Reply text or command
+   */
+  async getIntakeReply(content) {
+    const starterQuestions = this.getPendingStarterQuestions();
+    
+    // Starter questions come first; drop any that Claude repeated anyway
+    const questions = this.intakeMode === 'form'
+      ? [...starterQuestions.map(item => item.question), ...extractQuestions(this.phaseTransitions.strip(content))]
+        .filter((question, index, all) =>
+          all.findIndex(other => other.toLowerCase() === question.toLowerCase()) === index)
+      : [];
+    
+    if (this.intakeMode !== 'form' && starterQuestions.length > 0) {
+      console.log(chalk.cyan('\nPlease also answer these starter questions in your reply:'));
+      starterQuestions.forEach(item => console.log(chalk.cyan(`[${item.id}] ${item.question}`)));
+    }
+    
+    let replyAction = 'editor';
+    if (this.intakeMode === 'form') {
+      ({ replyAction } = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'replyAction',
+          message: 'How would you like to reply?',
+          choices: [
+            ...(questions.length > 0 ? [{ name: `Answer the ${questions.length} question(s) one at a time`, value: 'form' }] : []),
+            { name: 'Write a free-form reply in the editor', value: 'editor' },
+            { name: 'Show the fact sheet', value: 'facts' },
+            { name: 'Proceed to the Draft phase', value: 'proceed' },
+            { name: "Enter a command (type 'help' for a list)", value: 'command' },
+            { name: 'Save session', value: 'save' },
+            { name: 'Save and exit', value: 'exit' }
+          ]
+        }
+      ]));
+    }
+    
+    if (replyAction === 'form') {
+      // Keep the answers by question id so later rounds can tell what's been covered
+      const intakeData = this.phaseData[PHASES.INTAKE].data;
+      intakeData.questionForms = intakeData.questionForms || [];
+      
+      const askedSoFar = intakeData.questionForms.reduce((total, round) => total + round.answers.length, 0);
+      const form = await this.intakeForm.ask(questions, askedSoFar + 1);
+      intakeData.questionForms.push({ ...form, answeredAt: new Date().toISOString() });
+      
+      return this.intakeForm.formatAnswers(form);
+    }
+    
+    if (replyAction === 'editor') {
+      const { response } = await inquirer.prompt([
+        {
+          type: 'editor',
+          name: 'response',
+          message: "Your response (an editor will open; type 'proceed' to move to the draft anyway, or '/help' for commands):",
+        }
+      ]);
+      
+      return response;
+    }
+    
+    if (replyAction === 'command') {
+      const { command } = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'command',
+          message: "Command (type 'help' for a list):"
+        }
+      ]);
+      
+      // Only commands go back to the loop; anything else would be sent to Claude as an answer
+      if (!this.commands.parse(command)) {
+        if (command.trim()) {
+          console.log(chalk.yellow(`Unknown command: ${command.trim()}. Type 'help' for a list of commands.`));
+        }
+        return this.getIntakeReply(content);
+      }
+      
+      return this.commands.markCommand(command);
+    }
+    
+    // Menu choices other than proceed are commands, and need no confirmation
+    return replyAction === 'proceed' ? replyAction : this.commands.markCommand(replyAction);
+  }
+
+  /**
+   * Prompt for a single in-session command and run it
+   * @param {string} message - Prompt message
+   * @returns {Promise<Object>} Command router result: { handled, phaseChanged }
+   */
+  async promptCommand(message = "Command (type 'help' for a list):") {
+    const { command } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'command',
+        message
+      }
+    ]);
+    
+    if (!command.trim()) {
+      return { handled: false };
+    }
+    
+    const result = await this.commands.handle(command);
+    if (!result.handled) {
+      console.log(chalk.yellow(`Unknown command: ${command.trim()}. Type 'help' for a list of commands.`));
+    }
+    
+    return result;
+  }
+
+  /**
+   * Build the starter questionnaire from the framework's question templates
+   * @param {string} description - Reviewer's initial description
+   */
+  async seedStarterQuestions(description) {
+    const intakeData = this.phaseData[PHASES.INTAKE].data;
+    
+    try {
+      const questionnaire = await this.questionSeeder.buildQuestionnaire(description, this.productType, this.productName);
+      intakeData.starterQuestions = { ...questionnaire, pending: questionnaire.questions.length > 0 };
+      
+      if (questionnaire.skipped.length > 0) {
+        console.log(chalk.gray(`Skipping ${questionnaire.skipped.length} starter question(s) your description already answers.`));
+      }
+    } catch (error) {
+      console.error(chalk.yellow(`Warning: Could not build the starter questionnaire: ${error.message}`));
+    }
+  }
+
+  /**
+   * Get the starter questions that haven't been offered to the user yet
+   * @returns {Array} Starter questions as { id, category, question, followUp }
+   */
+  getPendingStarterQuestions() {
+    const starterQuestions = this.phaseData[PHASES.INTAKE].data.starterQuestions;
+    return starterQuestions && starterQuestions.pending ? starterQuestions.questions : [];
+  }
+
+  /**
+   * Update the intake fact sheet with the facts from the latest exchange
+   */
+  async updateFacts() {
+    const intakeData = this.phaseData[PHASES.INTAKE].data;
+    if (!intakeData.facts) {
+      intakeData.facts = await this.factTracker.createFactSheet();
+    }
+    
+    try {
+      const added = await this.factTracker.update(intakeData.facts, this.messages);
+      
+      if (global.VERBOSE_MODE) {
+        console.log(chalk.gray(`Fact sheet updated: ${added} new fact(s)`));
+      }
+    } catch (error) {
+      // The fact sheet is a helper; a failed update shouldn't interrupt the interview
+      console.error(chalk.yellow(`Warning: Could not update the fact sheet: ${error.message}`));
+    }
+  }
+
+  /**
+   * Show the intake fact sheet's coverage per category and tracking element
+   */
+  async showFacts() {
+    const facts = this.phaseData[PHASES.INTAKE].data.facts;
+    if (!facts) {
+      console.log(chalk.yellow('\nNo facts have been recorded yet.'));
+      return;
+    }
+    
+    const coverage = await this.factTracker.getCoverage(facts);
+    
+    console.log(chalk.cyan('\n=== FACT SHEET ==='));
+    coverage.forEach(category => {
+      console.log(chalk.cyan(`\n${category.category} (${category.covered}/${category.total} covered)`));
+      
+      category.elements.forEach(item => {
+        const label = `${item.element}${item.critical ? ' (critical)' : ''}`;
+        
+        if (item.facts.length === 0) {
+          console.log(item.critical ? chalk.red(`  ✗ ${label}`) : chalk.gray(`  - ${label}`));
+        } else {
+          console.log(chalk.green(`  ✓ ${label}`));
+          item.facts.forEach(fact => console.log(`      ${fact}`));
+        }
+      });
+    });
+    
+    const missing = await this.factTracker.getMissingCritical(facts);
+    if (missing.length > 0) {
+      console.log(chalk.yellow(`\nCritical information still missing: ${missing.join(', ')}`));
+    }
+  }
+
+  /**
+   * Show the transition requirements Claude reports as unmet
+   * @param {Object} status - Parsed phase status
+   */
+  showUnmetRequirements(status) {
+    if (!status || !status.found) {
+      console.log(chalk.gray('\nNo phase status was reported with this response.'));
+      return;
+    }
+    
+    if (status.unmet.length > 0) {
+      console.log(chalk.yellow('\nTransition requirements not met yet:'));
+      status.unmet.forEach(item => console.log(chalk.yellow(`- ${item}`)));
+    }
+  }
+
+  /**
+   * Ask the user to confirm moving to the next phase, recording an override when
+   * Claude hasn't reported the phase as ready
+   * @param {string} phase - Current phase
+   * @param {string} nextPhaseName - Display name of the next phase
+   * @returns {Promise<boolean>} True if the user confirmed
+   */
+  async confirmPhaseTransition(phase, nextPhaseName) {
+    const status = this.phaseData[phase].data.phaseStatus || { found: false, ready: false, unmet: [] };
+    
+    const { confirmTransition } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmTransition',
+        message: status.ready
+          ? `Would you like to proceed to the ${nextPhaseName} phase?`
+          : `Proceed to the ${nextPhaseName} phase anyway?`,
+        default: status.ready
+      }
+    ]);
+    
+    if (confirmTransition && !status.ready) {
+      this.phaseData[phase].data.transitionOverride = {
+        unmet: status.unmet,
+        overriddenAt: new Date().toISOString()
+      };
+    }
+    
+    return confirmTransition;
   }
 
   /**
@@ -1027,122 +1887,211 @@ try {
   }
 
   /**
-   * Extract review content from Claude's response more accurately
+   * Extract the review from Claude's response, reporting how it was found
    * @param {string} content - Claude's response content
-   * @returns {string} Extracted review content
+   * @returns {Object} { review, title, rating, body, method }
    */
-  extractReviewContent(content) {
-    // First look for content between markdown code blocks
-    const markdownMatch = content.match(/```(?:markdown)?\s*([\s\S]+?)\s*```/);
-    if (markdownMatch) return markdownMatch[1].trim();
-    
-    // Next, look for sections that appear to be a review with headers
-    const headerPattern = /(^|\n)## .+/g;
-    if (content.match(headerPattern)) {
-      // Find where the review starts (first heading)
-      const firstHeaderMatch = content.match(/(^|\n)(# |## ).+/);
-      if (firstHeaderMatch) {
-        const startIndex = firstHeaderMatch.index;
-        // Extract from first heading to end (or before any "In conclusion" type text)
-        const endMarkers = [
-          "\n\nI hope this review",
-          "\n\nLet me know if",
-          "\n\nIs there anything"
-        ];
-        
-        let endIndex = content.length;
-        for (const marker of endMarkers) {
-          const markerIndex = content.indexOf(marker);
-          if (markerIndex !== -1 && markerIndex < endIndex) {
-            endIndex = markerIndex;
-          }
-        }
-        
-        return content.substring(startIndex, endIndex).trim();
-      }
+  extractReview(content) {
+    // The phase status trailer is never part of the review
+    const extracted = this.reviewExtractor.extract(this.phaseTransitions.strip(content));
+    
+    if (extracted.method === 'markers') {
+      console.log(chalk.gray('Review extracted from <review> markers'));
+    } else {
+      console.log(chalk.yellow(`Note: The response had no <review> markers, so the review was extracted by heuristic (${extracted.method}). Check that it is complete.`));
     }
     
-    // Look for sections that might be the review based on keywords
-    const reviewKeywords = ['PROS', 'CONS', 'VERDICT', 'REVIEW', 'RATING'];
-    const paragraphs = content.split(/\n{2,}/);
+    return extracted;
+  }
+
+  /**
+   * Get the title and rating of the most recent version of the review
+   * @returns {Object} { title, rating } (null when the review had no markers)
+   */
+  getCurrentReviewDetails() {
+    const versions = this.phaseData[PHASES.REFINE].data.versions || [];
+    const latest = this.phaseData[PHASES.REFINE].reviewContent && versions.length > 0
+      ? versions[versions.length - 1]
+      : this.phaseData[PHASES.DRAFT].data;
     
-    // Find the longest section containing review keywords
-    const reviewSection = paragraphs.reduce((longest, paragraph) => {
-      const hasKeywords = reviewKeywords.some(keyword => 
-        paragraph.toUpperCase().includes(keyword)
-      );
+    return {
+      title: latest.reviewTitle || null,
+      rating: latest.reviewRating || null
+    };
+  }
+}
+
+// Phrases that mark a research statement as someone's opinion rather than a verifiable fact
+const OPINION_PATTERNS = [
+  /\b(users?|reviewers?|customers?|owners?|buyers?|people|critics)\b[^.]*\b(say|said|says|report|reported|reports|mention|mentioned|complain|complained|praise|praised|love|loved|like|liked|dislike|find|found|feel|felt|note|noted|prefer|recommend)/i,
+  /\b(many|some|most|several|few)\s+(users|reviewers|customers|owners|buyers|people)\b/i,
+  /\b(according to|reportedly|in my opinion|opinions?|subjective|complaints?|praised)\b/i
+];
+
+// Inline citation added by the research prompt, e.g. [https://example.com/page]
+const CITATION_PATTERN = /\[(https?:\/\/[^\]\s]+)\]/g;
+
+/**
+ * Split research results into individual findings
+ * @param {Object} researchResults - Results from the research planner
+ * @returns {Array} Findings as { topic, text, kind, source, timestamp }
+ */
+function extractResearchFindings(researchResults) {
+  const findings = [];
+  
+  (researchResults.productResearch || []).forEach(research => {
+    const sources = research.sources || [];
+    
+    splitIntoStatements(research.result || '').forEach(statement => {
+      const citedUrls = [...statement.matchAll(CITATION_PATTERN)].map(match => match[1]);
       
-      if (hasKeywords && paragraph.length > longest.length) {
-        return paragraph;
+      // Prefer the cited source; fall back to the only source if the topic had just one
+      let source = null;
+      if (citedUrls.length > 0) {
+        source = sources.find(candidate => candidate.url === citedUrls[0]) || { url: citedUrls[0], title: citedUrls[0] };
+      } else if (sources.length === 1) {
+        source = sources[0];
       }
-      return longest;
-    }, '');
+      
+      findings.push({
+        topic: research.topic,
+        text: statement.replace(CITATION_PATTERN, '').replace(/\s+/g, ' ').trim(),
+        kind: OPINION_PATTERNS.some(pattern => pattern.test(statement)) ? 'opinion' : 'fact',
+        source: source ? { url: source.url, title: source.title } : null,
+        timestamp: research.researchedAt || new Date().toISOString()
+      });
+    });
+  });
+  
+  return findings;
+}
+
+/**
+ * Split research text into list items or sentences
+ * @param {string} text - Research text
+ * @returns {Array} Statements worth keeping
+ */
+function splitIntoStatements(text) {
+  const statements = [];
+  
+  text.split('\n').forEach(line => {
+    const trimmed = line.trim();
     
-    if (reviewSection && reviewSection.length > 100) {
-      return reviewSection;
+    // Skip blank lines and headings
+    if (!trimmed || trimmed.startsWith('#') || /^\*\*[^*]+\*\*:?$/.test(trimmed)) {
+      return;
     }
     
-    // If all else fails, look for the longest paragraph
-    const longestParagraph = paragraphs.reduce((longest, paragraph) => 
-      paragraph.length > longest.length ? paragraph : longest, '');
-    
-    // If the longest paragraph is substantial, it might be part of the review
-    if (longestParagraph && longestParagraph.length > 200) {
-      return longestParagraph;
+    const listItem = trimmed.match(/^(?:[-*•]|\d+\.)\s+(.+)$/);
+    if (listItem) {
+      statements.push(listItem[1]);
+    } else {
+      statements.push(...trimmed.split(/(?<=[.!?])\s+(?=[A-Z])/));
     }
-    
-    // If no clear review section, return the whole content
-    return content;
+  });
+  
+  return statements
+    .map(statement => statement.replace(/\*\*/g, '').trim())
+    .filter(statement => statement.replace(CITATION_PATTERN, '').trim().length > 20);
+}
+
+/**
+ * Summarize findings into a few points per topic
+ * @param {Array} findings - Research findings
+ * @returns {Array} Insights as { topic, summary }
+ */
+function summarizeFindingsByTopic(findings) {
+  return [...new Set(findings.map(finding => finding.topic))].map(topic => ({
+    topic,
+    summary: findings
+      .filter(finding => finding.topic === topic)
+      .slice(0, 3)
+      .map(finding => finding.text)
+  }));
+}
+
+/**
+ * Collect the unique sources behind research findings
+ * @param {Array} findings - Research findings
+ * @param {Object} researchResults - Raw research results (for sources that weren't cited)
+ * @returns {Array} Sources as { url, title, snippet }
+ */
+function collectSources(findings, researchResults = null) {
+  const sources = [];
+  const addSource = source => {
+    if (source && source.url && !sources.some(existing => existing.url === source.url)) {
+      sources.push({ url: source.url, title: source.title, snippet: source.snippet || '' });
+    }
+  };
+  
+  findings.forEach(finding => addSource(finding.source));
+  if (researchResults) {
+    (researchResults.productResearch || []).forEach(research => (research.sources || []).forEach(addSource));
   }
+  
+  return sources;
 }
 
+// Keywords that map user feedback onto the refine.yaml feedback categories
+const FEEDBACK_CATEGORY_KEYWORDS = {
+  'Content Addition': ['add', 'include', 'mention', 'expand', 'missing', 'more about', 'more detail'],
+  'Content Removal': ['remove', 'delete', 'cut', 'shorten', 'drop', 'redundant', 'repetition', 'repetitive', 'too long'],
+  'Style Adjustment': ['tone', 'personality', 'humor', 'humour', 'funny', 'voice', 'style', 'joke', 'jokes'],
+  'Structure Modification': ['format', 'formatting', 'structure', 'reorder', 'reorganize', 'section', 'sections', 'heading', 'headings', 'layout'],
+  'Emphasis Change': ['emphasize', 'emphasis', 'highlight', 'focus', 'prominent', 'downplay', 'stress']
+};
+
 // Enhanced feedback detection function
 /**
  * Detect the type of feedback provided by the user
  * @param {string} feedbackText - The feedback text
- * @returns {Object} Detected feedback types
+ * @returns {Array<string>} Names of the matching refine.yaml feedback categories
  */
 function detectFeedbackType(feedbackText) {
   const feedbackLower = feedbackText.toLowerCase();
-  return {
-    personality: feedbackLower.includes('tone') || feedbackLower.includes('personality'),
-    formatting: feedbackLower.includes('format') || feedbackLower.includes('structure'),
-    redundancy: feedbackLower.includes('redundant') || feedbackLower.includes('repetition')
-  };
+  return Object.keys(FEEDBACK_CATEGORY_KEYWORDS).filter(category =>
+    FEEDBACK_CATEGORY_KEYWORDS[category].some(keyword =>
+      new RegExp(`\\b${keyword}\\b`).test(feedbackLower)
+    )
+  );
 }
 
 /**
- * Jump to a specific phase in the review process
- * @param {string} targetPhase - The phase to jump to
- * @returns {Promise<boolean>} Success status
+ * Build the refinement request sent to Claude for one round of feedback
+ * @param {string} feedbackText - The user's feedback
+ * @param {Array<string>} feedbackTypes - Detected feedback category names
+ * @param {Array} feedbackCategories - feedback_categories from refine.yaml
+ * @returns {string} Message content for the refinement request
  */
-Session.prototype.jumpToPhase = async function(targetPhase) {
-  const validPhases = {
-    'intake': PHASES.INTAKE,
-    'draft': PHASES.DRAFT, 
-    'refine': PHASES.REFINE,
-    'quality': PHASES.QUALITY
-  };
-  
-  if (!validPhases[targetPhase]) {
-    console.log(chalk.yellow(`Invalid phase: ${targetPhase}. Valid phases are: intake, draft, refine, quality`));
-    return false;
-  }
+function buildRefinementRequest(feedbackText, feedbackTypes, feedbackCategories) {
+  let request = `Please revise the complete review based on my feedback below.\n\n## MY FEEDBACK\n\n${feedbackText.trim()}\n`;
   
-  // Set the phase
-  this.phase = validPhases[targetPhase];
-  console.log(chalk.cyan(`Jumping to ${targetPhase.toUpperCase()} phase...`));
+  const matchedCategories = feedbackCategories.filter(category => feedbackTypes.includes(category.name));
   
-  // Add a transition message
-  this.messages.push({
-    role: 'user',
-    content: `Please continue this review process in the ${targetPhase.toUpperCase()} phase.`
-  });
+  if (matchedCategories.length > 0) {
+    request += "\n## HOW TO APPLY THIS FEEDBACK\n";
+    matchedCategories.forEach(category => {
+      request += `\n### ${category.name}\n${category.description}\n`;
+      (category.implementation_approach || []).forEach(step => {
+        request += `- ${step}\n`;
+      });
+    });
+  } else if (feedbackCategories.length > 0) {
+    request += `\nCategorize this feedback using the framework's feedback categories (${feedbackCategories.map(c => c.name).join(', ')}) before revising.\n`;
+  }
   
-  // Save and continue
-  await this.save();
-  await this.start();
-  return true;
+  request += "\nPresent the complete revised review, not just the changed sections.";
+  return request;
+}
+
+/**
+ * Get the user's feedback back out of a refinement request
+ * @param {string} request - Request text, usually built by buildRefinementRequest
+ * @returns {string} The feedback, or the whole request if it wasn't built from feedback
+ */
+function parseRefinementRequest(request) {
+  const match = request.match(/## MY FEEDBACK\n\n([\s\S]*?)\n(?:\n## HOW TO APPLY THIS FEEDBACK|\nCategorize this feedback|\nPresent the complete revised review)/);
+  return match ? match[1] : request.trim();
 }
 
 /**
@@ -1180,42 +2129,4 @@ Session.prototype.showFrameworkSection = async function(command) {
     return false;
   }
 };
-/**
- * Extract quality score from assessment text
- * @param {string} assessmentText - Quality assessment text
- * @returns {Object|null} Extracted scores or null if not found
- */
-function extractQualityScore(assessmentText) {
-  const scores = {};
-  
-  // Look for overall score
-  const totalScoreMatch = assessmentText.match(/Total Score:\s*(\d+)\/100/i) || 
-                           assessmentText.match(/Overall.+?(\d+)\/100/i);
-  
-  if (totalScoreMatch) {
-    scores.total = parseInt(totalScoreMatch[1]);
-  }
-  
-  // Look for category scores
-  const categories = ['Testing Depth', 'Information Quality', 'Authenticity', 
-                     'Writing Quality', 'Helpfulness'];
-  
-  categories.forEach(category => {
-    const categoryRegex = new RegExp(`${category}\\D+(\\d+)\/20`, 'i');
-    const match = assessmentText.match(categoryRegex);
-    
-    if (match) {
-      // Convert category name to camelCase for the object
-      const key = category.replace(/\s(.)/g, function($1) { return $1.toUpperCase(); })
-                          .replace(/\s/g, '')
-                          .replace(/^(.)/, function($1) { return $1.toLowerCase(); });
-      
-      scores[key] = parseInt(match[1]);
-    }
-  });
-  
-  // Only return if we found something
-  return Object.keys(scores).length > 0 ? scores : null;
-}
-
 module.exports = { Session };
@@ -3,21 +3,19 @@
  * Implements a fixed allocation strategy with Claude's intelligence for research topics
  */
 
-const chalk = require('chalk');
-const inquirer = require('inquirer');
+const { ResearchStrategy } = require('./research-strategy');
 
-class SimplifiedResearchPlanner {
+class SimplifiedResearchPlanner extends ResearchStrategy {
   /**
    * Create a new SimplifiedResearchPlanner
    * @param {ClaudeAPI} claudeApi - Claude API instance
    * @param {string} productName - Product name
    * @param {string} productType - Product type
+   * @param {Object} options - Strategy options (unused)
    */
-  constructor(claudeApi, productName, productType) {
-    this.claudeApi = claudeApi;
-    this.productName = productName;
-    this.productType = productType;
-    this.budgetManager = claudeApi.budgetManager;
+  constructor(claudeApi, productName, productType, options = {}) {
+    super(claudeApi, productName, productType, options);
+    this.name = 'simplified';
     
     // Fixed budget allocation
     this.gapAnalysisAllocation = 0.35; // 35% for gap analysis
@@ -26,6 +24,7 @@ class SimplifiedResearchPlanner {
 
   /**
    * Generate research plan based on fixed allocation
+   * Product research runs first (high priority topics leading), followed by gap analysis
    * @returns {Object} Research plan
    */
   generateResearchPlan() {
@@ -36,20 +35,38 @@ class SimplifiedResearchPlanner {
     const gapBudget = totalBudget * this.gapAnalysisAllocation;
     const researchBudget = totalBudget * this.productResearchAllocation;
     
-    // Plan structure
-    const plan = {
+    const topics = this.getProductResearchTopics(this.productType)
+      .sort((a, b) => {
+        if (a.priority === 'high' && b.priority !== 'high') return -1;
+        if (a.priority !== 'high' && b.priority === 'high') return 1;
+        return 0;
+      });
+    
+    const steps = topics.map(topic => ({
+      id: topic.name.toLowerCase().replace(/[^a-z0-9]+/g, '_'),
+      topic: topic.name,
+      description: topic.description,
+      type: 'research',
+      query: topic.name,
+      priority: topic.priority,
+      budget: researchBudget * topic.budgetRatio
+    }));
+    
+    steps.push({
+      id: 'gap_analysis',
+      topic: 'Information gap analysis',
+      description: 'Identifying missing information needed for a complete review',
+      type: 'gap_analysis',
+      query: null,
+      priority: 'medium',
+      budget: gapBudget
+    });
+    
+    return {
+      strategy: this.name,
       totalBudget: totalBudget,
-      gapAnalysis: {
-        budget: gapBudget,
-        enabled: true
-      },
-      productResearch: {
-        budget: researchBudget,
-        topics: this.getProductResearchTopics(this.productType)
-      }
+      steps
     };
-    
-    return plan;
   }
 
   /**
@@ -287,147 +304,6 @@ class SimplifiedResearchPlanner {
         return defaultTopics;
     }
   }
-
-  /**
-   * Execute research according to the plan
-   * @returns {Object} Research results
-   */
-  async executeResearch() {
-    const results = {
-      gapAnalysis: null,
-      productResearch: []
-    };
-    
-    console.log(chalk.cyan("\n=== RESEARCH PLAN ==="));
-    console.log(chalk.yellow(`Budget allocation: 35% gap analysis, 65% product research`));
-    console.log(chalk.yellow(`Total research budget: $${this.budgetManager.budgetUSD.toFixed(2)}`));
-    
-    // Generate the research plan
-    const plan = this.generateResearchPlan();
-    
-    // Get current insights to use for gap analysis
-    const currentInsights = [];
-    
-    // Execute product research first (prioritizing high priority topics)
-    const researchTopics = plan.productResearch.topics
-      .sort((a, b) => {
-        if (a.priority === 'high' && b.priority !== 'high') return -1;
-        if (a.priority !== 'high' && b.priority === 'high') return 1;
-        return 0;
-      });
-    
-    for (const topic of researchTopics) {
-      // Check if we have budget remaining
-      if (this.budgetManager.budgetExhausted) {
-        console.log(chalk.yellow("Research budget exhausted. Skipping remaining topics."));
-        break;
-      }
-      
-      console.log(chalk.cyan(`\nResearching: ${topic.name}`));
-      console.log(chalk.gray(topic.description));
-      
-      try {
-        // Execute the research
-        const response = await this.claudeApi.performResearch(
-          topic.name,
-          this.productName
-        );
-        
-        if (response.budgetExhausted) {
-          console.log(chalk.yellow("Research budget exhausted during this topic."));
-        } else {
-          // Store result
-          results.productResearch.push({
-            topic: topic.name,
-            result: response.content
-          });
-          
-          // Add to current insights for gap analysis
-          currentInsights.push(`Research on ${topic.name}: Complete`);
-          
-          console.log(chalk.green("Research complete!"));
-        }
-      } catch (error) {
-        console.error(chalk.red(`Error researching ${topic.name}:`), error.message);
-      }
-    }
-    
-    // Execute gap analysis if budget remains and we have research to analyze
-    if (!this.budgetManager.budgetExhausted && results.productResearch.length > 0) {
-      console.log(chalk.cyan("\n=== GAP ANALYSIS ==="));
-      console.log(chalk.yellow("Analyzing what information might be missing..."));
-      
-      try {
-        const response = await this.claudeApi.analyzeProductGaps(
-          this.productName,
-          this.productType,
-          currentInsights
-        );
-        
-        if (response.budgetExhausted) {
-          console.log(chalk.yellow("Research budget exhausted during gap analysis."));
-        } else {
-          // Store result
-          results.gapAnalysis = response.content;
-          console.log(chalk.green("Gap analysis complete!"));
-        }
-      } catch (error) {
-        console.error(chalk.red("Error performing gap analysis:"), error.message);
-      }
-    } else if (this.budgetManager.budgetExhausted) {
-      console.log(chalk.yellow("\nResearch budget exhausted. Skipping gap analysis."));
-    } else {
-      console.log(chalk.yellow("\nNo product research completed. Skipping gap analysis."));
-    }
-    
-    // Show budget summary
-    const budgetStatus = this.budgetManager.getStatus();
-    console.log(chalk.cyan("\n=== RESEARCH BUDGET SUMMARY ==="));
-    console.log(chalk.yellow(`Total budget: $${budgetStatus.budgetUSD.toFixed(2)}`));
-    console.log(chalk.yellow(`Used: $${budgetStatus.totalCost.toFixed(2)} (${(100 - budgetStatus.remainingPercentage).toFixed(1)}%)`));
-    console.log(chalk.yellow(`Remaining: $${budgetStatus.remainingBudget.toFixed(2)}`));
-    
-    return results;
-  }
-
-  /**
-   * Format research results for inclusion in review
-   * @param {Object} results - Research results
-   * @returns {string} Formatted research
-   */
-  formatResearchForReview(results) {
-    if (!results || (results.productResearch.length === 0 && !results.gapAnalysis)) {
-      return "";
-    }
-    
-    let formatted = "## RESEARCH INSIGHTS\n\n";
-    
-    // Add product research
-    if (results.productResearch.length > 0) {
-      results.productResearch.forEach(research => {
-        formatted += `### ${research.topic.toUpperCase()}\n\n`;
-        
-        // Extract key points (first few lines for brevity)
-        const lines = research.result.split('\n').filter(line => line.trim().length > 0);
-        const summary = lines.slice(0, 3).join('\n');
-        formatted += summary;
-        
-        if (lines.length > 3) {
-          formatted += "\n...(additional insights available)";
-        }
-        
-        formatted += "\n\n";
-      });
-    }
-    
-    // Add gap analysis
-    if (results.gapAnalysis) {
-      formatted += "### INFORMATION GAPS\n\n";
-      formatted += results.gapAnalysis;
-    }
-    
-    return formatted;
-  }
 }
 
 module.exports = { SimplifiedResearchPlanner };
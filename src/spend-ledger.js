@@ -0,0 +1,215 @@
+/**
+ * Spend Ledger
+ * Persists every Claude API call with its cost so spending can be tracked across sessions and runs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+
+// Default ledger location (one JSON entry per line)
+const LEDGER_FILE = path.resolve(process.cwd(), '.sessions', 'spend-ledger.jsonl');
+
+// Share of a cap at which a warning is shown
+const CAP_WARNING_THRESHOLD = 0.8;
+
+class SpendLedger {
+  /**
+   * Create a new SpendLedger
+   * @param {Object} options - Ledger options
+   * @param {string} options.filePath - Ledger file path
+   * @param {number} options.dailyCapUSD - Daily spending cap (0 or unset for none)
+   * @param {number} options.monthlyCapUSD - Monthly spending cap (0 or unset for none)
+   * @param {string} options.capMode - 'block' to refuse requests over a cap, 'warn' to only warn
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath ? path.resolve(options.filePath) : LEDGER_FILE;
+    this.dailyCapUSD = options.dailyCapUSD || 0;
+    this.monthlyCapUSD = options.monthlyCapUSD || 0;
+    this.capMode = options.capMode === 'warn' ? 'warn' : 'block';
+    this.entries = null;
+    this.warned = new Set();
+  }
+
+  /**
+   * Load ledger entries from disk (once)
+   * @returns {Array} Ledger entries
+   */
+  load() {
+    if (this.entries) {
+      return this.entries;
+    }
+    
+    this.entries = [];
+    
+    if (!fs.existsSync(this.filePath)) {
+      return this.entries;
+    }
+    
+    fs.readFileSync(this.filePath, 'utf8').split('\n').forEach((line, index) => {
+      if (!line.trim()) return;
+      
+      try {
+        this.entries.push(JSON.parse(line));
+      } catch (error) {
+        console.error(chalk.yellow(`Warning: Skipping malformed spend ledger line ${index + 1}`));
+      }
+    });
+    
+    return this.entries;
+  }
+
+  /**
+   * Append an API call to the ledger
+   * @param {Object} entry - Call details
+   * @param {string} entry.sessionId - Session the call belongs to
+   * @param {string} entry.phase - Phase the call was made in
+   * @param {string} entry.task - Kind of call (conversation, research, gap_analysis, ...)
+   * @param {string} entry.model - Model used
+   * @param {number} entry.inputTokens - Input tokens used
+   * @param {number} entry.outputTokens - Output tokens used
+   * @param {number} entry.cacheWriteTokens - Tokens written to the prompt cache
+   * @param {number} entry.cacheReadTokens - Tokens read from the prompt cache
+   * @param {number} entry.cost - Cost in USD
+   * @param {boolean} entry.search - Whether web search was enabled
+   * @returns {Promise<Object>} The recorded entry
+   */
+  async record(entry) {
+    const record = {
+      timestamp: new Date().toISOString(),
+      sessionId: entry.sessionId || null,
+      phase: entry.phase || null,
+      task: entry.task || 'conversation',
+      model: entry.model,
+      inputTokens: entry.inputTokens || 0,
+      outputTokens: entry.outputTokens || 0,
+      cacheWriteTokens: entry.cacheWriteTokens || 0,
+      cacheReadTokens: entry.cacheReadTokens || 0,
+      cost: entry.cost || 0,
+      search: entry.search || false
+    };
+    
+    this.load().push(record);
+    
+    try {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.appendFile(this.filePath, JSON.stringify(record) + '\n');
+    } catch (error) {
+      console.error(chalk.yellow(`Warning: Could not write spend ledger: ${error.message}`));
+    }
+    
+    return record;
+  }
+
+  /**
+   * Sum a list of ledger entries
+   * @param {Array} entries - Ledger entries
+   * @returns {Object} Totals: { calls, inputTokens, outputTokens, cacheWriteTokens, cacheReadTokens, cost }
+   */
+  summarize(entries) {
+    return entries.reduce((totals, entry) => ({
+      calls: totals.calls + 1,
+      inputTokens: totals.inputTokens + (entry.inputTokens || 0),
+      outputTokens: totals.outputTokens + (entry.outputTokens || 0),
+      cacheWriteTokens: totals.cacheWriteTokens + (entry.cacheWriteTokens || 0),
+      cacheReadTokens: totals.cacheReadTokens + (entry.cacheReadTokens || 0),
+      cost: totals.cost + (entry.cost || 0)
+    }), { calls: 0, inputTokens: 0, outputTokens: 0, cacheWriteTokens: 0, cacheReadTokens: 0, cost: 0 });
+  }
+
+  /**
+   * Get the running total for a session
+   * @param {string} sessionId - Session ID
+   * @param {Function} filter - Optional additional entry filter
+   * @returns {Object} Totals for the session
+   */
+  getSessionTotal(sessionId, filter = () => true) {
+    return this.summarize(this.load().filter(entry => entry.sessionId === sessionId && filter(entry)));
+  }
+
+  /**
+   * Get the session's spending broken down by phase
+   * @param {string} sessionId - Session ID
+   * @returns {Object} Totals keyed by phase
+   */
+  getSessionBreakdown(sessionId) {
+    const entriesByPhase = {};
+    
+    this.load()
+      .filter(entry => entry.sessionId === sessionId)
+      .forEach(entry => {
+        const phase = entry.phase || 'unknown';
+        if (!entriesByPhase[phase]) entriesByPhase[phase] = [];
+        entriesByPhase[phase].push(entry);
+      });
+    
+    const breakdown = {};
+    Object.entries(entriesByPhase).forEach(([phase, entries]) => {
+      breakdown[phase] = this.summarize(entries);
+    });
+    
+    return breakdown;
+  }
+
+  /**
+   * Get total spend for today (local time)
+   * @returns {number} Cost in USD
+   */
+  getDailyTotal() {
+    const start = new Date();
+    start.setHours(0, 0, 0, 0);
+    return this.getTotalSince(start);
+  }
+
+  /**
+   * Get total spend for the current month (local time)
+   * @returns {number} Cost in USD
+   */
+  getMonthlyTotal() {
+    const start = new Date();
+    start.setDate(1);
+    start.setHours(0, 0, 0, 0);
+    return this.getTotalSince(start);
+  }
+
+  /**
+   * Get total spend since a point in time
+   * @param {Date} since - Start time
+   * @returns {number} Cost in USD
+   */
+  getTotalSince(since) {
+    return this.summarize(this.load().filter(entry => new Date(entry.timestamp) >= since)).cost;
+  }
+
+  /**
+   * Check the daily and monthly caps before a request
+   * @param {number} estimatedCost - Estimated cost of the upcoming request in USD
+   * @returns {Object} { allowed, reason } - allowed is false only when a cap would be exceeded in block mode
+   */
+  checkCaps(estimatedCost = 0) {
+    const caps = [
+      { name: 'daily', cap: this.dailyCapUSD, spent: this.dailyCapUSD ? this.getDailyTotal() : 0 },
+      { name: 'monthly', cap: this.monthlyCapUSD, spent: this.monthlyCapUSD ? this.getMonthlyTotal() : 0 }
+    ];
+    
+    for (const { name, cap, spent } of caps) {
+      if (!cap) continue;
+      
+      if (spent + estimatedCost > cap) {
+        const reason = `This request would exceed the ${name} spending cap of $${cap.toFixed(2)} ($${spent.toFixed(2)} spent so far).`;
+        
+        if (this.capMode === 'block') {
+          return { allowed: false, reason };
+        }
+        console.log(chalk.yellow(`Warning: ${reason}`));
+      } else if (spent >= cap * CAP_WARNING_THRESHOLD && !this.warned.has(name)) {
+        this.warned.add(name);
+        console.log(chalk.yellow(`Warning: $${spent.toFixed(2)} of the $${cap.toFixed(2)} ${name} spending cap has been used.`));
+      }
+    }
+    
+    return { allowed: true, reason: null };
+  }
+}
+
+module.exports = { SpendLedger };
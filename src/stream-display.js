@@ -0,0 +1,88 @@
+/**
+ * Stream Display
+ * Echoes a streamed response to the terminal the way the finished response is shown: the review
+ * markup is replaced as it arrives and the phase status trailer is never printed
+ */
+
+// Start of the phase status trailer; everything from here on is held back
+const PHASE_STATUS_OPEN = '<phase_status';
+
+// Review markup and what is printed in its place
+const TAG_REPLACEMENTS = {
+  '<review>': '',
+  '</review>': '',
+  '<title>': '## ',
+  '</title>': '',
+  '<rating>': 'Rating: ',
+  '</rating>': '/5',
+  '<body>': '',
+  '</body>': ''
+};
+
+const TAG_PATTERN = new RegExp(Object.keys(TAG_REPLACEMENTS).map(tag => tag.replace('/', '\\/')).join('|'), 'g');
+
+class StreamDisplay {
+  /**
+   * Create a new StreamDisplay
+   * @param {Function} write - Writes display text (e.g. to stdout)
+   */
+  constructor(write) {
+    this.write = write;
+    this.pending = '';
+    this.trailerStarted = false;
+  }
+
+  /**
+   * Add a text delta, printing what can be shown so far
+   * Text that might be the start of a tag is held back until the next delta settles it
+   * @param {string} text - Text delta
+   */
+  push(text) {
+    if (this.trailerStarted) {
+      return;
+    }
+    
+    this.pending += text;
+    
+    const trailerIndex = this.pending.indexOf(PHASE_STATUS_OPEN);
+    if (trailerIndex !== -1) {
+      this.write(this.pending.slice(0, trailerIndex).replace(TAG_PATTERN, tag => TAG_REPLACEMENTS[tag]));
+      this.pending = '';
+      this.trailerStarted = true;
+      return;
+    }
+    
+    let shown = this.pending;
+    let held = '';
+    const lastOpen = shown.lastIndexOf('<');
+    if (lastOpen !== -1 && isTagStart(shown.slice(lastOpen))) {
+      held = shown.slice(lastOpen);
+      shown = shown.slice(0, lastOpen);
+    }
+    
+    this.write(shown.replace(TAG_PATTERN, tag => TAG_REPLACEMENTS[tag]));
+    this.pending = held;
+  }
+
+  /**
+   * Print anything still held back once the stream has ended
+   */
+  end() {
+    if (!this.trailerStarted && this.pending) {
+      this.write(this.pending.replace(TAG_PATTERN, tag => TAG_REPLACEMENTS[tag]));
+    }
+    
+    this.pending = '';
+  }
+}
+
+/**
+ * Check whether text could be the start of the trailer or a review tag
+ * @param {string} text - Text from a '<' to the end of the stream so far
+ * @returns {boolean} True if more text could complete a tag
+ */
+function isTagStart(text) {
+  return [PHASE_STATUS_OPEN, ...Object.keys(TAG_REPLACEMENTS)].some(tag => tag.startsWith(text));
+}
+
+module.exports = { StreamDisplay };
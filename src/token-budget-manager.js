@@ -3,15 +3,20 @@
  * Ensures research operations stay within a budget limit
  */
 
+const { ModelPricing } = require('./model-pricing');
+
 class TokenBudgetManager {
   /**
    * Create a new TokenBudgetManager
    * @param {Object} options - Configuration options
+   * @param {number} options.budgetUSD - Research budget in USD
+   * @param {string} options.model - Model whose prices are used by default
+   * @param {ModelPricing} options.pricing - Pricing catalog
    */
   constructor(options = {}) {
-    // Default pricing in USD per million tokens (based on Claude 3 Sonnet pricing)
-    this.inputTokenPrice = options.inputTokenPrice || 3.0; // $3.00 per million input tokens
-    this.outputTokenPrice = options.outputTokenPrice || 15.0; // $15.00 per million output tokens
+    // Per-model pricing in USD per million tokens
+    this.pricing = options.pricing || new ModelPricing();
+    this.model = options.model || 'claude-3-7-sonnet-20250219';
     
     // Default token budget in USD (default: $0.50)
     this.budgetUSD = parseFloat(process.env.RESEARCH_BUDGET_USD) || options.budgetUSD || 0.50;
@@ -19,23 +24,50 @@ class TokenBudgetManager {
     // Token usage tracking
     this.totalInputTokens = 0;
     this.totalOutputTokens = 0;
+    this.recordedCost = 0;
     this.apiCalls = 0;
     
+    // Prompt cache usage across all calls (not just research)
+    this.cacheStats = { inputTokens: 0, cacheWriteTokens: 0, cacheReadTokens: 0, calls: 0 };
+    
     // Budget status
     this.budgetExhausted = false;
     this.warnings = [];
   }
 
+  /**
+   * Input price for the default model
+   * @returns {number} USD per million input tokens
+   */
+  get inputTokenPrice() {
+    return this.pricing.getPricing(this.model).input;
+  }
+
+  /**
+   * Output price for the default model
+   * @returns {number} USD per million output tokens
+   */
+  get outputTokenPrice() {
+    return this.pricing.getPricing(this.model).output;
+  }
+
   /**
    * Calculate cost of tokens in USD
    * @param {number} inputTokens - Number of input tokens
    * @param {number} outputTokens - Number of output tokens
+   * @param {string} model - Model used (defaults to the manager's model)
+   * @param {Object} cacheUsage - Prompt cache usage
+   * @param {number} cacheUsage.cacheWriteTokens - Tokens written to the cache
+   * @param {number} cacheUsage.cacheReadTokens - Tokens read from the cache
    * @returns {number} Cost in USD
    */
-  calculateCost(inputTokens, outputTokens) {
-    const inputCost = (inputTokens / 1000000) * this.inputTokenPrice;
-    const outputCost = (outputTokens / 1000000) * this.outputTokenPrice;
-    return inputCost + outputCost;
+  calculateCost(inputTokens, outputTokens, model = this.model, cacheUsage = {}) {
+    return this.pricing.calculateCost(model, {
+      inputTokens,
+      outputTokens,
+      cacheWriteTokens: cacheUsage.cacheWriteTokens,
+      cacheReadTokens: cacheUsage.cacheReadTokens
+    });
   }
 
   /**
@@ -43,7 +75,7 @@ class TokenBudgetManager {
    * @returns {number} Total cost in USD
    */
   get totalCost() {
-    return this.calculateCost(this.totalInputTokens, this.totalOutputTokens);
+    return this.recordedCost;
   }
 
   /**
@@ -66,10 +98,11 @@ class TokenBudgetManager {
    * Check if a proposed operation would exceed the budget
    * @param {number} estimatedInputTokens - Estimated input tokens
    * @param {number} estimatedOutputTokens - Estimated output tokens
+   * @param {string} model - Model that will be used (defaults to the manager's model)
    * @returns {boolean} True if operation would exceed budget
    */
-  wouldExceedBudget(estimatedInputTokens, estimatedOutputTokens) {
-    const estimatedCost = this.calculateCost(estimatedInputTokens, estimatedOutputTokens);
+  wouldExceedBudget(estimatedInputTokens, estimatedOutputTokens, model = this.model) {
+    const estimatedCost = this.calculateCost(estimatedInputTokens, estimatedOutputTokens, model);
     return (this.totalCost + estimatedCost) > this.budgetUSD;
   }
 
@@ -78,10 +111,14 @@ class TokenBudgetManager {
    * @param {Object} usage - Token usage data
    * @param {number} usage.inputTokens - Input tokens used
    * @param {number} usage.outputTokens - Output tokens used
+   * @param {number} usage.cacheWriteTokens - Tokens written to the prompt cache
+   * @param {number} usage.cacheReadTokens - Tokens read from the prompt cache
+   * @param {string} usage.model - Model used (defaults to the manager's model)
    */
   recordUsage(usage) {
     this.totalInputTokens += usage.inputTokens || 0;
     this.totalOutputTokens += usage.outputTokens || 0;
+    this.recordedCost += this.calculateCost(usage.inputTokens || 0, usage.outputTokens || 0, usage.model || this.model, usage);
     this.apiCalls++;
     
     // Check if budget is now exhausted
@@ -95,6 +132,49 @@ class TokenBudgetManager {
     }
   }
 
+  /**
+   * Record prompt cache usage from any API call
+   * @param {Object} usage - Input token usage
+   * @param {number} usage.inputTokens - Uncached input tokens
+   * @param {number} usage.cacheWriteTokens - Tokens written to the prompt cache
+   * @param {number} usage.cacheReadTokens - Tokens read from the prompt cache
+   */
+  recordCacheUsage(usage) {
+    this.cacheStats.inputTokens += usage.inputTokens || 0;
+    this.cacheStats.cacheWriteTokens += usage.cacheWriteTokens || 0;
+    this.cacheStats.cacheReadTokens += usage.cacheReadTokens || 0;
+    this.cacheStats.calls++;
+  }
+
+  /**
+   * Get prompt cache statistics
+   * @returns {Object} Cache token totals and hit rate (percentage of input tokens read from the cache)
+   */
+  getCacheStats() {
+    const totalInput = this.cacheStats.inputTokens + this.cacheStats.cacheWriteTokens + this.cacheStats.cacheReadTokens;
+    
+    return {
+      ...this.cacheStats,
+      hitRate: totalInput > 0 ? (this.cacheStats.cacheReadTokens / totalInput) * 100 : 0
+    };
+  }
+
+  /**
+   * Restore usage recorded in an earlier run (e.g. from the spend ledger when a session is resumed)
+   * @param {Object} usage - Previously recorded usage
+   * @param {number} usage.inputTokens - Input tokens used
+   * @param {number} usage.outputTokens - Output tokens used
+   * @param {number} usage.calls - Number of API calls
+   * @param {number} usage.cost - Recorded cost in USD
+   */
+  restoreUsage(usage) {
+    this.totalInputTokens = usage.inputTokens || 0;
+    this.totalOutputTokens = usage.outputTokens || 0;
+    this.recordedCost = usage.cost || 0;
+    this.apiCalls = usage.calls || 0;
+    this.budgetExhausted = this.totalCost >= this.budgetUSD;
+  }
+
   /**
    * Get budget status report
    * @returns {Object} Budget status
@@ -108,6 +188,7 @@ class TokenBudgetManager {
       totalInputTokens: this.totalInputTokens,
       totalOutputTokens: this.totalOutputTokens,
       apiCalls: this.apiCalls,
+      cache: this.getCacheStats(),
       budgetExhausted: this.budgetExhausted,
       warnings: this.warnings
     };
@@ -136,9 +217,10 @@ class TokenBudgetManager {
 
   /**
    * Get optimized research plan to fit within budget
+   * @param {string} model - Model the research will use (defaults to the manager's model)
    * @returns {Object} Research plan
    */
-  getOptimizedResearchPlan() {
+  getOptimizedResearchPlan(model = this.model) {
     // If budget is already exhausted, return empty plan
     if (this.budgetExhausted) {
       return {
@@ -148,10 +230,11 @@ class TokenBudgetManager {
     }
     
     // Calculate how many operations we can fit in the remaining budget
+    const prices = this.pricing.getPricing(model);
     const remainingBudgetTokens = {
-      // Convert dollars to tokens based on pricing
-      inputTokens: (this.remainingBudget / this.inputTokenPrice) * 1000000,
-      outputTokens: (this.remainingBudget / this.outputTokenPrice) * 1000000
+      // Convert dollars to tokens based on the model's pricing
+      inputTokens: (this.remainingBudget / prices.input) * 1000000,
+      outputTokens: (this.remainingBudget / prices.output) * 1000000
     };
     
     // For $0.50 budget, typically this allows:
@@ -203,7 +286,9 @@ class TokenBudgetManager {
   reset() {
     this.totalInputTokens = 0;
     this.totalOutputTokens = 0;
+    this.recordedCost = 0;
     this.apiCalls = 0;
+    this.cacheStats = { inputTokens: 0, cacheWriteTokens: 0, cacheReadTokens: 0, calls: 0 };
     this.budgetExhausted = false;
     this.warnings = [];
   }
@@ -0,0 +1,358 @@
+/**
+ * Token Counter
+ * Estimates request input tokens with a local tokenizer approximation and image dimensions,
+ * calibrated per model against the token counts the API reports back
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { findCatalogModel } = require('./model-pricing');
+
+// Learned per-model calibration factors, kept across runs
+const CALIBRATION_FILE = path.resolve(process.cwd(), '.sessions', 'token-calibration.json');
+
+// Starting calibration per model family (how many API tokens one approximated token is worth)
+const DEFAULT_CALIBRATION = {
+  'claude-3': 1.0,
+  'claude-3-5': 1.0,
+  'claude-3-7': 1.0,
+  'claude-sonnet-4': 1.05,
+  'claude-opus-4': 1.05
+};
+
+// Weight given to each new observation when updating a calibration factor
+const CALIBRATION_RATE = 0.3;
+
+// Observations outside this ratio are treated as noise (e.g. mock transports)
+const CALIBRATION_BOUNDS = { min: 0.5, max: 2.0 };
+
+// Requests with fewer estimated text tokens than this don't say much about the tokenizer
+const MIN_CALIBRATION_SAMPLE = 50;
+
+// Fixed framing costs
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const REQUEST_OVERHEAD_TOKENS = 8;
+
+// Used when an image's dimensions can't be read from its data
+const UNKNOWN_IMAGE_TOKENS = 1600;
+
+// Approximate BPE pieces: words, digit groups, single symbols and whitespace runs
+const TOKEN_PATTERN = /[A-Za-z]+|\d{1,3}|\s+|[^\sA-Za-z\d]/g;
+
+class TokenCounter {
+  /**
+   * Create a new TokenCounter
+   * @param {Object} options - Counter options
+   * @param {ModelPricing} options.pricing - Pricing catalog (provides the image token rule and model aliases)
+   * @param {string} options.calibrationFile - File learned calibration factors are persisted to
+   * @param {boolean} options.persist - Save calibration factors to disk (default: true)
+   */
+  constructor(options = {}) {
+    this.pricing = options.pricing || null;
+    this.calibrationFile = options.calibrationFile ? path.resolve(options.calibrationFile) : CALIBRATION_FILE;
+    this.persist = options.persist !== false;
+    this.calibration = null;
+  }
+
+  /**
+   * Load calibration factors from disk (once)
+   * @returns {Object} Calibration entries by model: { factor, samples, updatedAt }
+   */
+  loadCalibration() {
+    if (this.calibration) {
+      return this.calibration;
+    }
+    
+    this.calibration = {};
+    
+    if (this.persist && fs.existsSync(this.calibrationFile)) {
+      try {
+        this.calibration = JSON.parse(fs.readFileSync(this.calibrationFile, 'utf8')).models || {};
+      } catch (error) {
+        console.error(chalk.yellow(`Warning: Could not load token calibration: ${error.message}`));
+      }
+    }
+    
+    return this.calibration;
+  }
+
+  /**
+   * Get the calibration factor for a model
+   * @param {string} model - Model id
+   * @returns {number} Multiplier applied to approximated text tokens
+   */
+  getCalibrationFactor(model) {
+    const key = this.getModelKey(model);
+    const learned = this.loadCalibration()[key];
+    
+    if (learned && learned.factor) {
+      return learned.factor;
+    }
+    
+    // Longest matching family prefix wins ("claude-3-5" over "claude-3")
+    const family = Object.keys(DEFAULT_CALIBRATION)
+      .filter(prefix => key.startsWith(`${prefix}-`))
+      .sort((a, b) => b.length - a.length)[0];
+    
+    return family ? DEFAULT_CALIBRATION[family] : 1.0;
+  }
+
+  /**
+   * Count approximated tokens in a piece of text, before calibration
+   * @param {string} text - Text to count
+   * @returns {number} Approximated tokens
+   */
+  countTextTokens(text) {
+    if (!text) {
+      return 0;
+    }
+    
+    let tokens = 0;
+    
+    for (const piece of String(text).match(TOKEN_PATTERN) || []) {
+      if (/^[A-Za-z]/.test(piece)) {
+        // Common short words are one token; longer words split into ~4 character pieces
+        tokens += piece.length <= 6 ? 1 : Math.ceil(piece.length / 4);
+      } else if (/^\s/.test(piece)) {
+        // A single space merges into the following word; other runs cost one token per line break or so
+        tokens += piece === ' ' ? 0 : Math.max(1, (piece.match(/\n/g) || []).length);
+      } else if (/^[^\x00-\x7F]/.test(piece)) {
+        // Non-ASCII characters usually take more than one token
+        tokens += Buffer.byteLength(piece, 'utf8') > 2 ? 2 : 1;
+      } else {
+        tokens += 1;
+      }
+    }
+    
+    return tokens;
+  }
+
+  /**
+   * Estimate the tokens for an image content block from its real dimensions
+   * @param {Object} block - Image content block with base64 source data
+   * @param {string} model - Model id
+   * @returns {number} Estimated tokens
+   */
+  countImageTokens(block, model) {
+    const dimensions = block.source && block.source.type === 'base64'
+      ? getImageDimensions(Buffer.from(block.source.data || '', 'base64'))
+      : null;
+    
+    if (!dimensions) {
+      return UNKNOWN_IMAGE_TOKENS;
+    }
+    
+    if (this.pricing) {
+      return this.pricing.estimateImageTokens(dimensions.width, dimensions.height, model);
+    }
+    
+    return Math.min(Math.ceil((dimensions.width * dimensions.height) / 750), UNKNOWN_IMAGE_TOKENS);
+  }
+
+  /**
+   * Break down the estimated input tokens for a request
+   * @param {Object} request - Request contents
+   * @param {string} request.system - System prompt
+   * @param {Array} request.messages - Messages array
+   * @param {Array} request.tools - Tool definitions
+   * @param {string} model - Model id
+   * @returns {Object} { textTokens (uncalibrated), imageTokens, overheadTokens, total }
+   */
+  analyzeRequest(request, model) {
+    let textTokens = this.countTextTokens(getSystemText(request.system));
+    let imageTokens = 0;
+    let overheadTokens = REQUEST_OVERHEAD_TOKENS;
+    
+    (request.tools || []).forEach(tool => {
+      textTokens += this.countTextTokens(JSON.stringify(tool));
+    });
+    
+    (request.messages || []).forEach(message => {
+      overheadTokens += MESSAGE_OVERHEAD_TOKENS;
+      
+      if (typeof message.content === 'string') {
+        textTokens += this.countTextTokens(message.content);
+        return;
+      }
+      
+      (message.content || []).forEach(block => {
+        if (block.type === 'text') {
+          textTokens += this.countTextTokens(block.text);
+        } else if (block.type === 'image') {
+          imageTokens += this.countImageTokens(block, model);
+        } else if (block.type === 'tool_use') {
+          textTokens += this.countTextTokens(`${block.name} ${JSON.stringify(block.input)}`);
+        } else if (block.type === 'tool_result') {
+          textTokens += this.countTextTokens(typeof block.content === 'string' ? block.content : JSON.stringify(block.content));
+        }
+      });
+    });
+    
+    const total = Math.ceil(textTokens * this.getCalibrationFactor(model)) + imageTokens + overheadTokens;
+    
+    return { textTokens, imageTokens, overheadTokens, total };
+  }
+
+  /**
+   * Estimate the input tokens for a request
+   * @param {Object} request - Request contents ({ system, messages, tools })
+   * @param {string} model - Model id
+   * @returns {number} Estimated input tokens
+   */
+  countRequestTokens(request, model) {
+    return this.analyzeRequest(request, model).total;
+  }
+
+  /**
+   * Update a model's calibration factor from the token count the API reported
+   * @param {Object} analysis - Result of analyzeRequest for the request that was sent
+   * @param {number} actualInputTokens - Input tokens reported by the API (including cached tokens)
+   * @param {string} model - Model id
+   * @returns {number|null} The updated factor, or null if the observation was ignored
+   */
+  calibrate(analysis, actualInputTokens, model) {
+    if (!analysis || analysis.textTokens < MIN_CALIBRATION_SAMPLE || !actualInputTokens) {
+      return null;
+    }
+    
+    const observed = (actualInputTokens - analysis.imageTokens - analysis.overheadTokens) / analysis.textTokens;
+    
+    if (observed < CALIBRATION_BOUNDS.min || observed > CALIBRATION_BOUNDS.max) {
+      return null;
+    }
+    
+    const key = this.getModelKey(model);
+    const calibration = this.loadCalibration();
+    const current = this.getCalibrationFactor(model);
+    const samples = calibration[key] ? calibration[key].samples : 0;
+    
+    // Average the first few observations evenly, then settle into a moving average
+    const rate = Math.max(CALIBRATION_RATE, 1 / (samples + 1));
+    const factor = current + (observed - current) * rate;
+    
+    calibration[key] = {
+      factor: Math.round(factor * 10000) / 10000,
+      samples: samples + 1,
+      updatedAt: new Date().toISOString()
+    };
+    
+    if (global.VERBOSE_MODE) {
+      console.log(chalk.gray(`Token estimate calibration for ${key}: ${current.toFixed(3)} -> ${calibration[key].factor.toFixed(3)} (observed ${observed.toFixed(3)})`));
+    }
+    
+    this.saveCalibration();
+    
+    return calibration[key].factor;
+  }
+
+  /**
+   * Save calibration factors to disk
+   */
+  saveCalibration() {
+    if (!this.persist) {
+      return;
+    }
+    
+    try {
+      fs.mkdirSync(path.dirname(this.calibrationFile), { recursive: true });
+      fs.writeFileSync(this.calibrationFile, JSON.stringify({ models: this.calibration }, null, 2));
+    } catch (error) {
+      console.error(chalk.yellow(`Warning: Could not save token calibration: ${error.message}`));
+    }
+  }
+
+  /**
+   * Get the key calibration is stored under (aliases share their dated model's calibration)
+   * @param {string} model - Model id
+   * @returns {string} Calibration key
+   */
+  getModelKey(model) {
+    const match = this.pricing ? findCatalogModel(this.pricing.models, model) : null;
+    return match || model || 'unknown';
+  }
+}
+
+/**
+ * Get the text of a system prompt given as a string or as content blocks
+ * @param {string|Array} system - System prompt
+ * @returns {string} System prompt text
+ */
+function getSystemText(system) {
+  return Array.isArray(system) ? system.map(block => block.text || '').join('\n') : (system || '');
+}
+
+/**
+ * Read width and height from an encoded image's header
+ * Supports WebP (what ImageHandler produces), PNG, GIF and JPEG
+ * @param {Buffer} buffer - Image bytes
+ * @returns {Object|null} { width, height } or null if unrecognized
+ */
+function getImageDimensions(buffer) {
+  if (buffer.length < 30) {
+    return null;
+  }
+
+  // WebP: RIFF....WEBP followed by a VP8, VP8L or VP8X chunk
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    const chunk = buffer.toString('ascii', 12, 16);
+    
+    if (chunk === 'VP8 ') {
+      return {
+        width: buffer.readUInt16LE(26) & 0x3fff,
+        height: buffer.readUInt16LE(28) & 0x3fff
+      };
+    }
+    
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return {
+        width: (bits & 0x3fff) + 1,
+        height: ((bits >> 14) & 0x3fff) + 1
+      };
+    }
+    
+    if (chunk === 'VP8X') {
+      return {
+        width: buffer.readUIntLE(24, 3) + 1,
+        height: buffer.readUIntLE(27, 3) + 1
+      };
+    }
+    
+    return null;
+  }
+
+  // PNG: IHDR is always the first chunk
+  if (buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  // GIF: logical screen size follows the signature
+  if (buffer.toString('ascii', 0, 3) === 'GIF') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  // JPEG: walk the segments to the first start-of-frame marker
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) {
+        return null;
+      }
+      
+      const marker = buffer[offset + 1];
+      const length = buffer.readUInt16BE(offset + 2);
+      
+      if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      
+      offset += 2 + length;
+    }
+  }
+
+  return null;
+}
+
+module.exports = { TokenCounter, getImageDimensions };
@@ -0,0 +1,438 @@
+/**
+ * Turn History
+ * Splits the conversation into turns and rewinds it. The first message of each turn carries a
+ * turn id; the session's checkpoint list holds, for each turn, the session state from when the
+ * turn started and from when it was sent to Claude, each stored as the changes from the state
+ * before it. Everything a rewind drops is archived to the session's raw history and logged
+ */
+
+const chalk = require('chalk');
+const { getMessageText } = require('./message-utils');
+
+// Phase data that doesn't come from the conversation (or is too large to copy into every
+// checkpoint); rewinds keep its current value
+const PRESERVED_DATA_KEYS = ['framework', 'researchResults', 'researchFindings', 'researchInsights', 'researchCompletedAt'];
+
+// History archive reason for each kind of rewind
+const ARCHIVE_REASONS = {
+  rewind: 'rewound',
+  undo: 'rewound',
+  edit: 'edited',
+  regenerate: 'regenerated'
+};
+
+class TurnHistory {
+  /**
+   * Create a new TurnHistory
+   * @param {Session} session - Session whose conversation is tracked
+   */
+  constructor(session) {
+    this.session = session;
+    session.checkpoints = this.adoptLegacyCheckpoints(session.messages, session.checkpoints);
+  }
+
+  /**
+   * Capture the session state that later turns can change
+   * @returns {Object} Checkpoint
+   */
+  createCheckpoint() {
+    const session = this.session;
+    const phaseData = {};
+    
+    Object.entries(session.phaseData).forEach(([phase, entry]) => {
+      const data = { ...entry.data };
+      PRESERVED_DATA_KEYS.forEach(key => delete data[key]);
+      phaseData[phase] = { ...entry, data };
+    });
+    
+    return JSON.parse(JSON.stringify({
+      createdAt: new Date().toISOString(),
+      phase: session.phase,
+      productName: session.productName,
+      brand: session.brand,
+      productType: session.productType,
+      keywords: session.keywords,
+      phaseData
+    }));
+  }
+
+  /**
+   * Put the session back into a checkpointed state
+   * @param {Object} checkpoint - Checkpoint from createCheckpoint
+   */
+  restoreCheckpoint(checkpoint) {
+    const session = this.session;
+    const restored = JSON.parse(JSON.stringify(checkpoint));
+    
+    Object.entries(session.phaseData).forEach(([phase, entry]) => {
+      PRESERVED_DATA_KEYS
+        .filter(key => entry.data[key] !== undefined)
+        .forEach(key => {
+          restored.phaseData[phase].data[key] = entry.data[key];
+        });
+    });
+    
+    session.phase = restored.phase;
+    session.productName = restored.productName;
+    session.brand = restored.brand;
+    session.productType = restored.productType;
+    session.keywords = restored.keywords;
+    session.phaseData = restored.phaseData;
+  }
+
+  /**
+   * Start a turn with its first user message, recording the state the turn started from
+   * @param {Object} message - First user message of the turn; it is given the turn's id
+   * @param {Object} checkpoint - State the turn started from, if captured before the message was written
+   */
+  startTurn(message, checkpoint = null) {
+    const checkpoints = this.session.checkpoints;
+    const previous = checkpoints[checkpoints.length - 1];
+    const start = checkpoint || this.createCheckpoint();
+    
+    message.turnId = previous ? previous.turnId + 1 : 1;
+    checkpoints.push({
+      turnId: message.turnId,
+      phase: start.phase,
+      start: diffState(this.getLatestState(), start) || null,
+      request: null
+    });
+  }
+
+  /**
+   * Record the state the current turn is sent to Claude with (only the first request of a turn counts)
+   */
+  recordRequestCheckpoint() {
+    const turns = this.getTurns();
+    const turn = turns[turns.length - 1];
+    const checkpoints = this.session.checkpoints;
+    
+    // Each checkpoint is stored as changes from the one before, so only the latest turn's can be added
+    if (turn && turn.checkpoint && !turn.checkpoint.request && turn.checkpoint === checkpoints[checkpoints.length - 1]) {
+      turn.checkpoint.request = diffState(this.getLatestState(), this.createCheckpoint()) || {};
+    }
+  }
+
+  /**
+   * Rebuild the session state a turn's checkpoint recorded
+   * @param {Object} entry - The turn's checkpoint entry
+   * @param {string} point - start (when the turn started) or request (when it was sent to Claude)
+   * @returns {Object} Checkpoint, as from createCheckpoint
+   */
+  getCheckpoint(entry, point = 'start') {
+    let state = {};
+    
+    for (const candidate of this.session.checkpoints) {
+      state = applyChange(state, candidate.start);
+      if (candidate === entry && point === 'start') {
+        break;
+      }
+      
+      state = applyChange(state, candidate.request);
+      if (candidate === entry) {
+        break;
+      }
+    }
+    
+    return state;
+  }
+
+  /**
+   * Rebuild the state the most recent checkpoint recorded
+   * @returns {Object} Checkpoint, or an empty object if there are none
+   */
+  getLatestState() {
+    const checkpoints = this.session.checkpoints;
+    return checkpoints.length > 0 ? this.getCheckpoint(checkpoints[checkpoints.length - 1], 'request') : {};
+  }
+
+  /**
+   * Move the full checkpoints older sessions kept on each turn's first message into a checkpoint list
+   * @param {Array} messages - Conversation messages
+   * @param {Array} checkpoints - Checkpoint list the messages belong with, if the session has one
+   * @returns {Array} Checkpoint list
+   */
+  adoptLegacyCheckpoints(messages, checkpoints = []) {
+    let state = {};
+    
+    messages.filter(message => message.checkpoints).forEach(message => {
+      const { start, request } = message.checkpoints;
+      const previous = checkpoints[checkpoints.length - 1];
+      const entry = {
+        turnId: previous ? previous.turnId + 1 : 1,
+        phase: start.phase,
+        start: diffState(state, start) || null,
+        request: null
+      };
+      state = start;
+      
+      if (request) {
+        entry.request = diffState(state, request) || {};
+        state = request;
+      }
+      
+      checkpoints.push(entry);
+      message.turnId = entry.turnId;
+      delete message.checkpoints;
+    });
+    
+    return checkpoints;
+  }
+
+  /**
+   * Split the conversation into turns: the user message(s) and Claude's response to them
+   * @returns {Array} Turns as { number, start, requests, response, checkpoint, phase } - checkpoint is
+   *   the turn's checkpoint entry, or null if it has none
+   */
+  getTurns() {
+    const turns = [];
+    const checkpoints = this.session.checkpoints;
+    
+    this.session.messages.forEach((message, index) => {
+      const previous = this.session.messages[index - 1];
+      if (message.role === 'user' && (!previous || previous.role === 'assistant')) {
+        turns.push({
+          number: turns.length + 1,
+          start: index,
+          requests: [],
+          response: null,
+          checkpoint: checkpoints.find(entry => message.turnId !== undefined && entry.turnId === message.turnId) || null
+        });
+      }
+      
+      const turn = turns[turns.length - 1];
+      if (!turn) {
+        return;
+      }
+      
+      if (message.role === 'user') {
+        turn.requests.push(message);
+      } else {
+        turn.response = message;
+      }
+    });
+    
+    turns.forEach(turn => {
+      turn.phase = turn.checkpoint
+        ? turn.checkpoint.phase
+        : (turn.response && turn.response.settings && turn.response.settings.route) || null;
+    });
+    
+    return turns;
+  }
+
+  /**
+   * Rewind the conversation to the end of a turn, dropping later turns and the state derived from them
+   * @param {number} turnNumber - Last turn to keep
+   * @param {string} action - rewind or undo
+   * @returns {Promise<boolean>} True if the conversation was rewound
+   */
+  async rewind(turnNumber, action = 'rewind') {
+    const turns = this.getTurns();
+    
+    if (!(turnNumber >= 1 && turnNumber < turns.length)) {
+      console.log(chalk.yellow(turns.length < 2
+        ? '\nThere are no earlier turns to rewind to.'
+        : `\nChoose a turn from 1 to ${turns.length - 1} (the turns after it are dropped).`));
+      return false;
+    }
+    
+    // The state from when the first dropped turn started is the state after the kept turn
+    const firstDropped = turns[turnNumber];
+    if (!firstDropped.checkpoint) {
+      console.log(chalk.yellow(`\nTurn ${firstDropped.number} has no checkpoint (it was summarized or recorded by an older version), so the conversation can't be rewound past it.`));
+      return false;
+    }
+    
+    await this.dropFrom(firstDropped, this.getCheckpoint(firstDropped.checkpoint, 'start'), action, turnNumber);
+    console.log(chalk.green(`\nRewound to turn ${turnNumber}.`));
+    return true;
+  }
+
+  /**
+   * Send a turn to Claude again, optionally with the text of its first message changed;
+   * later turns are dropped and the phase picks up the request when it resumes
+   * @param {number} turnNumber - Turn to replay
+   * @param {string|null} text - New text for the turn's first message, or null to regenerate
+   * @returns {Promise<boolean>} True if the turn is ready to replay
+   */
+  async replay(turnNumber, text = null) {
+    const turns = this.getTurns();
+    const turn = turns[turnNumber - 1];
+    
+    if (!turn) {
+      console.log(chalk.yellow(`\nThere is no turn ${turnNumber}. Type 'turns' to list them.`));
+      return false;
+    }
+    
+    if (!turn.checkpoint || !turn.checkpoint.request) {
+      console.log(chalk.yellow(`\nTurn ${turnNumber} has no checkpoint (it was summarized or recorded by an older version), so it can't be replayed.`));
+      return false;
+    }
+    
+    const requests = turn.requests.map((message, index) =>
+      (index === 0 && text !== null ? { ...message, content: replaceText(message.content, text) } : message)
+    );
+    
+    await this.dropFrom(turn, this.getCheckpoint(turn.checkpoint, 'request'), text === null ? 'regenerate' : 'edit', turnNumber);
+    this.session.messages.push(...requests);
+    return true;
+  }
+
+  /**
+   * Get the text of a turn's first message (the part edit changes)
+   * @param {Object} turn - Turn from getTurns
+   * @returns {string} Message text
+   */
+  getRequestText(turn) {
+    const content = turn.requests[0].content;
+    if (typeof content === 'string') {
+      return content;
+    }
+    
+    const textBlock = content.find(block => block.type === 'text');
+    return textBlock ? textBlock.text : '';
+  }
+
+  /**
+   * Get the text of Claude's response to a turn
+   * @param {Object} turn - Turn from getTurns
+   * @returns {string} Response text, or an empty string if the turn has no response yet
+   */
+  getResponseText(turn) {
+    return turn.response ? getMessageText(turn.response) : '';
+  }
+
+  /**
+   * Drop a turn and everything after it, restore a checkpoint, and record the rewind
+   * A replayed turn keeps the checkpoint it started from; its request checkpoint is recorded again when it is sent
+   * @param {Object} turn - First turn to drop
+   * @param {Object} checkpoint - State to restore
+   * @param {string} action - rewind, undo, edit or regenerate
+   * @param {number} turnNumber - Turn the user named: the turn rewound to, or the turn replayed
+   */
+  async dropFrom(turn, checkpoint, action, turnNumber) {
+    const session = this.session;
+    const dropped = session.messages.slice(turn.start);
+    const phaseBefore = session.phase;
+    
+    // Nothing is lost for good: the dropped messages go to the history archive
+    await session.contextManager.archive(dropped, ARCHIVE_REASONS[action]);
+    
+    session.messages = session.messages.slice(0, turn.start);
+    this.restoreCheckpoint(checkpoint);
+    
+    const replayed = action === 'edit' || action === 'regenerate';
+    const kept = session.checkpoints.indexOf(turn.checkpoint) + (replayed ? 1 : 0);
+    session.checkpoints = session.checkpoints.slice(0, kept);
+    if (replayed) {
+      turn.checkpoint.request = null;
+    }
+    
+    session.rewindLog.push({
+      action,
+      branch: session.branch,
+      turn: turnNumber,
+      droppedMessages: dropped.length,
+      phaseBefore,
+      phaseAfter: session.phase,
+      archive: session.contextManager.historyPath,
+      at: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Work out the changes that turn one value into another
+ * @param {*} before - Earlier value
+ * @param {*} after - Later value
+ * @returns {Object|undefined} Change, or undefined if nothing changed: { set } replaces the value,
+ *   { append } adds items to the end of an array, and { keys } changes the listed keys of an object
+ *   ({ unset: true } removes one)
+ */
+function diffState(before, after) {
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return undefined;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = {};
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+      const change = key in after ? diffState(before[key], after[key]) : { unset: true };
+      if (change) {
+        keys[key] = change;
+      }
+    });
+
+    return { keys };
+  }
+
+  // Version lists and question rounds usually only grow
+  if (Array.isArray(before) && Array.isArray(after) && after.length > before.length &&
+      JSON.stringify(after.slice(0, before.length)) === JSON.stringify(before)) {
+    return { append: after.slice(before.length) };
+  }
+
+  return { set: after };
+}
+
+/**
+ * Apply a change from diffState, without modifying the value it is applied to
+ * @param {*} value - Earlier value
+ * @param {Object|null} change - Change, or null for none
+ * @returns {*} Later value
+ */
+function applyChange(value, change) {
+  if (!change) {
+    return value;
+  }
+
+  if ('set' in change) {
+    return change.set;
+  }
+
+  if (change.append) {
+    return [...value, ...change.append];
+  }
+
+  const result = { ...value };
+  Object.entries(change.keys || {}).forEach(([key, keyChange]) => {
+    if (keyChange.unset) {
+      delete result[key];
+    } else {
+      result[key] = applyChange(result[key], keyChange);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ * @param {*} value - Value
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Replace the first text block of message content, keeping images and any other blocks
+ * @param {string|Array} content - Message content
+ * @param {string} text - New text
+ * @returns {string|Array} New content
+ */
+function replaceText(content, text) {
+  if (typeof content === 'string') {
+    return text;
+  }
+
+  const textIndex = content.findIndex(block => block.type === 'text');
+  if (textIndex === -1) {
+    return [{ type: 'text', text }, ...content];
+  }
+
+  return content.map((block, index) => (index === textIndex ? { ...block, text } : block));
+}
+
+module.exports = { TurnHistory };
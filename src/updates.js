@@ -12,6 +12,7 @@ const { ClaudeAPI } = require('./claude-api');
 const { ImageHandler } = require('./images');
 const { FrameworkLoader } = require('./framework-loader');
 const { SimplifiedResearchPlanner } = require('./simplified-research-planner');
+const { extractQuestions } = require('./question-utils');
 
 // Session directory
 const SESSION_DIR = path.join(process.cwd(), '.sessions');
@@ -234,7 +235,7 @@ Make questions specific, direct, and easy to answer. Focus only on the most impo
       const response = await this.claude.processMessages(messages, systemPrompt, false);
       
       // Extract questions
-      const questions = this.extractQuestions(response.content);
+      const questions = extractQuestions(response.content);
       
       // Limit to at most 3 questions
       return questions.slice(0, 3);
@@ -243,30 +244,6 @@ Make questions specific, direct, and easy to answer. Focus only on the most impo
       return [];
     }
   }
-
-  /**
-   * Extract questions from text
-   * @param {string} content - Text content
-   * @returns {Array} Extracted questions
-   */
-  extractQuestions(content) {
-    // Look for numbered or bulleted questions
-    const questionRegex = /^[•*-]?\s*\d*\.?\s*(.+\?)$/gm;
-    const questions = [...content.matchAll(questionRegex)]
-      .map(match => match[1].trim())
-      .filter(q => q.length > 10);
-    
-    // If no clear questions found, look for any sentences ending with question marks
-    if (questions.length === 0) {
-      const sentences = content.split(/(?<=[.!?])\s+/);
-      return sentences
-        .filter(s => s.trim().endsWith('?'))
-        .map(s => s.trim())
-        .filter(s => s.length > 10);
-    }
-    
-    return questions;
-  }
   
   /**
    * Summarize content to a limited number of points
@@ -0,0 +1,238 @@
+/**
+ * Word Diff
+ * Word-level diff of two texts and a side-by-side terminal rendering of it, used to compare
+ * review branches
+ */
+
+const chalk = require('chalk');
+
+// Stands in for a line break in the token lists so paragraphs survive the diff
+const LINE_BREAK = '\n';
+
+// Largest diff table (words x words) computed; bigger texts are shown as entirely changed
+const MAX_DIFF_CELLS = 10000000;
+
+// Narrowest column the side-by-side view uses, however narrow the terminal
+const MIN_COLUMN_WIDTH = 30;
+
+/**
+ * Diff two texts word by word
+ * @param {string} before - Original text
+ * @param {string} after - Changed text
+ * @returns {Array} Changes in order as { type, token } - type is same, removed or added; line breaks are '\n' tokens
+ */
+function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // Unchanged openings and endings don't need the diff table
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+         a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const same = token => ({ type: 'same', token });
+  const middle = diffTokens(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix));
+
+  return [
+    ...a.slice(0, prefix).map(same),
+    ...middle,
+    ...a.slice(a.length - suffix).map(same)
+  ];
+}
+
+/**
+ * Render a word diff as two columns: the original text on the left with removed words
+ * highlighted, the changed text on the right with added words highlighted
+ * @param {Array} changes - Changes from diffWords
+ * @param {Object} options - { leftTitle, rightTitle, width }
+ * @returns {string} Rendered comparison
+ */
+function renderSideBySide(changes, options = {}) {
+  const width = options.width || process.stdout.columns || 120;
+  const columnWidth = Math.max(MIN_COLUMN_WIDTH, Math.floor((width - 3) / 2));
+  const separator = chalk.gray(' │ ');
+
+  const rows = [
+    `${chalk.bold(fit(options.leftTitle || 'Before', columnWidth))}${separator}${chalk.bold(fit(options.rightTitle || 'After', columnWidth))}`,
+    `${chalk.gray('─'.repeat(columnWidth))}${chalk.gray('─┼─')}${chalk.gray('─'.repeat(columnWidth))}`
+  ];
+
+  // Paragraphs both sides share start new rows on both sides at once, keeping the columns aligned
+  splitSegments(changes).forEach(segment => {
+    const left = wrap(segment.filter(change => change.type !== 'added'), columnWidth, chalk.red);
+    const right = wrap(segment.filter(change => change.type !== 'removed'), columnWidth, chalk.green);
+
+    for (let index = 0; index < Math.max(left.length, right.length); index++) {
+      rows.push(`${pad(left[index], columnWidth)}${separator}${pad(right[index], columnWidth).trimEnd()}`);
+    }
+  });
+
+  return rows.join('\n');
+}
+
+/**
+ * Count the words each side of a diff removed and added
+ * @param {Array} changes - Changes from diffWords
+ * @returns {Object} { removed, added, unchanged }
+ */
+function summarizeDiff(changes) {
+  const summary = { removed: 0, added: 0, unchanged: 0 };
+
+  changes
+    .filter(change => change.token !== LINE_BREAK)
+    .forEach(change => {
+      summary[change.type === 'same' ? 'unchanged' : change.type]++;
+    });
+
+  return summary;
+}
+
+/**
+ * Split text into words, with a token for each line break
+ * @param {string} text - Text
+ * @returns {Array} Tokens
+ */
+function tokenize(text) {
+  return (text || '').trim().split('\n').flatMap((line, index) => [
+    ...(index > 0 ? [LINE_BREAK] : []),
+    ...line.split(/\s+/).filter(Boolean)
+  ]);
+}
+
+/**
+ * Diff two token lists with a longest common subsequence table
+ * @param {Array} a - Original tokens
+ * @param {Array} b - Changed tokens
+ * @returns {Array} Changes
+ */
+function diffTokens(a, b) {
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map(token => ({ type: 'removed', token })),
+      ...b.map(token => ({ type: 'added', token }))
+    ];
+  }
+
+  // lengths[i][j] is the length of the common subsequence of a[i..] and b[j..]
+  const columns = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * columns);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * columns + j] = a[i] === b[j]
+        ? lengths[(i + 1) * columns + j + 1] + 1
+        : Math.max(lengths[(i + 1) * columns + j], lengths[i * columns + j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      changes.push({ type: 'same', token: a[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * columns + j] >= lengths[i * columns + j + 1]) {
+      changes.push({ type: 'removed', token: a[i++] });
+    } else {
+      changes.push({ type: 'added', token: b[j++] });
+    }
+  }
+
+  while (i < a.length) {
+    changes.push({ type: 'removed', token: a[i++] });
+  }
+  while (j < b.length) {
+    changes.push({ type: 'added', token: b[j++] });
+  }
+
+  return changes;
+}
+
+/**
+ * Split changes at the line breaks both sides share
+ * @param {Array} changes - Changes from diffWords
+ * @returns {Array} Segments (arrays of changes), without the shared line breaks
+ */
+function splitSegments(changes) {
+  const segments = [[]];
+
+  changes.forEach(change => {
+    if (change.type === 'same' && change.token === LINE_BREAK) {
+      segments.push([]);
+    } else {
+      segments[segments.length - 1].push(change);
+    }
+  });
+
+  return segments;
+}
+
+/**
+ * Wrap one side of a segment into lines of a column width
+ * @param {Array} changes - The side's changes
+ * @param {number} columnWidth - Column width
+ * @param {Function} highlight - Chalk style for changed words
+ * @returns {Array} Lines as { text, length } - text is styled, length is the visible length
+ */
+function wrap(changes, columnWidth, highlight) {
+  const lines = [];
+  let line = { text: '', length: 0 };
+
+  const breakLine = () => {
+    lines.push(line);
+    line = { text: '', length: 0 };
+  };
+
+  changes.forEach(change => {
+    if (change.token === LINE_BREAK) {
+      breakLine();
+      return;
+    }
+
+    const style = change.type === 'same' ? text => text : highlight;
+
+    // Words longer than the column are cut into column-sized pieces
+    const pieces = change.token.match(new RegExp(`.{1,${columnWidth}}`, 'g'));
+    pieces.forEach(piece => {
+      if (line.length > 0 && line.length + 1 + piece.length > columnWidth) {
+        breakLine();
+      }
+
+      line.text += `${line.length > 0 ? ' ' : ''}${style(piece)}`;
+      line.length += (line.length > 0 ? 1 : 0) + piece.length;
+    });
+  });
+
+  lines.push(line);
+  return lines;
+}
+
+/**
+ * Pad a wrapped line to the column width
+ * @param {Object|undefined} line - Line from wrap, or undefined past the end of the shorter side
+ * @param {number} columnWidth - Column width
+ * @returns {string} Padded line
+ */
+function pad(line, columnWidth) {
+  return line ? `${line.text}${' '.repeat(columnWidth - line.length)}` : ' '.repeat(columnWidth);
+}
+
+/**
+ * Truncate or pad plain text to a column width
+ * @param {string} text - Text
+ * @param {number} columnWidth - Column width
+ * @returns {string} Text exactly columnWidth characters long
+ */
+function fit(text, columnWidth) {
+  return text.length > columnWidth ? `${text.slice(0, columnWidth - 3)}...` : text.padEnd(columnWidth);
+}
+
+module.exports = { diffWords, renderSideBySide, summarizeDiff };
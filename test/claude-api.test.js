@@ -0,0 +1,271 @@
+/**
+ * Claude API Tests
+ * Exercise processMessages against a scripted transport: continuations past max_tokens, retries
+ * of transient failures, the end of the tool-use loop, and the budget and cap checks
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The spend ledger and token calibration are written under the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claude-api-test-'));
+process.chdir(workDir);
+process.env.CLAUDE_TRANSPORT = 'mock';
+delete process.env.ENABLE_WEB_SEARCH;
+
+const { ClaudeAPI } = require('../src/claude-api');
+const { ResearchStrategy } = require('../src/research-strategy');
+const { LiveTransport } = require('../src/claude-transports');
+
+// Keep retry notices and error reports out of the test report
+console.log = () => {};
+console.error = () => {};
+
+test.after(() => {
+  process.chdir(os.tmpdir());
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Build a Messages API shaped response
+ * @param {string} text - Response text
+ * @param {string} stopReason - Stop reason
+ * @returns {Object} Response
+ */
+function message(text, stopReason = 'end_turn') {
+  return {
+    type: 'message',
+    role: 'assistant',
+    content: [{ type: 'text', text }],
+    stop_reason: stopReason,
+    usage: { input_tokens: 10, output_tokens: 10 }
+  };
+}
+
+/**
+ * Create a ClaudeAPI whose transport answers from a script
+ * @param {Array} script - Responses in order; an Error is thrown instead of answered
+ * @returns {Object} { claude, requests } - requests holds every request sent
+ */
+function createScriptedClaude(script) {
+  const claude = new ClaudeAPI();
+  const requests = [];
+
+  claude.retryPolicy.baseDelayMs = 1;
+  claude.transport = {
+    createMessage: async requestOptions => {
+      requests.push(JSON.parse(JSON.stringify(requestOptions)));
+
+      const next = script.shift();
+      if (!next) {
+        throw new Error('Transport called more often than scripted');
+      }
+      if (next instanceof Error) {
+        throw next;
+      }
+      return next;
+    }
+  };
+
+  return { claude, requests };
+}
+
+/**
+ * Send a one-message conversation without streaming
+ * @param {ClaudeAPI} claude - Client
+ * @returns {Promise<Object>} processMessages result
+ */
+function ask(claude) {
+  return claude.processMessages([{ role: 'user', content: 'Write the review.' }], 'You write reviews.', false, { stream: false });
+}
+
+test('continues a response cut off at max_tokens by prefilling the text so far', async () => {
+  const { claude, requests } = createScriptedClaude([
+    message('The blender is ', 'max_tokens'),
+    message(' sturdy and ', 'max_tokens'),
+    message(' quiet.')
+  ]);
+
+  const response = await ask(claude);
+
+  assert.strictEqual(response.content, 'The blender is sturdy and quiet.');
+  assert.strictEqual(response.continuations, 2);
+  assert.strictEqual(response.truncated, false);
+
+  // Each continuation ends with the text so far as the assistant turn, without trailing whitespace
+  assert.strictEqual(requests.length, 3);
+  assert.deepStrictEqual(requests[2].messages[requests[2].messages.length - 1], {
+    role: 'assistant',
+    content: 'The blender is sturdy and'
+  });
+});
+
+test('reports a response still cut off after the allowed continuations as truncated', async () => {
+  const { claude, requests } = createScriptedClaude([
+    message('One ', 'max_tokens'),
+    message(' two ', 'max_tokens')
+  ]);
+  claude.maxContinuations = 1;
+
+  const response = await ask(claude);
+
+  assert.strictEqual(requests.length, 2);
+  assert.strictEqual(response.content, 'One two');
+  assert.strictEqual(response.truncated, true);
+});
+
+test('retries rate limits and overloads, then returns the response', async () => {
+  const { claude, requests } = createScriptedClaude([
+    Object.assign(new Error('Rate limited'), { status: 429, headers: { 'retry-after-ms': '1' } }),
+    Object.assign(new Error('Overloaded'), { status: 529 }),
+    message('Done.')
+  ]);
+
+  const response = await ask(claude);
+
+  assert.strictEqual(requests.length, 3);
+  assert.strictEqual(response.content, 'Done.');
+});
+
+test('does not retry a request the API rejected', async () => {
+  const { claude, requests } = createScriptedClaude([
+    Object.assign(new Error('Bad request'), { status: 400 }),
+    message('Never sent.')
+  ]);
+
+  await assert.rejects(ask(claude), /API request error: Bad request/);
+  assert.strictEqual(requests.length, 1);
+});
+
+test('gives up after the maximum number of attempts', async () => {
+  const overloaded = () => Object.assign(new Error('Overloaded'), { status: 529 });
+  const { claude, requests } = createScriptedClaude([overloaded(), overloaded(), overloaded()]);
+  claude.retryPolicy.maxAttempts = 3;
+
+  await assert.rejects(ask(claude), /Claude is currently overloaded/);
+  assert.strictEqual(requests.length, 3);
+});
+
+test('prices research at the model research is routed to', async () => {
+  const { claude, requests } = createScriptedClaude([message('Never sent.')]);
+  claude.modelRouter.routes.research.model = 'claude-opus-4-1-20250805';
+
+  // The plan estimate uses the routed model's prices
+  const strategy = new ResearchStrategy(claude, 'Mock Blender', 'kitchen');
+  const [step] = strategy.estimatePlanCost({ steps: [{ type: 'research' }] }).steps;
+  assert.strictEqual(step.model, 'claude-opus-4-1-20250805');
+  assert.strictEqual(step.estimatedCost, claude.budgetManager.calculateCost(step.estimatedInputTokens, step.estimatedOutputTokens, 'claude-opus-4-1-20250805'));
+
+  // A budget that covers research on the default model doesn't cover it on the routed one
+  claude.budgetManager.budgetUSD = 0.1;
+  const response = await claude.performResearch('durability', 'Mock Blender');
+  assert.strictEqual(response.budgetExhausted, true);
+  assert.strictEqual(requests.length, 0);
+});
+
+test('checks the spending caps before every call, including continuations', async () => {
+  const { claude, requests } = createScriptedClaude([
+    message('The blender is ', 'max_tokens'),
+    message(' quiet.')
+  ]);
+
+  const estimates = [];
+  claude.spendLedger.checkCaps = estimatedCost => {
+    estimates.push(estimatedCost);
+    return estimates.length === 1 ? { allowed: true, reason: null } : { allowed: false, reason: 'Daily spending cap reached.' };
+  };
+
+  await assert.rejects(ask(claude), /Daily spending cap reached/);
+  assert.strictEqual(estimates.length, 2);
+  assert.strictEqual(requests.length, 1);
+});
+
+test('asks for a final answer without tools when the search turns run out', async () => {
+  const claude = new ClaudeAPI();
+  const requests = [];
+  claude.maxSearchesPerRequest = 1;
+
+  // Claude keeps searching for as long as it is allowed to
+  claude.transport = {
+    createMessage: async requestOptions => {
+      requests.push(JSON.parse(JSON.stringify(requestOptions)));
+
+      if ((requestOptions.tool_choice || {}).type === 'none') {
+        return message('Here is what I found.');
+      }
+      return {
+        ...message('Let me search for that.', 'tool_use'),
+        content: [
+          { type: 'text', text: 'Let me search for that.' },
+          { type: 'tool_use', id: `toolu_${requests.length}`, name: 'web_search', input: { query: 'blender durability' } }
+        ]
+      };
+    }
+  };
+
+  const response = await claude.processMessages([{ role: 'user', content: 'Research the blender.' }], 'You research products.', true, { stream: false });
+
+  assert.strictEqual(response.content, 'Here is what I found.');
+  assert.strictEqual(response.truncated, false);
+  assert.strictEqual(requests.length, claude.maxSearchesPerRequest + 3);
+  assert.deepStrictEqual(requests[requests.length - 1].tool_choice, { type: 'none' });
+  assert.ok(requests.slice(0, -1).every(request => request.tool_choice === undefined));
+});
+
+test('searches with the tool input a live stream sends as deltas', async () => {
+  const claude = new ClaudeAPI();
+  const queries = [];
+  claude.searchBackend = { search: async query => { queries.push(query); return []; } };
+
+  /**
+   * Stand in for the SDK's MessageStream: events are emitted as the stream is read, and the final
+   * message, like the SDK's snapshot, has only the text deltas applied
+   * @param {Array} events - Stream events
+   * @param {Object} finalMessage - Message finalMessage resolves to
+   * @returns {Object} Stream
+   */
+  const fakeStream = (events, finalMessage) => {
+    const listeners = {};
+    return {
+      aborted: false,
+      on: (name, listener) => { (listeners[name] = listeners[name] || []).push(listener); },
+      abort: () => {},
+      finalMessage: async () => {
+        events.forEach(event => (listeners.streamEvent || []).forEach(listener => listener(event)));
+        return finalMessage;
+      }
+    };
+  };
+
+  const toolUse = { type: 'tool_use', id: 'toolu_1', name: 'web_search', input: {} };
+  const streams = [
+    fakeStream([
+      { type: 'content_block_start', index: 0, content_block: toolUse },
+      { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '{"query": "blender ' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: 'durability"}' } }
+    ], { ...message('', 'tool_use'), content: [toolUse] }),
+    fakeStream([], message('It holds up.'))
+  ];
+  claude.transport = new LiveTransport({ messages: { stream: () => streams.shift() } });
+
+  const response = await claude.processMessages([{ role: 'user', content: 'Research the blender.' }], 'You research products.', true, {
+    stream: true,
+    onText: () => {}
+  });
+
+  assert.strictEqual(response.content, 'It holds up.');
+  assert.deepStrictEqual(queries, ['blender durability']);
+});
+
+test('answers a search call without a query with an error instead of searching', async () => {
+  const claude = new ClaudeAPI();
+  claude.searchBackend = { search: async () => { throw new Error('Searched without a query'); } };
+
+  const result = await claude.runToolCall({ type: 'tool_use', id: 'toolu_1', name: 'web_search', input: {} }, [], 1);
+
+  assert.strictEqual(result.tool_use_id, 'toolu_1');
+  assert.strictEqual(result.is_error, true);
+});
@@ -0,0 +1,95 @@
+/**
+ * Command Router Tests
+ * Commands typed in a reply need a command prefix, or the user's confirmation when the reply only
+ * reads like a command
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'command-router-test-'));
+process.chdir(workDir);
+process.env.CLAUDE_TRANSPORT = 'mock';
+
+const inquirer = require('inquirer');
+const { Session } = require('../src/session');
+
+console.log = () => {};
+
+test.after(() => {
+  process.chdir(os.tmpdir());
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Answer the command confirmation, recording the questions asked
+ * @param {boolean} runCommand - Answer to the confirmation
+ * @returns {Array} Questions asked
+ */
+function answerConfirmation(runCommand) {
+  const asked = [];
+  inquirer.prompt = async questions => {
+    asked.push(...questions);
+    return { runCommand };
+  };
+
+  return asked;
+}
+
+test('parses commands with or without a prefix', () => {
+  const { commands } = new Session();
+
+  assert.deepStrictEqual(commands.parse('/compare main plain'), { name: 'compare', argument: 'main plain' });
+  assert.deepStrictEqual(commands.parse(':turns'), { name: 'turns', argument: null });
+  assert.deepStrictEqual(commands.parse('switch Nintendo'), { name: 'switch', argument: 'Nintendo' });
+  assert.strictEqual(commands.parse('/ I liked it'), null);
+  assert.strictEqual(commands.markCommand('facts'), '/facts');
+  assert.strictEqual(commands.markCommand(':facts'), ':facts');
+});
+
+test('runs a prefixed reply without asking', async () => {
+  const { commands } = new Session();
+  const asked = answerConfirmation(false);
+
+  assert.deepStrictEqual(await commands.handleReply('/keywords'), { handled: true, phaseChanged: false });
+  assert.strictEqual(asked.length, 0);
+});
+
+test('sends a reply that only reads like a command unless the user confirms it', async () => {
+  const { commands } = new Session();
+
+  let asked = answerConfirmation(false);
+  assert.deepStrictEqual(await commands.handleReply('compare Vitamix'), { handled: false });
+  assert.strictEqual(asked.length, 1);
+  assert.strictEqual(asked[0].default, false);
+
+  asked = answerConfirmation(true);
+  assert.deepStrictEqual(await commands.handleReply('keywords'), { handled: true, phaseChanged: false });
+  assert.strictEqual(asked[0].default, true);
+});
+
+test('leaves ordinary replies alone', async () => {
+  const { commands } = new Session();
+  const asked = answerConfirmation(true);
+
+  assert.deepStrictEqual(await commands.handleReply('I used it every morning.'), { handled: false });
+  assert.strictEqual(asked.length, 0);
+});
+
+test('shows the general help for a phase the framework has no help for', async () => {
+  const session = new Session();
+  session.frameworkLoader.loadUserPromptTemplates = async () => ({ general_help: 'General help.', phase_specific_help: [] });
+
+  const printed = [];
+  console.log = text => printed.push(text);
+  try {
+    await session.commands.showHelp('quality');
+  } finally {
+    console.log = () => {};
+  }
+
+  assert.ok(printed.some(text => String(text).includes('General help.')));
+});
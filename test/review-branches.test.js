@@ -0,0 +1,82 @@
+/**
+ * Review Branches Tests
+ * Branches share the conversation from before they were forked instead of each keeping a copy
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-branches-test-'));
+process.chdir(workDir);
+process.env.CLAUDE_TRANSPORT = 'mock';
+
+const { Session } = require('../src/session');
+
+console.log = () => {};
+
+test.after(() => {
+  process.chdir(os.tmpdir());
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Create a draft-phase session whose conversation starts with a large image
+ * @returns {Session} Session
+ */
+function createSessionWithImage() {
+  const session = new Session({ productName: 'Mock Blender', phase: 'draft' });
+  session.messages = [
+    {
+      role: 'user',
+      content: [
+        { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'A'.repeat(100000) } },
+        { type: 'text', text: 'Here is the blender.' }
+      ]
+    },
+    { role: 'assistant', content: 'Thanks, it looks sturdy.' }
+  ];
+
+  return session;
+}
+
+test('keeps only the messages after the shared conversation on each branch', () => {
+  const session = createSessionWithImage();
+
+  assert.ok(session.reviewBranches.fork('kitchen-lab'));
+  session.messages.push({ role: 'user', content: 'Make it playful.' });
+  assert.ok(session.reviewBranches.fork('plain'));
+  session.messages.push({ role: 'user', content: 'Make it plain.' });
+  assert.ok(session.reviewBranches.switchTo('main'));
+
+  assert.deepStrictEqual(session.branches['kitchen-lab'].messages, [{ role: 'user', content: 'Make it playful.' }]);
+  assert.deepStrictEqual(session.branches.plain.messages.map(message => message.content), ['Make it playful.', 'Make it plain.']);
+  assert.strictEqual(session.branches.plain.baseMessages, 2);
+
+  // The image is saved in the shared conversation and the active conversation, not once per branch
+  const saved = JSON.stringify(session.toJSON());
+  assert.strictEqual(saved.split('A'.repeat(100000)).length - 1, 2);
+  assert.strictEqual(session.branchBaseMessages.length, 2);
+});
+
+test('switching back restores the whole conversation, and changes stay on their branch', () => {
+  const session = createSessionWithImage();
+
+  assert.ok(session.reviewBranches.fork('plain'));
+  session.messages[1].content = 'Edited on the plain branch.';
+  session.messages.push({ role: 'user', content: 'Make it plain.' });
+  assert.ok(session.reviewBranches.switchTo('main'));
+
+  assert.strictEqual(session.messages.length, 2);
+  assert.strictEqual(session.messages[1].content, 'Thanks, it looks sturdy.');
+  assert.strictEqual(session.branches.plain.baseMessages, 1);
+
+  // The restored conversation is the session's own copy, not the shared one
+  session.messages[0].content[1].text = 'Changed on main.';
+  assert.strictEqual(session.branchBaseMessages[0].content[1].text, 'Here is the blender.');
+
+  assert.ok(session.reviewBranches.switchTo('plain'));
+  assert.deepStrictEqual(session.messages.map(message => message.content).slice(1), ['Edited on the plain branch.', 'Make it plain.']);
+});
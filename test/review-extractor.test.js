@@ -0,0 +1,49 @@
+/**
+ * Review Extractor Tests
+ * Reviews are found by their markers and shown without them
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ReviewExtractor } = require('../src/review-extractor');
+
+const RESPONSE = `Here's the revised review:
+
+<review>
+<title>Quiet, Sturdy and Worth It</title>
+<rating>4</rating>
+<body>
+It blends everything.
+</body>
+</review>
+
+Let me know what you think.`;
+
+test('extracts the title, rating and body from the markers', () => {
+  const extracted = new ReviewExtractor().extract(RESPONSE);
+
+  assert.strictEqual(extracted.method, 'markers');
+  assert.strictEqual(extracted.title, 'Quiet, Sturdy and Worth It');
+  assert.strictEqual(extracted.rating, 4);
+  assert.strictEqual(extracted.body, 'It blends everything.');
+});
+
+test('formats a review as title, rating and body', () => {
+  const extractor = new ReviewExtractor();
+
+  assert.strictEqual(
+    extractor.format(extractor.extract(RESPONSE)),
+    '## Quiet, Sturdy and Worth It\n\nRating: 4/5\n\nIt blends everything.'
+  );
+  assert.strictEqual(extractor.format(extractor.extract('Just a plain review with no markers.')), 'Just a plain review with no markers.');
+});
+
+test('shows a response with its review formatted and no markup', () => {
+  const display = new ReviewExtractor().formatForDisplay(RESPONSE);
+
+  assert.ok(!/<\/?(review|title|rating|body)>/.test(display));
+  assert.ok(display.startsWith("Here's the revised review:"));
+  assert.ok(display.includes('## Quiet, Sturdy and Worth It\n\nRating: 4/5\n\nIt blends everything.'));
+  assert.ok(display.endsWith('Let me know what you think.'));
+});
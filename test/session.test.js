@@ -0,0 +1,216 @@
+/**
+ * Session Tests
+ * Drive whole review sessions offline: Claude is the mock transport and the user is a
+ * scripted inquirer.prompt, answering each question by name
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Sessions, reviews and the spend ledger are written under the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-session-test-'));
+process.chdir(workDir);
+process.env.CLAUDE_TRANSPORT = 'mock';
+delete process.env.ENABLE_WEB_SEARCH;
+
+const inquirer = require('inquirer');
+const { Session } = require('../src/session');
+
+// Keep the session's progress output out of the test report
+console.log = () => {};
+
+// Leaving the process would end the test run instead of failing the test
+process.exit = code => {
+  throw new Error(`Unexpected process.exit(${code})`);
+};
+
+test.after(() => {
+  process.chdir(os.tmpdir());
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Answer prompts from a script
+ * @param {Object} script - Answers by question name; a list is answered in order
+ * @returns {Array} Names of the questions asked, in order
+ */
+function scriptPrompts(script) {
+  const asked = [];
+  const answered = {};
+
+  inquirer.prompt = async questions => {
+    const answers = {};
+
+    for (const question of questions) {
+      if (!(question.name in script)) {
+        throw new Error(`Unscripted prompt: ${question.name} (${question.message})`);
+      }
+
+      const scripted = script[question.name];
+      const count = answered[question.name] || 0;
+      if (Array.isArray(scripted) && count >= scripted.length) {
+        throw new Error(`Prompt ${question.name} asked more often than scripted`);
+      }
+
+      answered[question.name] = count + 1;
+      asked.push(question.name);
+      answers[question.name] = Array.isArray(scripted) ? scripted[count] : scripted;
+    }
+
+    return answers;
+  };
+
+  return asked;
+}
+
+/**
+ * Build the phase data of a session whose intake is already complete
+ * @returns {Object} Session phase data
+ */
+function completedIntake() {
+  return {
+    intake: { complete: true, data: {} },
+    draft: { complete: false, data: {} },
+    refine: { complete: false, data: {} },
+    quality: { complete: false, data: {} }
+  };
+}
+
+test('runs a review from intake through quality control', async () => {
+  const asked = scriptPrompts({
+    description: 'I have used this blender every morning for three weeks.',
+    profileAction: 'confirm',
+    response: ['About three weeks. I tried the Acme blender before. The build surprised me.'],
+    confirmTransition: true,
+    draftAction: ['accept'],
+    refineAction: ['feedback', 'quality'],
+    userFeedback: ['Make the verdict punchier.'],
+    qualityAction: ['continue'],
+    showQualityAssessment: true,
+    reviewAssessment: false,
+    exitProcess: false
+  });
+
+  const session = new Session({ intakeMode: 'editor' });
+  await session.start();
+
+  assert.deepStrictEqual(asked, [
+    'description', 'profileAction', 'response', 'confirmTransition', 'profileAction',
+    'draftAction', 'refineAction', 'userFeedback', 'refineAction',
+    'qualityAction', 'showQualityAssessment', 'reviewAssessment', 'exitProcess'
+  ]);
+
+  assert.strictEqual(session.phase, 'quality');
+  assert.strictEqual(session.productName, 'Mock Countertop Blender 3000');
+  ['intake', 'draft', 'refine', 'quality'].forEach(phase => {
+    assert.ok(session.phaseData[phase].complete, `${phase} phase should be complete`);
+  });
+
+  // The draft and its revision are stored without the phase status trailer
+  const draft = session.phaseData.draft;
+  assert.strictEqual(draft.data.reviewTitle, 'Mock Product Review: A Rehearsal Worth Reading');
+  assert.strictEqual(draft.data.extractionMethod, 'markers');
+  assert.ok(!draft.reviewContent.includes('<phase_status>'));
+
+  // The session records which framework the draft used, not the framework itself
+  assert.strictEqual(draft.data.framework, 'draft');
+
+  const versions = session.phaseData.refine.data.versions;
+  assert.strictEqual(versions.length, 1);
+  assert.strictEqual(versions[0].feedback, 'Make the verdict punchier.');
+
+  // The scored review is the one written to the reviews directory
+  const quality = session.phaseData.quality.data;
+  assert.strictEqual(quality.finalReview, session.getCurrentReview());
+  assert.ok(quality.scores);
+
+  const reviews = fs.readdirSync(path.join(workDir, 'reviews'));
+  assert.ok(reviews.some(file => file.startsWith('mock-countertop-blender-3000-') && file.endsWith('.md')));
+
+  const saved = JSON.parse(fs.readFileSync(path.join(workDir, '.sessions', `${session.id}.json`), 'utf8'));
+  assert.strictEqual(saved.phase, 'quality');
+  assert.strictEqual(saved.phaseData.quality.complete, true);
+});
+
+test('retries an overloaded request and continues a draft cut off at max_tokens', async () => {
+  scriptPrompts({
+    draftAction: ['accept'],
+    refineAction: ['quality'],
+    qualityAction: ['pause']
+  });
+
+  const session = new Session({ productName: 'Mock Countertop Blender 3000', phase: 'draft', phaseData: completedIntake() });
+  session.claude.retryPolicy.baseDelayMs = 1;
+
+  // The first draft request is overloaded; the retried one stops at the token limit halfway through the review
+  const mock = session.claude.transport;
+  const draftRequests = [];
+  session.claude.transport = {
+    createMessage: async (requestOptions, context) => {
+      const response = await mock.createMessage(requestOptions, context);
+      if (context.route !== 'draft') {
+        return response;
+      }
+
+      draftRequests.push(requestOptions);
+      if (draftRequests.length === 1) {
+        throw Object.assign(new Error('Overloaded'), { status: 529 });
+      }
+
+      // A continuation picks up where its prefill ends
+      const text = response.content[0].text;
+      const lastMessage = requestOptions.messages[requestOptions.messages.length - 1];
+      const continued = lastMessage.role === 'assistant';
+
+      return {
+        ...response,
+        content: [{
+          type: 'text',
+          text: continued ? text.slice(lastMessage.content.length) : text.slice(0, text.indexOf('**What\'s Not:**'))
+        }],
+        stop_reason: continued ? 'end_turn' : 'max_tokens'
+      };
+    }
+  };
+
+  await session.start();
+
+  // The overloaded request, its retry, and one continuation prefilled with the text so far
+  assert.strictEqual(draftRequests.length, 3);
+  const prefill = draftRequests[2].messages[draftRequests[2].messages.length - 1];
+  assert.strictEqual(prefill.role, 'assistant');
+  assert.ok(prefill.content.includes('**What\'s Great:**'));
+
+  // The stitched draft is the complete review
+  const draft = session.phaseData.draft;
+  assert.strictEqual(draft.data.extractionMethod, 'markers');
+  assert.ok(draft.reviewContent.includes('**What\'s Great:**'));
+  assert.ok(draft.reviewContent.includes('A dependable choice'));
+
+  const reply = session.messages.filter(message => message.role === 'assistant').pop();
+  assert.ok(reply.content.includes('</review>'));
+  assert.strictEqual(session.phase, 'quality');
+});
+
+test('regenerating the draft from the menu archives and logs the dropped draft', async () => {
+  scriptPrompts({
+    draftAction: ['regenerate', 'accept'],
+    refineAction: ['quality'],
+    qualityAction: ['pause']
+  });
+
+  const session = new Session({ productName: 'Mock Countertop Blender 3000', phase: 'draft', phaseData: completedIntake() });
+  await session.start();
+
+  assert.strictEqual(session.rewindLog.length, 1);
+  assert.strictEqual(session.rewindLog[0].action, 'regenerate');
+  assert.strictEqual(session.rewindLog[0].turn, 1);
+  assert.ok(fs.readFileSync(session.contextManager.historyPath, 'utf8').includes('</review>'));
+
+  // The draft request is sent again and only the regenerated draft is left in the conversation
+  assert.strictEqual(session.messages.filter(message => message.role === 'assistant').length, 1);
+  assert.strictEqual(session.phase, 'quality');
+});
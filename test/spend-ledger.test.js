@@ -0,0 +1,35 @@
+/**
+ * Spend Ledger Tests
+ * A session's spending is broken down by the phase each call was made in
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SpendLedger } = require('../src/spend-ledger');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spend-ledger-test-'));
+
+test.after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('breaks a session down by phase', async () => {
+  const ledger = new SpendLedger({ filePath: path.join(workDir, 'spend-ledger.jsonl') });
+
+  await ledger.record({ sessionId: 'one', phase: 'draft', model: 'claude-3-7-sonnet-20250219', inputTokens: 100, outputTokens: 10, cost: 0.5 });
+  await ledger.record({ sessionId: 'one', phase: 'draft', model: 'claude-3-7-sonnet-20250219', inputTokens: 200, outputTokens: 20, cost: 0.25 });
+  await ledger.record({ sessionId: 'one', model: 'claude-3-7-sonnet-20250219', inputTokens: 5, cost: 0.125 });
+  await ledger.record({ sessionId: 'two', phase: 'draft', model: 'claude-3-7-sonnet-20250219', inputTokens: 1000, cost: 4 });
+
+  const breakdown = ledger.getSessionBreakdown('one');
+
+  assert.deepStrictEqual(Object.keys(breakdown), ['draft', 'unknown']);
+  assert.strictEqual(breakdown.draft.calls, 2);
+  assert.strictEqual(breakdown.draft.inputTokens, 300);
+  assert.strictEqual(breakdown.draft.cost, 0.75);
+  assert.strictEqual(breakdown.unknown.cost, 0.125);
+});
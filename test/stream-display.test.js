@@ -0,0 +1,58 @@
+/**
+ * Stream Display Tests
+ * Streamed responses are echoed without the review markup or the phase status trailer, however
+ * the deltas split the tags
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { StreamDisplay } = require('../src/stream-display');
+
+const RESPONSE = `Here's the draft (a <3 rating would be unfair):
+
+<review>
+<title>Quiet and Sturdy</title>
+<rating>4</rating>
+<body>
+It blends everything.
+</body>
+</review>
+
+<phase_status>{"ready": true, "unmet_requirements": []}</phase_status>`;
+
+/**
+ * Stream text through a StreamDisplay in fixed-size deltas
+ * @param {string} text - Full response
+ * @param {number} size - Delta size
+ * @returns {string} What was displayed
+ */
+function display(text, size) {
+  let shown = '';
+  const streamDisplay = new StreamDisplay(delta => {
+    shown += delta;
+  });
+
+  for (let index = 0; index < text.length; index += size) {
+    streamDisplay.push(text.slice(index, index + size));
+  }
+  streamDisplay.end();
+
+  return shown;
+}
+
+test('shows the review without markup and drops the phase status trailer', () => {
+  [1, 2, 5, 13, RESPONSE.length].forEach(size => {
+    const shown = display(RESPONSE, size);
+
+    assert.ok(!/<\/?(review|title|rating|body|phase_status)/.test(shown), `markup shown with ${size}-character deltas`);
+    assert.ok(!shown.includes('unmet_requirements'));
+    assert.ok(shown.includes('a <3 rating would be unfair'));
+    assert.ok(shown.includes('## Quiet and Sturdy\nRating: 4/5\n'));
+    assert.ok(shown.includes('It blends everything.'));
+  });
+});
+
+test('prints text held back as a possible tag once the stream ends', () => {
+  assert.strictEqual(display('Ratings go from 1 to <', 4), 'Ratings go from 1 to <');
+});
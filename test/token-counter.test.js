@@ -0,0 +1,22 @@
+/**
+ * Token Counter Tests
+ * Calibration is kept per model, with aliases resolved the way the pricing catalog resolves them
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { TokenCounter } = require('../src/token-counter');
+const { ModelPricing } = require('../src/model-pricing');
+
+test('stores an alias under the model the pricing catalog resolves it to', () => {
+  const pricing = new ModelPricing({ overrideFile: 'no-such-model-pricing.json' });
+  pricing.models['claude-mock-5-20990101'] = { input: 1, output: 5 };
+  const counter = new TokenCounter({ pricing, persist: false });
+
+  assert.strictEqual(counter.getModelKey('claude-3-5-haiku-latest'), pricing.resolveModel('claude-3-5-haiku-latest'));
+  assert.strictEqual(counter.getModelKey('claude-mock-5-latest'), 'claude-mock-5-20990101');
+
+  // Unknown models keep their own calibration instead of sharing the pricing fallback's
+  assert.strictEqual(counter.getModelKey('claude-unknown-9'), 'claude-unknown-9');
+});
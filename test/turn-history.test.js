@@ -0,0 +1,125 @@
+/**
+ * Turn History Tests
+ * Checkpoints are kept outside the conversation as changes from the checkpoint before, and
+ * rewinds, replays and branch switches restore the state they recorded
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Sessions and the raw history archive are written under the working directory
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'turn-history-test-'));
+process.chdir(workDir);
+process.env.CLAUDE_TRANSPORT = 'mock';
+
+const { Session } = require('../src/session');
+
+console.log = () => {};
+
+test.after(() => {
+  process.chdir(os.tmpdir());
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Create a refine-phase session with a number of revision turns, as requestRevision records them
+ * @param {number} revisions - Number of turns
+ * @returns {Session} Session
+ */
+function createRevisedSession(revisions) {
+  const session = new Session({ productName: 'Mock Blender', phase: 'refine' });
+  session.phaseData.draft.reviewContent = 'Original draft.';
+  session.phaseData.refine.data.versions = [];
+
+  for (let number = 1; number <= revisions; number++) {
+    session.addUserMessage({ role: 'user', content: `Feedback ${number}` });
+    session.turnHistory.recordRequestCheckpoint();
+    session.messages.push({ role: 'assistant', content: `Revision ${number}` });
+
+    session.phaseData.refine.data.versions.push({ version: number, content: `Revision ${number} `.repeat(200) });
+    session.phaseData.refine.reviewContent = `Revision ${number}`;
+  }
+
+  return session;
+}
+
+test('keeps checkpoints out of the messages and stores only what each turn changed', () => {
+  const session = createRevisedSession(20);
+
+  assert.strictEqual(session.checkpoints.length, 20);
+  assert.ok(session.messages.every(message => message.checkpoints === undefined));
+  assert.deepStrictEqual(session.claude.prepareMessages(session.messages)[0], { role: 'user', content: 'Feedback 1' });
+
+  // A later turn's checkpoint holds the one version added since, not the whole version list
+  const latest = JSON.stringify(session.checkpoints[19]);
+  assert.ok(latest.includes('Revision 19'));
+  assert.ok(!latest.includes('Revision 18 '));
+  assert.ok(JSON.stringify(session.toJSON()).length < 20 * JSON.stringify(session.phaseData).length / 4);
+});
+
+test('rewinds to the state after a turn', async () => {
+  const session = createRevisedSession(5);
+
+  assert.ok(await session.turnHistory.rewind(2));
+
+  assert.strictEqual(session.messages.length, 4);
+  assert.strictEqual(session.checkpoints.length, 2);
+  assert.strictEqual(session.phaseData.refine.data.versions.length, 2);
+  assert.strictEqual(session.phaseData.refine.reviewContent, 'Revision 2');
+
+  // New turns carry on from the rewound state
+  session.addUserMessage({ role: 'user', content: 'Feedback 3 again' });
+  assert.strictEqual(session.messages[4].turnId, 3);
+  assert.strictEqual(session.turnHistory.getCheckpoint(session.checkpoints[2]).phaseData.refine.data.versions.length, 2);
+});
+
+test('replays a turn from the state it was sent with', async () => {
+  const session = createRevisedSession(3);
+
+  assert.ok(await session.turnHistory.replay(3, 'Different feedback'));
+
+  assert.strictEqual(session.messages[session.messages.length - 1].content, 'Different feedback');
+  assert.strictEqual(session.phaseData.refine.data.versions.length, 2);
+  assert.strictEqual(session.checkpoints.length, 3);
+  assert.strictEqual(session.checkpoints[2].request, null);
+
+  session.turnHistory.recordRequestCheckpoint();
+  assert.notStrictEqual(session.checkpoints[2].request, null);
+});
+
+test('converts the full checkpoints older sessions kept on messages', async () => {
+  const original = createRevisedSession(3);
+  const legacyMessages = original.messages.map(message => {
+    const entry = original.checkpoints.find(candidate => candidate.turnId === message.turnId);
+    const legacy = { role: message.role, content: message.content };
+    if (entry) {
+      legacy.checkpoints = {
+        start: original.turnHistory.getCheckpoint(entry, 'start'),
+        request: original.turnHistory.getCheckpoint(entry, 'request')
+      };
+    }
+    return legacy;
+  });
+
+  const session = new Session({ ...JSON.parse(JSON.stringify(original.toJSON())), messages: legacyMessages, checkpoints: undefined });
+
+  assert.strictEqual(session.checkpoints.length, 3);
+  assert.ok(session.messages.every(message => message.checkpoints === undefined));
+  assert.ok(await session.turnHistory.rewind(1));
+  assert.strictEqual(session.phaseData.refine.data.versions.length, 1);
+});
+
+test('each branch keeps its own checkpoints', () => {
+  const session = createRevisedSession(2);
+
+  assert.ok(session.reviewBranches.fork('plain'));
+  session.addUserMessage({ role: 'user', content: 'Plain feedback' });
+  assert.strictEqual(session.checkpoints.length, 3);
+
+  assert.ok(session.reviewBranches.switchTo('main'));
+  assert.strictEqual(session.checkpoints.length, 2);
+  assert.strictEqual(session.branches.plain.checkpoints.length, 3);
+});
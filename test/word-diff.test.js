@@ -0,0 +1,58 @@
+/**
+ * Word Diff Tests
+ * Branch comparisons diff reviews word by word, and texts too big for the diff table are shown as
+ * entirely changed
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { diffWords, renderSideBySide, summarizeDiff } = require('../src/word-diff');
+
+test('diffs two texts word by word, keeping line breaks', () => {
+  const changes = diffWords('The blender is loud.\nIt blends well.', 'The blender is quiet.\nIt blends well.');
+
+  assert.deepStrictEqual(changes.slice(0, 5), [
+    { type: 'same', token: 'The' },
+    { type: 'same', token: 'blender' },
+    { type: 'same', token: 'is' },
+    { type: 'removed', token: 'loud.' },
+    { type: 'added', token: 'quiet.' }
+  ]);
+  assert.deepStrictEqual(changes[5], { type: 'same', token: '\n' });
+  assert.deepStrictEqual(summarizeDiff(changes), { removed: 1, added: 1, unchanged: 6 });
+});
+
+test('finds the words two rewritten middles still share', () => {
+  const changes = diffWords('Start one shared two end', 'Start three shared four end');
+
+  assert.deepStrictEqual(changes.map(change => `${change.type}:${change.token}`), [
+    'same:Start', 'removed:one', 'added:three', 'same:shared', 'removed:two', 'added:four', 'same:end'
+  ]);
+});
+
+test('shows texts too big for the diff table as removed and added', () => {
+  // 4,000 x 4,000 changed words is more than the 10 million cells the diff table is allowed
+  const words = (name, count) => Array.from({ length: count }, (item, index) => (index === count / 2 ? 'shared' : `${name}${index}`));
+  const changes = diffWords(words('before', 4000).join(' '), words('after', 4000).join(' '));
+
+  assert.deepStrictEqual(summarizeDiff(changes), { removed: 4000, added: 4000, unchanged: 0 });
+  assert.ok(changes.slice(0, 4000).every(change => change.type === 'removed'));
+  assert.ok(changes.slice(4000).every(change => change.type === 'added'));
+});
+
+test('renders the two sides in columns of the same width', () => {
+  const rendered = renderSideBySide(diffWords('Loud but sturdy.', 'Quiet and sturdy.'), {
+    leftTitle: 'main',
+    rightTitle: 'plain',
+    width: 63
+  });
+  // eslint-disable-next-line no-control-regex
+  const lines = rendered.replace(/\u001b\[[0-9;]*m/g, '').split('\n');
+
+  assert.ok(lines[0].startsWith('main'));
+  assert.strictEqual(lines[0].indexOf('│'), 31);
+  assert.strictEqual(lines[2].indexOf('│'), 31);
+  assert.ok(lines[2].includes('Loud but sturdy.'));
+  assert.ok(lines[2].includes('Quiet and sturdy.'));
+});